@@ -2,6 +2,7 @@
 pragma solidity ^0.8.20;
 
 import "forge-std/Script.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
 import "../src/MockUSDC.sol";
 import "../src/EscrowV1.sol";
 
@@ -16,8 +17,13 @@ contract DeployScript is Script {
         MockUSDC mockUsdc = new MockUSDC(1_000_000); // Mint 1M initial supply to deployer
         console.log("MockUSDC deployed at:", address(mockUsdc));
 
-        // 2. Deploy the EscrowV1 contract, passing the MockUSDC address
-        EscrowV1 escrow = new EscrowV1(address(mockUsdc));
+        // 2. Deploy the forwarder that relays gasless meta-transactions
+        ERC2771Forwarder forwarder = new ERC2771Forwarder("InvoiceCover");
+        console.log("ERC2771Forwarder deployed at:", address(forwarder));
+
+        // 3. Deploy the EscrowV1 contract, trusting the forwarder and
+        // allowing escrows in MockUSDC (more tokens via setTokenAllowed)
+        EscrowV1 escrow = new EscrowV1(address(mockUsdc), address(forwarder));
         console.log("EscrowV1 deployed at:", address(escrow));
 
         vm.stopBroadcast();
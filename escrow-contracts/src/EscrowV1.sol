@@ -1,15 +1,22 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.30;
 
-// We'll use OpenZeppelin's SafeERC20 for safer USDC transfers
+// We'll use OpenZeppelin's SafeERC20 for safer token transfers
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
-contract EscrowV1 {
+// Calls relayed through the trusted ERC-2771 forwarder act on behalf of the
+// signer, so parties can use the escrow without holding gas. Every check
+// below uses _msgSender() instead of msg.sender for that reason.
+contract EscrowV1 is ERC2771Context, ReentrancyGuard {
     using SafeERC20 for IERC20;
 
-    // USDC address will be set in the constructor
-    IERC20 public immutable usdc;
+    // Token address of escrows funded in the chain's native currency
+    // (ETH, POL). Always accepted, whatever the token allowlist says.
+    address public constant NATIVE = address(0);
 
     // Define the possible states of an escrow
     enum Status {
@@ -18,17 +25,49 @@ contract EscrowV1 {
         Delivered,
         Disputed,
         Released,
-        Refunded
+        Refunded,
+        Resolved, // Dispute settled by the arbiter
+        PendingAcceptance // Funded, but binding only once the freelancer accepts
     }
 
-    // The data structure for each invoice escrow
+    // What happens to an undelivered escrow once its due date passes
+    enum DuePolicy {
+        RequireDelivery, // Nothing: funds wait for delivery, cancellation or a dispute
+        AutoRelease, // The freelancer can be paid at the due date without delivery
+        AutoRefund // The client can be refunded at the due date without delivery
+    }
+
+    // The data structure for each invoice escrow. For escrows split into
+    // milestones, amount is what is still held, dueAt is the last
+    // milestone's due date and deliveredAt is set once all are delivered.
     struct Escrow {
         address client;
         address freelancer;
+        address token; // ERC-20 the escrow is funded in, or NATIVE
         uint256 amount;
         uint64 dueAt; // UNIX timestamp
         uint64 deliveredAt; // 0 if not delivered
+        uint64 acceptBy; // Deadline to accept, 0 if binding from the start
         Status status;
+        DuePolicy policy;
+        bytes32 documentHash; // keccak256 of the invoice document, or 0
+    }
+
+    // One installment of an escrow, delivered and paid out on its own.
+    // Escrows opened with openEscrow have a single milestone.
+    struct Milestone {
+        uint256 amount;
+        uint64 dueAt; // UNIX timestamp
+        uint64 deliveredAt; // 0 if not delivered
+        bool settled; // Released to the freelancer or refunded to the client
+    }
+
+    // An EIP-2612 permit signed by the client for the escrow's token
+    struct PermitSignature {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
     }
 
     // Events to log important actions on the blockchain
@@ -36,14 +75,29 @@ contract EscrowV1 {
         bytes32 indexed invoiceId,
         address indexed client,
         address indexed freelancer,
+        address token,
         uint256 amount,
-        uint64 dueAt
+        uint64 dueAt,
+        DuePolicy policy
     );
-    event MarkedDelivered(
+    event EscrowAccepted(
+        bytes32 indexed invoiceId,
+        address indexed by,
+        uint64 at
+    );
+    event EscrowDeclined(
         bytes32 indexed invoiceId,
         address indexed by,
         uint64 at
     );
+    // deliveryURI and contentHash are empty unless delivered with proof
+    event MarkedDelivered(
+        bytes32 indexed invoiceId,
+        address indexed by,
+        uint64 at,
+        string deliveryURI,
+        bytes32 contentHash
+    );
     event Disputed(
         bytes32 indexed invoiceId,
         address indexed by,
@@ -62,35 +116,152 @@ contract EscrowV1 {
         uint256 amount,
         uint64 at
     );
+    event DisputeResolved(
+        bytes32 indexed invoiceId,
+        address indexed arbiter,
+        uint16 freelancerBps,
+        uint64 at
+    );
+    event ArbiterChanged(address indexed arbiter);
+    event TokenAllowed(address indexed token, bool allowed);
+    event CancellationRequested(
+        bytes32 indexed invoiceId,
+        address indexed by,
+        uint64 at
+    );
+    event MilestoneDelivered(
+        bytes32 indexed invoiceId,
+        address indexed by,
+        uint256 index,
+        uint64 at
+    );
+    event MilestoneReleased(
+        bytes32 indexed invoiceId,
+        uint256 index,
+        uint256 amount,
+        uint64 at
+    );
+    event MilestoneRefunded(
+        bytes32 indexed invoiceId,
+        uint256 index,
+        uint256 amount,
+        uint64 at
+    );
+    event PayoutDeferred(address indexed to, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+
+    // Custom errors, exposed in the ABI so clients can decode failures
+
+    // Access control
+    error NotOwner();
+    error NotArbiter();
+    error ContractPaused();
+
+    // Configuration
+    error ZeroToken();
+    error ZeroArbiter();
+    error DisputeWindowTooSmall();
+
+    // Opening an escrow
+    error InvalidInvoiceId();
+    error EscrowExists();
+    error InvalidFreelancer();
+    error InvalidAmount();
+    error InvalidDueDate();
+    error InvalidMilestones();
+    error InvalidAcceptanceDeadline();
+    error TokenNotAllowed();
+    error IncorrectValue();
+    error UnknownInvoice();
+
+    // Escrow lifecycle
+    error NotFunded();
+    error OnlyClient();
+    error OnlyFreelancer();
+    error PastDue();
+    error NotDisputable();
+    error MissingReason();
+    error MissingDeliveryProof();
+    error DisputeWindowClosed();
+    error EscrowDisputed();
+    error AlreadySettled();
+    error NotEligible();
+    error NotCancellable();
+    error CancellationAlreadyRequested();
+    error NotDisputed();
+    error InvalidSplit();
+    error UnknownMilestone();
+    error AlreadyDelivered();
+    error NativeTransferFailed();
+    error NothingToWithdraw();
+    error NotPendingAcceptance();
+    error NotAccepted();
+    error AcceptanceExpired();
+    error AcceptanceWindowOpen();
 
     // The owner of the contract (can pause and set dispute window)
     address public owner;
     bool public paused;
     uint64 public disputeWindow = 5 days;
 
+    // The arbiter settles disputed escrows (defaults to the owner)
+    address public arbiter;
+
+    // Denominator for dispute split payouts
+    uint16 public constant BPS_DENOMINATOR = 10_000;
+
+    // Upper bound on milestones per escrow, so loops over them stay cheap
+    uint256 public constant MAX_MILESTONES = 20;
+
     mapping(address => bytes32[]) public userEscrows;
     mapping(bytes32 => bool) public escrowExists;
 
     // Mapping from invoice ID to its Escrow data
     mapping(bytes32 => Escrow) public escrows;
 
+    // Invoices whose client has asked the freelancer to cancel
+    mapping(bytes32 => bool) public cancelRequested;
+
+    // Milestones of each invoice, in due date order
+    mapping(bytes32 => Milestone[]) internal milestones;
+
+    // ERC-20 tokens new escrows may be funded in
+    mapping(address => bool) public allowedTokens;
+
+    // Every token that was ever allowed, for getAllowedTokens
+    address[] internal knownTokens;
+
+    // Native currency owed to recipients that refused a payout, for them
+    // to collect with withdraw
+    mapping(address => uint256) public pendingWithdrawals;
+
     // Modifier to restrict function access to only the owner
     modifier onlyOwner() {
-        require(msg.sender == owner, "NOT_OWNER");
+        require(_msgSender() == owner, NotOwner());
+        _;
+    }
+
+    // Modifier to restrict function access to only the arbiter
+    modifier onlyArbiter() {
+        require(_msgSender() == arbiter, NotArbiter());
         _;
     }
 
     // Modifier to stop all actions if the contract is paused
     modifier notPaused() {
-        require(!paused, "PAUSED");
+        require(!paused, ContractPaused());
         _;
     }
 
-    // Constructor sets the USDC address and the owner
-    constructor(address _usdc) {
-        require(_usdc != address(0), "USDC_ZERO");
-        usdc = IERC20(_usdc);
-        owner = msg.sender;
+    // Constructor sets the owner and allows a first token (e.g. USDC)
+    // Pass address(0) as the forwarder to disable meta-transactions
+    constructor(
+        address _token,
+        address _trustedForwarder
+    ) ERC2771Context(_trustedForwarder) {
+        owner = _msgSender();
+        arbiter = _msgSender();
+        _setTokenAllowed(_token, true);
     }
 
     // --- Administration Functions --- //
@@ -99,42 +270,179 @@ contract EscrowV1 {
     }
 
     function setDisputeWindow(uint64 _w) external onlyOwner {
-        require(_w >= 1 days, "SMALL");
+        require(_w >= 1 days, DisputeWindowTooSmall());
         disputeWindow = _w;
     }
 
+    function setArbiter(address _arbiter) external onlyOwner {
+        require(_arbiter != address(0), ZeroArbiter());
+        arbiter = _arbiter;
+        emit ArbiterChanged(_arbiter);
+    }
+
+    // Disallowing a token only stops new escrows in it; open ones settle
+    // in the token they were funded in
+    function setTokenAllowed(address _token, bool _allowed) external onlyOwner {
+        _setTokenAllowed(_token, _allowed);
+    }
+
     // --- Core Business Logic --- //
 
-    // Called by the client to open and fund an escrow
+    // Called by the client to open and fund an escrow. Native escrows are
+    // funded with the call's value, token escrows from an allowance.
+    // _documentHash commits to the invoice the escrow pays (the keccak256
+    // of its canonical JSON document), or is 0 if none is attached.
+    // With a non-zero _acceptBy the escrow waits for the freelancer to
+    // accept its terms until then, and the client can reclaim it after.
     function openEscrow(
         bytes32 _invoiceId,
         address _freelancer,
+        address _token,
         uint256 _amount,
-        uint64 _dueAt
-    ) external notPaused {
-        require(_invoiceId != bytes32(0), "BAD_ID");
-        require(escrows[_invoiceId].status == Status.None, "EXISTS");
-        require(_freelancer != address(0), "BAD_FREELANCER");
-        require(_amount > 0, "BAD_AMT");
-        require(_dueAt > block.timestamp, "BAD_DUE");
+        uint64 _dueAt,
+        DuePolicy _policy,
+        uint64 _acceptBy,
+        bytes32 _documentHash
+    ) external payable notPaused nonReentrant {
+        (uint256[] memory amounts, uint64[] memory dueAts) = _oneMilestone(
+            _amount,
+            _dueAt
+        );
+        _openEscrow(
+            _invoiceId,
+            _freelancer,
+            _token,
+            amounts,
+            dueAts,
+            _policy,
+            _acceptBy,
+            _documentHash
+        );
+    }
 
-        escrows[_invoiceId] = Escrow({
-            client: msg.sender,
-            freelancer: _freelancer,
-            amount: _amount,
-            dueAt: _dueAt,
-            deliveredAt: 0,
-            status: Status.Funded
-        });
+    // Same as openEscrow, but the allowance comes from an EIP-2612 permit
+    // signed by the client, so no separate approve transaction is needed
+    function openEscrowWithPermit(
+        bytes32 _invoiceId,
+        address _freelancer,
+        address _token,
+        uint256 _amount,
+        uint64 _dueAt,
+        DuePolicy _policy,
+        uint64 _acceptBy,
+        bytes32 _documentHash,
+        PermitSignature calldata _sig
+    ) external notPaused nonReentrant {
+        _permit(_token, _amount, _sig);
+        (uint256[] memory amounts, uint64[] memory dueAts) = _oneMilestone(
+            _amount,
+            _dueAt
+        );
+        _openEscrow(
+            _invoiceId,
+            _freelancer,
+            _token,
+            amounts,
+            dueAts,
+            _policy,
+            _acceptBy,
+            _documentHash
+        );
+    }
 
-        escrowExists[_invoiceId] = true;
+    // Called by the client to open and fund an escrow paid out in
+    // milestones. Due dates must be in the future and in ascending order.
+    function openMilestoneEscrow(
+        bytes32 _invoiceId,
+        address _freelancer,
+        address _token,
+        uint256[] calldata _amounts,
+        uint64[] calldata _dueAts,
+        DuePolicy _policy,
+        uint64 _acceptBy,
+        bytes32 _documentHash
+    ) external payable notPaused nonReentrant {
+        _openEscrow(
+            _invoiceId,
+            _freelancer,
+            _token,
+            _amounts,
+            _dueAts,
+            _policy,
+            _acceptBy,
+            _documentHash
+        );
+    }
 
-        // Track for both client and freelancer
-        userEscrows[msg.sender].push(_invoiceId);
-        userEscrows[_freelancer].push(_invoiceId);
+    // openMilestoneEscrow funded with a permit for the total amount
+    function openMilestoneEscrowWithPermit(
+        bytes32 _invoiceId,
+        address _freelancer,
+        address _token,
+        uint256[] calldata _amounts,
+        uint64[] calldata _dueAts,
+        DuePolicy _policy,
+        uint64 _acceptBy,
+        bytes32 _documentHash,
+        PermitSignature calldata _sig
+    ) external notPaused nonReentrant {
+        uint256 total;
+        for (uint i = 0; i < _amounts.length; i++) {
+            total += _amounts[i];
+        }
+        _permit(_token, total, _sig);
+        _openEscrow(
+            _invoiceId,
+            _freelancer,
+            _token,
+            _amounts,
+            _dueAts,
+            _policy,
+            _acceptBy,
+            _documentHash
+        );
+    }
+
+    function getEscrow(
+        bytes32 _invoiceId
+    ) external view returns (Escrow memory) {
+        require(escrowExists[_invoiceId], UnknownInvoice());
+        return escrows[_invoiceId];
+    }
+
+    function getMilestones(
+        bytes32 _invoiceId
+    ) external view returns (Milestone[] memory) {
+        require(escrowExists[_invoiceId], UnknownInvoice());
+        return milestones[_invoiceId];
+    }
+
+    // Invoice ID both parties can derive on their own from the invoice
+    // number, so the same invoice cannot be funded twice under different
+    // IDs. The salt tells deliberate reissues apart and is 0 otherwise.
+    function computeInvoiceId(
+        address _client,
+        address _freelancer,
+        string calldata _invoiceNumber,
+        bytes32 _salt
+    ) external pure returns (bytes32) {
+        return
+            keccak256(abi.encode(_client, _freelancer, _invoiceNumber, _salt));
+    }
+
+    // Tokens new escrows may currently be funded in
+    function getAllowedTokens() external view returns (address[] memory) {
+        uint256 count;
+        for (uint i = 0; i < knownTokens.length; i++) {
+            if (allowedTokens[knownTokens[i]]) count++;
+        }
 
-        usdc.safeTransferFrom(msg.sender, address(this), _amount);
-        emit EscrowOpened(_invoiceId, msg.sender, _freelancer, _amount, _dueAt);
+        address[] memory tokens = new address[](count);
+        uint256 next;
+        for (uint i = 0; i < knownTokens.length; i++) {
+            if (allowedTokens[knownTokens[i]]) tokens[next++] = knownTokens[i];
+        }
+        return tokens;
     }
 
     function getEscrowsByAddress(
@@ -151,77 +459,558 @@ contract EscrowV1 {
         returns (
             address[] memory clients,
             address[] memory freelancers,
+            address[] memory tokens,
             uint256[] memory amounts,
             uint64[] memory dueAts,
             uint64[] memory deliveredAts,
-            Status[] memory statuses
+            Status[] memory statuses,
+            DuePolicy[] memory policies,
+            uint64[] memory acceptBys
         )
     {
         clients = new address[](_invoiceIds.length);
         freelancers = new address[](_invoiceIds.length);
+        tokens = new address[](_invoiceIds.length);
         amounts = new uint256[](_invoiceIds.length);
         dueAts = new uint64[](_invoiceIds.length);
         deliveredAts = new uint64[](_invoiceIds.length);
         statuses = new Status[](_invoiceIds.length);
+        policies = new DuePolicy[](_invoiceIds.length);
+        acceptBys = new uint64[](_invoiceIds.length);
 
         for (uint i = 0; i < _invoiceIds.length; i++) {
-            require(escrowExists[_invoiceIds[i]], "INVALID_INVOICE");
+            require(escrowExists[_invoiceIds[i]], UnknownInvoice());
             Escrow storage e = escrows[_invoiceIds[i]];
             clients[i] = e.client;
             freelancers[i] = e.freelancer;
+            tokens[i] = e.token;
             amounts[i] = e.amount;
             dueAts[i] = e.dueAt;
             deliveredAts[i] = e.deliveredAt;
             statuses[i] = e.status;
+            policies[i] = e.policy;
+            acceptBys[i] = e.acceptBy;
         }
     }
 
-    // Called by the freelancer or client to mark the invoice as delivered
+    // Called by the freelancer to accept the terms of an escrow opened with
+    // an acceptance deadline, which makes it binding
+    function acceptEscrow(bytes32 _invoiceId) external notPaused {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.PendingAcceptance, NotPendingAcceptance());
+        require(_msgSender() == e.freelancer, OnlyFreelancer());
+        require(block.timestamp <= e.acceptBy, AcceptanceExpired());
+
+        e.status = Status.Funded;
+        emit EscrowAccepted(_invoiceId, _msgSender(), uint64(block.timestamp));
+    }
+
+    // Called by the freelancer to turn the terms down, refunding the client
+    function declineEscrow(
+        bytes32 _invoiceId
+    ) external notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.PendingAcceptance, NotPendingAcceptance());
+        require(_msgSender() == e.freelancer, OnlyFreelancer());
+
+        emit EscrowDeclined(_invoiceId, _msgSender(), uint64(block.timestamp));
+        _refund(_invoiceId, e);
+    }
+
+    // Called by the client to take the funds back once the acceptance
+    // deadline has passed without the freelancer accepting
+    function reclaimUnaccepted(
+        bytes32 _invoiceId
+    ) external notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.PendingAcceptance, NotPendingAcceptance());
+        require(_msgSender() == e.client, OnlyClient());
+        require(block.timestamp > e.acceptBy, AcceptanceWindowOpen());
+
+        _refund(_invoiceId, e);
+    }
+
+    // Called by the freelancer to mark every outstanding milestone of the
+    // invoice as delivered
     function markDelivered(bytes32 _invoiceId) external notPaused {
+        _markDelivered(_invoiceId, "", bytes32(0));
+    }
+
+    // Same as markDelivered, recording evidence of the deliverable in the
+    // MarkedDelivered event: where it can be fetched (optional) and the
+    // SHA-256 of its content, so the client can check the file received
+    function markDeliveredWithProof(
+        bytes32 _invoiceId,
+        string calldata _deliveryURI,
+        bytes32 _contentHash
+    ) external notPaused {
+        require(_contentHash != bytes32(0), MissingDeliveryProof());
+        _markDelivered(_invoiceId, _deliveryURI, _contentHash);
+    }
+
+    // Called by the freelancer to mark a single milestone as delivered,
+    // which starts its own dispute window
+    function markMilestoneDelivered(
+        bytes32 _invoiceId,
+        uint256 _index
+    ) external notPaused {
         Escrow storage e = escrows[_invoiceId];
-        require(e.status == Status.Funded, "NOT_FUNDED"); // Can only mark funded invoices as delivered
-        require(msg.sender == e.freelancer, "ONLY_FREELANCER"); // Only the freelancer can call this
+        require(e.status == Status.Funded, NotFunded());
+        require(_msgSender() == e.freelancer, OnlyFreelancer());
+        require(_index < milestones[_invoiceId].length, UnknownMilestone());
+        Milestone storage m = milestones[_invoiceId][_index];
+        require(!m.settled, AlreadySettled());
+        require(m.deliveredAt == 0, AlreadyDelivered());
 
-        e.deliveredAt = uint64(block.timestamp);
-        e.status = Status.Delivered;
-        emit MarkedDelivered(_invoiceId, msg.sender, e.deliveredAt);
+        _deliverMilestone(_invoiceId, e, _index);
+        _completeDelivery(_invoiceId, e, "", bytes32(0));
     }
 
-    // Called by the relayer to release funds to the freelancer when conditions are met
-    function releaseToFreelancer(bytes32 _invoiceId) external notPaused {
+    // Called by the client to dispute the escrow before it becomes releasable.
+    // A dispute freezes everything still held, including milestones that
+    // were releasable but not yet released.
+    function dispute(
+        bytes32 _invoiceId,
+        string calldata _reasonURI
+    ) external notPaused {
         Escrow storage e = escrows[_invoiceId];
         require(
             e.status == Status.Funded || e.status == Status.Delivered,
-            "ALREADY_SETTLED"
+            NotDisputable()
         );
-        require(_isReleaseEligible(e), "NOT_ELIGIBLE");
+        require(_msgSender() == e.client, OnlyClient()); // Only the client can dispute
+        require(bytes(_reasonURI).length > 0, MissingReason());
+        // Once all remaining funds are releasable the dispute window is over
+        require(!_isFullyReleasable(_invoiceId, e), DisputeWindowClosed());
 
-        e.status = Status.Released;
-        uint256 amount = e.amount;
-        e.amount = 0; // Prevent re-entrancy
+        e.status = Status.Disputed;
+        emit Disputed(
+            _invoiceId,
+            _msgSender(),
+            uint64(block.timestamp),
+            _reasonURI
+        );
+    }
 
-        usdc.safeTransfer(e.freelancer, amount);
-        emit Released(
+    // Called by anyone, normally the keeper service, to release every
+    // milestone that has become eligible to the freelancer
+    function releaseToFreelancer(
+        bytes32 _invoiceId
+    ) external notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status != Status.Disputed, EscrowDisputed());
+        require(e.status != Status.PendingAcceptance, NotAccepted());
+        require(
+            e.status == Status.Funded || e.status == Status.Delivered,
+            AlreadySettled()
+        );
+
+        uint256 amount;
+        uint64 at = uint64(block.timestamp);
+        Milestone[] storage ms = milestones[_invoiceId];
+        for (uint i = 0; i < ms.length; i++) {
+            if (_isReleaseEligible(e, ms[i])) {
+                ms[i].settled = true;
+                amount += ms[i].amount;
+                emit MilestoneReleased(_invoiceId, i, ms[i].amount, at);
+            }
+        }
+        require(amount > 0, NotEligible());
+
+        e.amount -= amount; // Prevent re-entrancy
+        if (e.amount == 0) {
+            e.status = Status.Released;
+            delete cancelRequested[_invoiceId];
+        }
+
+        _payOut(e.token, e.freelancer, amount);
+        emit Released(_invoiceId, e.freelancer, amount, at);
+    }
+
+    // Called by anyone to refund the client for the milestones of an
+    // AutoRefund escrow that reached their due date without being delivered
+    function refundOverdue(
+        bytes32 _invoiceId
+    ) external notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.Funded, NotFunded());
+
+        uint256 amount;
+        uint64 at = uint64(block.timestamp);
+        Milestone[] storage ms = milestones[_invoiceId];
+        for (uint i = 0; i < ms.length; i++) {
+            if (_isRefundEligible(e, ms[i])) {
+                ms[i].settled = true;
+                amount += ms[i].amount;
+                emit MilestoneRefunded(_invoiceId, i, ms[i].amount, at);
+            }
+        }
+        require(amount > 0, NotEligible());
+
+        e.amount -= amount; // Prevent re-entrancy
+        if (e.amount == 0) {
+            e.status = Status.Refunded;
+            delete cancelRequested[_invoiceId];
+        }
+
+        _payOut(e.token, e.client, amount);
+        emit Refunded(_invoiceId, e.client, amount, at);
+    }
+
+    // Called by the client to propose a mutual cancellation. The freelancer
+    // agrees by calling refundToClient.
+    function requestCancellation(bytes32 _invoiceId) external notPaused {
+        Escrow storage e = escrows[_invoiceId];
+        require(
+            e.status == Status.Funded || e.status == Status.Delivered,
+            NotCancellable()
+        );
+        require(_msgSender() == e.client, OnlyClient());
+        require(
+            !cancelRequested[_invoiceId],
+            CancellationAlreadyRequested()
+        );
+
+        cancelRequested[_invoiceId] = true;
+        emit CancellationRequested(
             _invoiceId,
-            e.freelancer,
-            amount,
+            _msgSender(),
             uint64(block.timestamp)
         );
     }
 
+    // Called by the freelancer to cancel the escrow and return the full
+    // amount to the client, either on their own initiative or to accept the
+    // client's cancellation request. Also concedes an open dispute.
+    function refundToClient(
+        bytes32 _invoiceId
+    ) external notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(
+            e.status == Status.Funded ||
+                e.status == Status.Delivered ||
+                e.status == Status.Disputed,
+            AlreadySettled()
+        );
+        require(_msgSender() == e.freelancer, OnlyFreelancer());
+
+        _refund(_invoiceId, e);
+    }
+
+    // Called by the arbiter to settle a dispute by splitting the funds.
+    // _freelancerBps is the freelancer's share in basis points; the client
+    // is refunded the remainder.
+    function resolveDispute(
+        bytes32 _invoiceId,
+        uint16 _freelancerBps
+    ) external onlyArbiter notPaused nonReentrant {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.Disputed, NotDisputed());
+        require(_freelancerBps <= BPS_DENOMINATOR, InvalidSplit());
+
+        e.status = Status.Resolved;
+        uint256 amount = e.amount;
+        e.amount = 0; // Prevent re-entrancy
+
+        uint256 freelancerShare = (amount * _freelancerBps) / BPS_DENOMINATOR;
+        uint256 clientShare = amount - freelancerShare;
+        uint64 at = uint64(block.timestamp);
+
+        if (freelancerShare > 0) {
+            _payOut(e.token, e.freelancer, freelancerShare);
+            emit Released(_invoiceId, e.freelancer, freelancerShare, at);
+        }
+        if (clientShare > 0) {
+            _payOut(e.token, e.client, clientShare);
+            emit Refunded(_invoiceId, e.client, clientShare, at);
+        }
+        emit DisputeResolved(_invoiceId, _msgSender(), _freelancerBps, at);
+    }
+
+    // Collect native payouts that could not be sent to the caller directly
+    function withdraw() external notPaused nonReentrant {
+        uint256 amount = pendingWithdrawals[_msgSender()];
+        require(amount > 0, NothingToWithdraw());
+        pendingWithdrawals[_msgSender()] = 0;
+
+        (bool sent, ) = payable(_msgSender()).call{value: amount}("");
+        require(sent, NativeTransferFailed());
+        emit Withdrawn(_msgSender(), amount);
+    }
+
     // --- Internal Helper Functions --- //
-    function _isReleaseEligible(Escrow storage e) internal view returns (bool) {
-        // If it's past the due date, release is eligible
-        if (block.timestamp >= e.dueAt) {
-            return true;
+
+    // Validate, record and fund a new escrow for the caller
+    function _openEscrow(
+        bytes32 _invoiceId,
+        address _freelancer,
+        address _token,
+        uint256[] memory _amounts,
+        uint64[] memory _dueAts,
+        DuePolicy _policy,
+        uint64 _acceptBy,
+        bytes32 _documentHash
+    ) internal {
+        require(_invoiceId != bytes32(0), InvalidInvoiceId());
+        require(escrows[_invoiceId].status == Status.None, EscrowExists());
+        require(_freelancer != address(0), InvalidFreelancer());
+        require(
+            _token == NATIVE || allowedTokens[_token],
+            TokenNotAllowed()
+        );
+        require(
+            _amounts.length > 0 &&
+                _amounts.length <= MAX_MILESTONES &&
+                _amounts.length == _dueAts.length,
+            InvalidMilestones()
+        );
+
+        uint256 total;
+        uint64 lastDueAt = uint64(block.timestamp);
+        for (uint i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] > 0, InvalidAmount());
+            require(
+                _dueAts[i] > block.timestamp && _dueAts[i] >= lastDueAt,
+                InvalidDueDate()
+            );
+            milestones[_invoiceId].push(
+                Milestone({
+                    amount: _amounts[i],
+                    dueAt: _dueAts[i],
+                    deliveredAt: 0,
+                    settled: false
+                })
+            );
+            total += _amounts[i];
+            lastDueAt = _dueAts[i];
+        }
+        // Acceptance has to be settled before the first milestone is due
+        require(
+            _acceptBy == 0 ||
+                (_acceptBy > block.timestamp && _acceptBy <= _dueAts[0]),
+            InvalidAcceptanceDeadline()
+        );
+
+        escrows[_invoiceId] = Escrow({
+            client: _msgSender(),
+            freelancer: _freelancer,
+            token: _token,
+            amount: total,
+            dueAt: lastDueAt,
+            deliveredAt: 0,
+            acceptBy: _acceptBy,
+            status: _acceptBy == 0 ? Status.Funded : Status.PendingAcceptance,
+            policy: _policy,
+            documentHash: _documentHash
+        });
+
+        escrowExists[_invoiceId] = true;
+
+        // Track for both client and freelancer
+        userEscrows[_msgSender()].push(_invoiceId);
+        userEscrows[_freelancer].push(_invoiceId);
+
+        // Native escrows arrive with the call, anything else is pulled
+        if (_token == NATIVE) {
+            require(msg.value == total, IncorrectValue());
+        } else {
+            require(msg.value == 0, IncorrectValue());
+            IERC20(_token).safeTransferFrom(_msgSender(), address(this), total);
+        }
+        emit EscrowOpened(
+            _invoiceId,
+            _msgSender(),
+            _freelancer,
+            _token,
+            total,
+            lastDueAt,
+            _policy
+        );
+    }
+
+    function _oneMilestone(
+        uint256 _amount,
+        uint64 _dueAt
+    ) internal pure returns (uint256[] memory amounts, uint64[] memory dueAts) {
+        amounts = new uint256[](1);
+        dueAts = new uint64[](1);
+        amounts[0] = _amount;
+        dueAts[0] = _dueAt;
+    }
+
+    function _permit(
+        address _token,
+        uint256 _amount,
+        PermitSignature calldata _sig
+    ) internal {
+        // A permit copied from the mempool can be used first by someone
+        // else; the allowance is in place either way, so only the transfer
+        // that funds the escrow decides whether opening succeeds
+        try
+            IERC20Permit(_token).permit(
+                _msgSender(),
+                address(this),
+                _amount,
+                _sig.deadline,
+                _sig.v,
+                _sig.r,
+                _sig.s
+            )
+        {} catch {}
+    }
+
+    function _setTokenAllowed(address _token, bool _allowed) internal {
+        require(_token != address(0), ZeroToken());
+        if (_allowed && !_isKnownToken(_token)) {
+            knownTokens.push(_token);
+        }
+        allowedTokens[_token] = _allowed;
+        emit TokenAllowed(_token, _allowed);
+    }
+
+    function _isKnownToken(address _token) internal view returns (bool) {
+        for (uint i = 0; i < knownTokens.length; i++) {
+            if (knownTokens[i] == _token) return true;
+        }
+        return false;
+    }
+
+    function _deliverMilestone(
+        bytes32 _invoiceId,
+        Escrow storage e,
+        uint256 _index
+    ) internal {
+        Milestone storage m = milestones[_invoiceId][_index];
+        // Too late: the client is already entitled to a refund
+        require(!_isRefundEligible(e, m), PastDue());
+
+        m.deliveredAt = uint64(block.timestamp);
+        emit MilestoneDelivered(
+            _invoiceId,
+            _msgSender(),
+            _index,
+            m.deliveredAt
+        );
+    }
+
+    function _markDelivered(
+        bytes32 _invoiceId,
+        string memory _deliveryURI,
+        bytes32 _contentHash
+    ) internal {
+        Escrow storage e = escrows[_invoiceId];
+        require(e.status == Status.Funded, NotFunded()); // Can only mark funded invoices as delivered
+        require(_msgSender() == e.freelancer, OnlyFreelancer()); // Only the freelancer can call this
+
+        Milestone[] storage ms = milestones[_invoiceId];
+        for (uint i = 0; i < ms.length; i++) {
+            if (ms[i].deliveredAt == 0 && !ms[i].settled) {
+                _deliverMilestone(_invoiceId, e, i);
+            }
+        }
+        _completeDelivery(_invoiceId, e, _deliveryURI, _contentHash);
+    }
+
+    // The escrow counts as delivered once no milestone is outstanding
+    function _completeDelivery(
+        bytes32 _invoiceId,
+        Escrow storage e,
+        string memory _deliveryURI,
+        bytes32 _contentHash
+    ) internal {
+        Milestone[] storage ms = milestones[_invoiceId];
+        for (uint i = 0; i < ms.length; i++) {
+            if (ms[i].deliveredAt == 0 && !ms[i].settled) {
+                return;
+            }
+        }
+
+        e.deliveredAt = uint64(block.timestamp);
+        e.status = Status.Delivered;
+        emit MarkedDelivered(
+            _invoiceId,
+            _msgSender(),
+            e.deliveredAt,
+            _deliveryURI,
+            _contentHash
+        );
+    }
+
+    // Send native currency or tokens out of the escrow. Callers update
+    // state first and are nonReentrant, so a recipient that calls back in
+    // finds nothing left to take. A recipient refusing native currency is
+    // credited instead, so it cannot hold up the escrow for the other
+    // party.
+    function _payOut(address _token, address _to, uint256 _amount) internal {
+        if (_token == NATIVE) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            if (!sent) {
+                pendingWithdrawals[_to] += _amount;
+                emit PayoutDeferred(_to, _amount);
+            }
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+
+    function _refund(bytes32 _invoiceId, Escrow storage e) internal {
+        e.status = Status.Refunded;
+        uint256 amount = e.amount;
+        e.amount = 0; // Prevent re-entrancy
+        delete cancelRequested[_invoiceId];
+
+        _payOut(e.token, e.client, amount);
+        emit Refunded(_invoiceId, e.client, amount, uint64(block.timestamp));
+    }
+
+    function _isReleaseEligible(
+        Escrow storage e,
+        Milestone storage m
+    ) internal view returns (bool) {
+        // A disputed escrow is frozen until the dispute is settled
+        if (e.status == Status.Disputed || m.settled) {
+            return false;
         }
         // If it was delivered and the dispute window has passed, release is eligible
         if (
-            e.deliveredAt != 0 &&
-            block.timestamp >= e.deliveredAt + disputeWindow
+            m.deliveredAt != 0 &&
+            block.timestamp >= m.deliveredAt + disputeWindow
+        ) {
+            return true;
+        }
+        // Past the due date, only AutoRelease escrows pay out without the window
+        if (
+            e.policy == DuePolicy.AutoRelease && block.timestamp >= m.dueAt
         ) {
             return true;
         }
         return false;
     }
+
+    function _isRefundEligible(
+        Escrow storage e,
+        Milestone storage m
+    ) internal view returns (bool) {
+        // Only undelivered AutoRefund milestones go back to the client at the due date
+        return
+            e.status == Status.Funded &&
+            !m.settled &&
+            m.deliveredAt == 0 &&
+            e.policy == DuePolicy.AutoRefund &&
+            block.timestamp >= m.dueAt;
+    }
+
+    // Whether every milestone still held could be released right now
+    function _isFullyReleasable(
+        bytes32 _invoiceId,
+        Escrow storage e
+    ) internal view returns (bool) {
+        Milestone[] storage ms = milestones[_invoiceId];
+        for (uint i = 0; i < ms.length; i++) {
+            if (!ms[i].settled && !_isReleaseEligible(e, ms[i])) {
+                return false;
+            }
+        }
+        return true;
+    }
 }
@@ -2,13 +2,15 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockUSDC
  * @dev A simple mock USDC token for testing on local and test networks.
  * The contract owner can mint unlimited tokens to any address.
+ * Supports EIP-2612 permits, so approvals can be signed off-chain.
  */
-contract MockUSDC is ERC20 {
+contract MockUSDC is ERC20, ERC20Permit {
     uint8 private _decimals;
 
     // The contract deployer becomes the owner and can mint tokens
@@ -23,7 +25,9 @@ contract MockUSDC is ERC20 {
      * @dev Constructor that gives msg.sender all initial tokens and sets decimals.
      * @param _initialSupply The initial amount of tokens to mint to the deployer.
      */
-    constructor(uint256 _initialSupply) ERC20("Mock USDC", "mUSDC") {
+    constructor(
+        uint256 _initialSupply
+    ) ERC20("Mock USDC", "mUSDC") ERC20Permit("Mock USDC") {
         owner = msg.sender;
         _decimals = 6; // USDC uses 6 decimals
         _mint(msg.sender, _initialSupply * 10 ** decimals());
@@ -3,6 +3,7 @@ pragma solidity ^0.8.20;
 
 // Import necessary for testing
 import "forge-std/Test.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
 // Import our contracts
 import "../src/EscrowV1.sol";
 import "../src/MockUSDC.sol";
@@ -15,6 +16,7 @@ contract EscrowV1Test is Test {
     // Declare contract variables
     EscrowV1 public escrow;
     MockUSDC public usdc;
+    ERC2771Forwarder public forwarder;
 
     // Test addresses
     address public owner = address(0x123);
@@ -23,6 +25,8 @@ contract EscrowV1Test is Test {
 
     // Test parameters
     bytes32 constant TEST_INVOICE_ID = keccak256(abi.encode("test_invoice_1"));
+    bytes32 constant TEST_DOCUMENT_HASH =
+        keccak256(abi.encode("test_invoice_document_1"));
     uint256 constant TEST_AMOUNT = 1000 * 10 ** 6; // 1000 USDC (6 decimals)
     uint64 constant TEST_DUE_DATE = 1735689600; // A future timestamp
 
@@ -30,7 +34,7 @@ contract EscrowV1Test is Test {
      * @dev Set up the testing environment before each test
      * 1. Label addresses for better error messages
      * 2. Deploy MockUSDC and mint tokens to the client
-     * 3. Deploy the EscrowV1 contract
+     * 3. Deploy the forwarder and the EscrowV1 contract
      */
     function setUp() public {
         // Label addresses for clearer test traces
@@ -45,8 +49,9 @@ contract EscrowV1Test is Test {
         usdc = new MockUSDC(0); // Start with 0 supply
         usdc.mint(client, 10000); // Mint 10,000 mock USDC to the client
 
-        // Deploy the Escrow Contract, passing the Mock USDC address
-        escrow = new EscrowV1(address(usdc));
+        // Deploy the forwarder and the Escrow Contract that trusts it
+        forwarder = new ERC2771Forwarder("InvoiceCover");
+        escrow = new EscrowV1(address(usdc), address(forwarder));
 
         vm.stopPrank();
     }
@@ -75,24 +80,26 @@ contract EscrowV1Test is Test {
         escrow.openEscrow(
             TEST_INVOICE_ID,
             freelancer,
+            address(usdc),
             TEST_AMOUNT,
-            TEST_DUE_DATE
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            TEST_DOCUMENT_HASH
         );
 
         // Check that the escrow was created correctly
-        (
-            address escrowClient,
-            address escrowFreelancer,
-            uint256 amount,
-            ,
-            ,
-            EscrowV1.Status status
-        ) = escrow.escrows(TEST_INVOICE_ID);
-        assertEq(escrowClient, client, "Client should match");
-        assertEq(escrowFreelancer, freelancer, "Freelancer should match");
-        assertEq(amount, TEST_AMOUNT, "Amount should match");
-        assertEq(
-            uint256(status),
+        EscrowV1.Escrow memory opened = escrow.getEscrow(TEST_INVOICE_ID);
+        assertEq(opened.client, client, "Client should match");
+        assertEq(opened.freelancer, freelancer, "Freelancer should match");
+        assertEq(opened.amount, TEST_AMOUNT, "Amount should match");
+        assertEq(
+            opened.documentHash,
+            TEST_DOCUMENT_HASH,
+            "Invoice document hash should be committed"
+        );
+        assertEq(
+            uint256(opened.status),
             uint256(EscrowV1.Status.Funded),
             "Status should be Funded"
         );
@@ -134,30 +141,19 @@ contract EscrowV1Test is Test {
         );
 
         // Check the escrow status is now 'Released'
-        (, , , , , EscrowV1.Status finalStatus) = escrow.escrows(
-            TEST_INVOICE_ID
-        );
         assertEq(
-            uint256(finalStatus),
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
             uint256(EscrowV1.Status.Released),
             "Final status should be Released"
         );
     }
 
     /**
-     * @dev Test that funds can be released automatically after the due date,
-     * even if the invoice was never marked as delivered.
+     * @dev Test that AutoRelease escrows can be released automatically after
+     * the due date, even if the invoice was never marked as delivered.
      */
     function test_ReleaseAfterDueDate() public {
-        vm.startPrank(client);
-        usdc.approve(address(escrow), TEST_AMOUNT);
-        escrow.openEscrow(
-            TEST_INVOICE_ID,
-            freelancer,
-            TEST_AMOUNT,
-            TEST_DUE_DATE
-        );
-        vm.stopPrank();
+        _openTestEscrow(EscrowV1.DuePolicy.AutoRelease);
 
         // Fast-forward time to 1 second after the due date
         vm.warp(TEST_DUE_DATE + 1);
@@ -174,24 +170,1439 @@ contract EscrowV1Test is Test {
     }
 
     /**
-     * @dev Test that the owner can pause the contract to stop all actions.
+     * @dev Test that RequireDelivery escrows are not paid out at the due date
+     * when the freelancer never delivered.
      */
-    function test_PauseFunctionality() public {
-        // Owner pauses the contract
+    function test_RequireDeliveryBlocksReleaseAtDueDate() public {
+        _openTestEscrow(EscrowV1.DuePolicy.RequireDelivery);
+
+        vm.warp(TEST_DUE_DATE + 1);
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        // Nor does the client get an automatic refund
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.refundOverdue(TEST_INVOICE_ID);
+
+        // Late delivery is still accepted and starts the dispute window
+        vm.prank(freelancer);
+        escrow.markDelivered(TEST_INVOICE_ID);
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(freelancer),
+            TEST_AMOUNT,
+            "Freelancer should be paid after the dispute window"
+        );
+    }
+
+    /**
+     * @dev Test that AutoRefund escrows return the funds to the client at the
+     * due date when the freelancer never delivered.
+     */
+    function test_AutoRefundAfterDueDate() public {
+        _openTestEscrow(EscrowV1.DuePolicy.AutoRefund);
+
+        // Not before the due date
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.refundOverdue(TEST_INVOICE_ID);
+
+        vm.warp(TEST_DUE_DATE + 1);
+
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        // Delivering after the due date is too late
+        vm.prank(freelancer);
+        vm.expectRevert(EscrowV1.PastDue.selector);
+        escrow.markDelivered(TEST_INVOICE_ID);
+
+        // Anyone can trigger the refund
+        escrow.refundOverdue(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(client),
+            10000 * 10 ** 6,
+            "Client should get the full amount back"
+        );
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Refunded),
+            "Status should be Refunded"
+        );
+    }
+
+    /**
+     * @dev Test that a client can dispute delivered work inside the dispute
+     * window and that a disputed escrow can no longer be released.
+     */
+    function test_DisputeBlocksRelease() public {
+        _openTestEscrow();
+
+        vm.prank(freelancer);
+        escrow.markDelivered(TEST_INVOICE_ID);
+
+        // Client disputes two days after delivery (inside the 5-day window)
+        vm.warp(block.timestamp + 2 days);
+        vm.prank(client);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Disputed),
+            "Status should be Disputed"
+        );
+
+        // Even after the window and the due date, release stays blocked
+        vm.warp(TEST_DUE_DATE + 1);
+        vm.expectRevert(EscrowV1.EscrowDisputed.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            TEST_AMOUNT,
+            "Escrow contract should still hold the USDC"
+        );
+    }
+
+    /**
+     * @dev Test that only the client can dispute, and only before the
+     * escrow becomes eligible for release.
+     */
+    function test_DisputeRestrictions() public {
+        _openTestEscrow();
+
+        // The freelancer cannot dispute
+        vm.prank(freelancer);
+        vm.expectRevert(EscrowV1.OnlyClient.selector);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+
+        // A reason is required
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.MissingReason.selector);
+        escrow.dispute(TEST_INVOICE_ID, "");
+
+        vm.prank(freelancer);
+        escrow.markDelivered(TEST_INVOICE_ID);
+
+        // After the dispute window has passed the client is too late
+        vm.warp(block.timestamp + 6 days);
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.DisputeWindowClosed.selector);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+    }
+
+    /**
+     * @dev Test that the arbiter can settle a dispute with a split payout:
+     * 70% to the freelancer and the remaining 30% back to the client.
+     */
+    function test_ResolveDisputeSplit() public {
+        address arbiter = address(0xA4B);
         vm.prank(owner);
-        escrow.setPaused(true);
+        escrow.setArbiter(arbiter);
+
+        _openTestEscrow();
+        vm.prank(client);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+
+        // Only the arbiter can resolve
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.NotArbiter.selector);
+        escrow.resolveDispute(TEST_INVOICE_ID, 7_000);
+
+        vm.prank(arbiter);
+        vm.expectRevert(EscrowV1.InvalidSplit.selector);
+        escrow.resolveDispute(TEST_INVOICE_ID, 10_001);
+
+        vm.prank(arbiter);
+        escrow.resolveDispute(TEST_INVOICE_ID, 7_000);
+
+        assertEq(
+            usdc.balanceOf(freelancer),
+            700 * 10 ** 6,
+            "Freelancer should receive 70%"
+        );
+        assertEq(
+            usdc.balanceOf(client),
+            9300 * 10 ** 6,
+            "Client should be refunded 30%"
+        );
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            0,
+            "Escrow contract balance should be zero"
+        );
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Resolved),
+            "Status should be Resolved"
+        );
+
+        // A resolved escrow cannot be resolved twice
+        vm.prank(arbiter);
+        vm.expectRevert(EscrowV1.NotDisputed.selector);
+        escrow.resolveDispute(TEST_INVOICE_ID, 0);
+    }
+
+    /**
+     * @dev Test mutual cancellation: the client requests it and the
+     * freelancer accepts, returning the full amount to the client.
+     */
+    function test_MutualCancellationRefundsClient() public {
+        _openTestEscrow();
+
+        vm.prank(client);
+        escrow.requestCancellation(TEST_INVOICE_ID);
+        assertTrue(
+            escrow.cancelRequested(TEST_INVOICE_ID),
+            "Cancellation should be requested"
+        );
+
+        // Only the freelancer can agree to the refund
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.OnlyFreelancer.selector);
+        escrow.refundToClient(TEST_INVOICE_ID);
+
+        vm.prank(freelancer);
+        escrow.refundToClient(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(client),
+            10000 * 10 ** 6,
+            "Client should get the full amount back"
+        );
+        assertFalse(
+            escrow.cancelRequested(TEST_INVOICE_ID),
+            "Cancellation request should be cleared"
+        );
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Refunded),
+            "Status should be Refunded"
+        );
+
+        // Nothing left to release
+        vm.warp(TEST_DUE_DATE + 1);
+        vm.expectRevert(EscrowV1.AlreadySettled.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+    }
+
+    /**
+     * @dev Test an escrow opened with an acceptance deadline: it only
+     * becomes binding once the freelancer accepts, before the deadline.
+     */
+    function test_FreelancerAcceptsTerms() public {
+        uint64 acceptBy = uint64(block.timestamp + 3 days);
 
-        // Try to open an escrow as the client - it should fail
         vm.startPrank(client);
         usdc.approve(address(escrow), TEST_AMOUNT);
+        // The deadline cannot be after the due date
+        vm.expectRevert(EscrowV1.InvalidAcceptanceDeadline.selector);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            TEST_DUE_DATE + 1,
+            bytes32(0)
+        );
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            acceptBy,
+            bytes32(0)
+        );
+        vm.stopPrank();
+
+        EscrowV1.Escrow memory opened = escrow.getEscrow(TEST_INVOICE_ID);
+        assertEq(
+            uint256(opened.status),
+            uint256(EscrowV1.Status.PendingAcceptance),
+            "Status should be PendingAcceptance"
+        );
+        assertEq(opened.acceptBy, acceptBy, "Acceptance deadline mismatch");
+
+        // Nothing moves until the terms are accepted
+        vm.prank(freelancer);
+        vm.expectRevert(EscrowV1.NotFunded.selector);
+        escrow.markDelivered(TEST_INVOICE_ID);
+        vm.expectRevert(EscrowV1.NotAccepted.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        // Only the freelancer can accept
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.OnlyFreelancer.selector);
+        escrow.acceptEscrow(TEST_INVOICE_ID);
+
+        vm.prank(freelancer);
+        escrow.acceptEscrow(TEST_INVOICE_ID);
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Funded),
+            "Status should be Funded"
+        );
+
+        // Once accepted, the client cannot take the funds back
+        vm.warp(acceptBy + 1);
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.NotPendingAcceptance.selector);
+        escrow.reclaimUnaccepted(TEST_INVOICE_ID);
+    }
+
+    /**
+     * @dev Test that an escrow the freelancer never accepts goes back to
+     * the client, either when the freelancer declines it or once the
+     * acceptance deadline passes.
+     */
+    function test_UnacceptedEscrowRefundsClient() public {
+        bytes32 otherInvoiceId = keccak256(abi.encode("test_invoice_2"));
+        uint64 acceptBy = uint64(block.timestamp + 3 days);
 
-        vm.expectRevert("PAUSED");
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT * 2);
         escrow.openEscrow(
             TEST_INVOICE_ID,
             freelancer,
+            address(usdc),
             TEST_AMOUNT,
-            TEST_DUE_DATE
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            acceptBy,
+            bytes32(0)
+        );
+        escrow.openEscrow(
+            otherInvoiceId,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            acceptBy,
+            bytes32(0)
+        );
+        vm.stopPrank();
+
+        // Declining refunds the client straight away
+        vm.prank(freelancer);
+        escrow.declineEscrow(TEST_INVOICE_ID);
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Refunded),
+            "Declined escrow should be Refunded"
+        );
+
+        // The client has to wait for the deadline to reclaim
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.AcceptanceWindowOpen.selector);
+        escrow.reclaimUnaccepted(otherInvoiceId);
+
+        vm.warp(acceptBy + 1);
+        vm.prank(freelancer);
+        vm.expectRevert(EscrowV1.AcceptanceExpired.selector);
+        escrow.acceptEscrow(otherInvoiceId);
+
+        vm.prank(client);
+        escrow.reclaimUnaccepted(otherInvoiceId);
+        assertEq(
+            usdc.balanceOf(client),
+            10000 * 10 ** 6,
+            "Client should get both amounts back"
+        );
+        assertEq(
+            uint256(escrow.getEscrow(otherInvoiceId).status),
+            uint256(EscrowV1.Status.Refunded),
+            "Reclaimed escrow should be Refunded"
+        );
+    }
+
+    /**
+     * @dev Test that the freelancer can walk away from a disputed escrow,
+     * refunding the client without the arbiter.
+     */
+    function test_FreelancerRefundsDisputedEscrow() public {
+        _openTestEscrow();
+
+        vm.prank(client);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+
+        vm.prank(freelancer);
+        escrow.refundToClient(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(client),
+            10000 * 10 ** 6,
+            "Client should get the full amount back"
+        );
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            0,
+            "Escrow contract balance should be zero"
+        );
+    }
+
+    /**
+     * @dev Test that a client can fund an escrow with a signed permit
+     * instead of a separate approve transaction.
+     */
+    function test_OpenEscrowWithPermit() public {
+        (address signer, uint256 signerKey) = makeAddrAndKey("PermitClient");
+        vm.prank(owner);
+        usdc.mint(signer, 10000);
+
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(
+            signerKey,
+            signer,
+            TEST_AMOUNT,
+            deadline
+        );
+
+        vm.prank(signer);
+        escrow.openEscrowWithPermit(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0),
+            EscrowV1.PermitSignature(deadline, v, r, s)
+        );
+
+        EscrowV1.Escrow memory opened = escrow.getEscrow(TEST_INVOICE_ID);
+        assertEq(opened.client, signer, "Signer should be the client");
+        assertEq(
+            uint256(opened.status),
+            uint256(EscrowV1.Status.Funded),
+            "Escrow should be funded"
+        );
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            TEST_AMOUNT,
+            "Escrow should hold the funds"
+        );
+        assertEq(usdc.nonces(signer), 1, "Permit should be consumed");
+        assertEq(
+            usdc.allowance(signer, address(escrow)),
+            0,
+            "Allowance should be used up"
+        );
+    }
+
+    /**
+     * @dev Test that a permit signed for a smaller amount cannot fund the
+     * escrow, and that an already-used permit does not block funding.
+     */
+    function test_OpenEscrowWithPermitChecksAllowance() public {
+        (address signer, uint256 signerKey) = makeAddrAndKey("PermitClient");
+        vm.prank(owner);
+        usdc.mint(signer, 10000);
+
+        uint256 deadline = block.timestamp + 1 hours;
+        (uint8 v, bytes32 r, bytes32 s) = _signPermit(
+            signerKey,
+            signer,
+            TEST_AMOUNT - 1,
+            deadline
+        );
+
+        vm.startPrank(signer);
+        vm.expectRevert(
+            abi.encodeWithSelector(
+                IERC20Errors.ERC20InsufficientAllowance.selector,
+                address(escrow),
+                0,
+                TEST_AMOUNT
+            )
+        );
+        escrow.openEscrowWithPermit(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0),
+            EscrowV1.PermitSignature(deadline, v, r, s)
         );
         vm.stopPrank();
+
+        // Someone submits the permit first: funding still goes through
+        (v, r, s) = _signPermit(signerKey, signer, TEST_AMOUNT, deadline);
+        usdc.permit(signer, address(escrow), TEST_AMOUNT, deadline, v, r, s);
+
+        vm.prank(signer);
+        escrow.openEscrowWithPermit(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0),
+            EscrowV1.PermitSignature(deadline, v, r, s)
+        );
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            TEST_AMOUNT,
+            "Escrow should hold the funds"
+        );
+    }
+
+    /**
+     * @dev Test marking delivered with proof: the deliverable's link and
+     * content hash are emitted with MarkedDelivered, and a hash is required.
+     */
+    function test_MarkDeliveredWithProof() public {
+        _openTestEscrow();
+        bytes32 contentHash = sha256("final deliverable");
+
+        vm.startPrank(freelancer);
+        vm.expectRevert(EscrowV1.MissingDeliveryProof.selector);
+        escrow.markDeliveredWithProof(
+            TEST_INVOICE_ID,
+            "ipfs://deliverable",
+            bytes32(0)
+        );
+
+        vm.expectEmit(true, true, false, true, address(escrow));
+        emit EscrowV1.MarkedDelivered(
+            TEST_INVOICE_ID,
+            freelancer,
+            uint64(block.timestamp),
+            "ipfs://deliverable",
+            contentHash
+        );
+        escrow.markDeliveredWithProof(
+            TEST_INVOICE_ID,
+            "ipfs://deliverable",
+            contentHash
+        );
+        vm.stopPrank();
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Delivered),
+            "Status should be Delivered"
+        );
+    }
+
+    /**
+     * @dev Test that a freelancer without gas can mark delivered by signing
+     * a request that a relayer submits through the trusted forwarder.
+     */
+    function test_MarkDeliveredThroughForwarder() public {
+        (address signer, uint256 signerKey) = makeAddrAndKey("Freelancer2");
+        address relayer = makeAddr("Relayer");
+
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            signer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+
+        ERC2771Forwarder.ForwardRequestData
+            memory request = _signForwardRequest(
+                signerKey,
+                signer,
+                abi.encodeCall(EscrowV1.markDelivered, (TEST_INVOICE_ID))
+            );
+
+        vm.expectEmit(true, true, false, true, address(escrow));
+        emit EscrowV1.MarkedDelivered(
+            TEST_INVOICE_ID,
+            signer,
+            uint64(block.timestamp),
+            "",
+            bytes32(0)
+        );
+        vm.prank(relayer);
+        forwarder.execute(request);
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Delivered),
+            "Status should be Delivered"
+        );
+        assertEq(forwarder.nonces(signer), 1, "Request should be consumed");
+    }
+
+    /**
+     * @dev Test that a relayed call only acts for the party who signed it:
+     * the forwarder rejects a mismatched signer, and a signed request from
+     * someone other than the freelancer hits the escrow's own checks.
+     */
+    function test_ForwardedCallsRequireTheRightSigner() public {
+        _openTestEscrow();
+        (address outsider, uint256 outsiderKey) = makeAddrAndKey("Outsider");
+        bytes memory markDelivered = abi.encodeCall(
+            EscrowV1.markDelivered,
+            (TEST_INVOICE_ID)
+        );
+
+        // Signed by the outsider but claiming to come from the freelancer
+        ERC2771Forwarder.ForwardRequestData
+            memory request = _signForwardRequest(
+                outsiderKey,
+                outsider,
+                markDelivered
+            );
+        request.from = freelancer;
+        vm.expectPartialRevert(
+            ERC2771Forwarder.ERC2771ForwarderInvalidSigner.selector
+        );
+        forwarder.execute(request);
+
+        // Valid signature, but the outsider is not the freelancer
+        request = _signForwardRequest(outsiderKey, outsider, markDelivered);
+        vm.prank(outsider);
+        vm.expectRevert(EscrowV1.OnlyFreelancer.selector);
+        escrow.markDelivered(TEST_INVOICE_ID);
+        vm.expectRevert(Errors.FailedCall.selector);
+        forwarder.execute(request);
+    }
+
+    /**
+     * @dev Test that milestones are delivered and paid out independently:
+     * 1. Client opens an escrow split into three milestones
+     * 2. Freelancer delivers the first one, which is released on its own
+     * 3. Delivering the remaining milestones marks the escrow as delivered
+     * 4. The last release settles the escrow
+     */
+    function test_MilestonesReleaseIndependently() public {
+        _openMilestoneTestEscrow(EscrowV1.DuePolicy.RequireDelivery);
+
+        EscrowV1.Escrow memory opened = escrow.getEscrow(TEST_INVOICE_ID);
+        assertEq(opened.amount, TEST_AMOUNT, "Amount should be the total");
+        assertEq(opened.dueAt, TEST_DUE_DATE, "Due date should be the last");
+        assertEq(
+            escrow.getMilestones(TEST_INVOICE_ID).length,
+            3,
+            "Three milestones should be recorded"
+        );
+
+        // 2. Only the delivered milestone is paid after its window
+        vm.prank(freelancer);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 0);
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(freelancer),
+            300 * 10 ** 6,
+            "Freelancer should be paid for the first milestone"
+        );
+        assertEq(
+            escrow.getEscrow(TEST_INVOICE_ID).amount,
+            700 * 10 ** 6,
+            "The rest should stay in escrow"
+        );
+        assertTrue(
+            escrow.getMilestones(TEST_INVOICE_ID)[0].settled,
+            "First milestone should be settled"
+        );
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Funded),
+            "Status should still be Funded"
+        );
+
+        // Nothing else is eligible yet
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        // 3. Deliver the remaining milestones one by one
+        vm.startPrank(freelancer);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 1);
+        vm.expectRevert(EscrowV1.AlreadyDelivered.selector);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 1);
+        vm.expectRevert(EscrowV1.UnknownMilestone.selector);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 3);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 2);
+        vm.stopPrank();
+
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Delivered),
+            "Status should be Delivered once all milestones are"
+        );
+
+        // 4. Release the rest after the dispute window
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(
+            usdc.balanceOf(freelancer),
+            TEST_AMOUNT,
+            "Freelancer should be paid in full"
+        );
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Released),
+            "Final status should be Released"
+        );
+    }
+
+    /**
+     * @dev Test that milestone plans are validated when the escrow is opened.
+     */
+    function test_OpenMilestoneEscrowValidation() public {
+        (uint256[] memory amounts, uint64[] memory dueAts) = _milestonePlan();
+
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT);
+
+        // Every milestone needs a due date
+        vm.expectRevert(EscrowV1.InvalidMilestones.selector);
+        escrow.openMilestoneEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            amounts,
+            new uint64[](2),
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+
+        // At least one milestone is required
+        vm.expectRevert(EscrowV1.InvalidMilestones.selector);
+        escrow.openMilestoneEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            new uint256[](0),
+            new uint64[](0),
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+
+        // Due dates must be in ascending order
+        (dueAts[0], dueAts[1]) = (dueAts[1], dueAts[0]);
+        vm.expectRevert(EscrowV1.InvalidDueDate.selector);
+        escrow.openMilestoneEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            amounts,
+            dueAts,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        (dueAts[0], dueAts[1]) = (dueAts[1], dueAts[0]);
+
+        // Every milestone must be worth something
+        amounts[1] = 0;
+        vm.expectRevert(EscrowV1.InvalidAmount.selector);
+        escrow.openMilestoneEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            amounts,
+            dueAts,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+    }
+
+    /**
+     * @dev Test that AutoRefund applies per milestone: an overdue,
+     * undelivered milestone goes back to the client while a delivered one
+     * is still paid to the freelancer.
+     */
+    function test_AutoRefundOverdueMilestone() public {
+        _openMilestoneTestEscrow(EscrowV1.DuePolicy.AutoRefund);
+        (, uint64[] memory dueAts) = _milestonePlan();
+
+        // First milestone delivered on time, second one missed
+        vm.prank(freelancer);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 0);
+        vm.warp(dueAts[1] + 1);
+
+        vm.prank(freelancer);
+        vm.expectRevert(EscrowV1.PastDue.selector);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 1);
+
+        escrow.refundOverdue(TEST_INVOICE_ID);
+        assertEq(
+            usdc.balanceOf(client),
+            (10000 - 700) * 10 ** 6,
+            "Client should get the missed milestone back"
+        );
+        assertTrue(
+            escrow.getMilestones(TEST_INVOICE_ID)[1].settled,
+            "Missed milestone should be settled"
+        );
+
+        // Nothing more is overdue yet
+        vm.expectRevert(EscrowV1.NotEligible.selector);
+        escrow.refundOverdue(TEST_INVOICE_ID);
+
+        // The delivered milestone is still paid out
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+        assertEq(
+            usdc.balanceOf(freelancer),
+            300 * 10 ** 6,
+            "Freelancer should be paid for the delivered milestone"
+        );
+        assertEq(
+            escrow.getEscrow(TEST_INVOICE_ID).amount,
+            400 * 10 ** 6,
+            "Only the last milestone should remain"
+        );
+    }
+
+    /**
+     * @dev Test that a dispute freezes what is left after partial releases,
+     * and that the arbiter splits only the remaining amount.
+     */
+    function test_DisputeAfterPartialRelease() public {
+        _openMilestoneTestEscrow(EscrowV1.DuePolicy.RequireDelivery);
+
+        vm.prank(freelancer);
+        escrow.markMilestoneDelivered(TEST_INVOICE_ID, 0);
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        vm.prank(client);
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+
+        // Half of the remaining 700 USDC to each side
+        vm.prank(owner);
+        escrow.resolveDispute(TEST_INVOICE_ID, 5_000);
+
+        assertEq(
+            usdc.balanceOf(freelancer),
+            650 * 10 ** 6,
+            "Freelancer should get the first milestone and half the rest"
+        );
+        assertEq(
+            usdc.balanceOf(client),
+            (10000 - 650) * 10 ** 6,
+            "Client should get the other half back"
+        );
+        assertEq(
+            usdc.balanceOf(address(escrow)),
+            0,
+            "Escrow contract balance should be zero"
+        );
+    }
+
+    /**
+     * @dev Test the token allowlist: only allowed tokens can fund new
+     * escrows, each escrow settles in its own token, and disallowing a
+     * token does not strand escrows already funded in it.
+     */
+    function test_TokenAllowlist() public {
+        // A second token, e.g. EURC
+        vm.startPrank(owner);
+        MockUSDC eurc = new MockUSDC(0);
+        eurc.mint(client, 10000);
+        vm.stopPrank();
+
+        vm.startPrank(client);
+        eurc.approve(address(escrow), TEST_AMOUNT);
+        vm.expectRevert(EscrowV1.TokenNotAllowed.selector);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(eurc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+
+        // Only the owner manages the allowlist
+        vm.prank(client);
+        vm.expectRevert(EscrowV1.NotOwner.selector);
+        escrow.setTokenAllowed(address(eurc), true);
+
+        vm.prank(owner);
+        vm.expectRevert(EscrowV1.ZeroToken.selector);
+        escrow.setTokenAllowed(address(0), true);
+
+        vm.prank(owner);
+        escrow.setTokenAllowed(address(eurc), true);
+        address[] memory allowed = escrow.getAllowedTokens();
+        assertEq(allowed.length, 2, "Both tokens should be allowed");
+        assertEq(allowed[1], address(eurc), "EURC should be listed");
+
+        vm.prank(client);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(eurc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        assertEq(
+            escrow.getEscrow(TEST_INVOICE_ID).token,
+            address(eurc),
+            "Escrow should record its token"
+        );
+
+        // Disallowing the token stops new escrows only
+        vm.prank(owner);
+        escrow.setTokenAllowed(address(eurc), false);
+        allowed = escrow.getAllowedTokens();
+        assertEq(allowed.length, 1, "Only USDC should remain allowed");
+        assertEq(allowed[0], address(usdc), "USDC should still be listed");
+
+        vm.prank(freelancer);
+        escrow.markDelivered(TEST_INVOICE_ID);
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(
+            eurc.balanceOf(freelancer),
+            TEST_AMOUNT,
+            "Freelancer should be paid in EURC"
+        );
+        assertEq(
+            usdc.balanceOf(freelancer),
+            0,
+            "No USDC should move for an EURC escrow"
+        );
+    }
+
+    /**
+     * @dev Test a native-currency escrow: it is funded with the call's
+     * value, must match the amount exactly, and pays out in native currency.
+     */
+    function test_NativeEscrow() public {
+        address nativeToken = escrow.NATIVE();
+        vm.deal(client, 10 ether);
+
+        vm.startPrank(client);
+        vm.expectRevert(EscrowV1.IncorrectValue.selector);
+        escrow.openEscrow{value: 0.5 ether}(
+            TEST_INVOICE_ID,
+            freelancer,
+            nativeToken,
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+
+        // Token escrows do not take native currency on top
+        usdc.approve(address(escrow), TEST_AMOUNT);
+        vm.expectRevert(EscrowV1.IncorrectValue.selector);
+        escrow.openEscrow{value: 1 ether}(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+
+        escrow.openEscrow{value: 1 ether}(
+            TEST_INVOICE_ID,
+            freelancer,
+            nativeToken,
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+        assertEq(address(escrow).balance, 1 ether, "Escrow should hold 1 ETH");
+
+        vm.prank(freelancer);
+        escrow.markDelivered(TEST_INVOICE_ID);
+        vm.warp(block.timestamp + 5 days);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+
+        assertEq(freelancer.balance, 1 ether, "Freelancer should get 1 ETH");
+        assertEq(address(escrow).balance, 0, "Escrow should be empty");
+    }
+
+    /**
+     * @dev Test that a freelancer contract calling back into the escrow
+     * while receiving a native payout is stopped by the reentrancy guard.
+     */
+    function test_NativePayoutReentrancy() public {
+        ReentrantFreelancer attacker = new ReentrantFreelancer(escrow);
+        bytes32 otherInvoiceId = keccak256(abi.encode("test_invoice_2"));
+        vm.deal(client, 10 ether);
+
+        // Two AutoRelease escrows for the same freelancer, both due
+        vm.startPrank(client);
+        escrow.openEscrow{value: 1 ether}(
+            TEST_INVOICE_ID,
+            address(attacker),
+            escrow.NATIVE(),
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.AutoRelease,
+            0,
+            bytes32(0)
+        );
+        escrow.openEscrow{value: 1 ether}(
+            otherInvoiceId,
+            address(attacker),
+            escrow.NATIVE(),
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.AutoRelease,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+        attacker.setReentryInvoiceId(otherInvoiceId);
+        vm.warp(TEST_DUE_DATE);
+
+        // Being paid for the first, it calls back in to release the second
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+        assertEq(
+            attacker.reentryError(),
+            ReentrancyGuard.ReentrancyGuardReentrantCall.selector,
+            "Reentry should hit the guard"
+        );
+        assertEq(
+            address(attacker).balance,
+            1 ether,
+            "Only the first escrow should be paid"
+        );
+        assertEq(
+            address(escrow).balance,
+            1 ether,
+            "The second escrow should still be held"
+        );
+    }
+
+    /**
+     * @dev Test that a freelancer refusing native currency does not block
+     * the release: the payout is credited and withdrawn once it accepts.
+     */
+    function test_RefusedNativePayoutIsWithdrawable() public {
+        RejectingReceiver receiver = new RejectingReceiver(escrow);
+        vm.deal(client, 10 ether);
+
+        vm.startPrank(client);
+        escrow.openEscrow{value: 1 ether}(
+            TEST_INVOICE_ID,
+            address(receiver),
+            escrow.NATIVE(),
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.AutoRelease,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+        vm.warp(TEST_DUE_DATE);
+
+        vm.expectEmit(true, false, false, true, address(escrow));
+        emit EscrowV1.PayoutDeferred(address(receiver), 1 ether);
+        escrow.releaseToFreelancer(TEST_INVOICE_ID);
+        assertEq(
+            uint256(escrow.getEscrow(TEST_INVOICE_ID).status),
+            uint256(EscrowV1.Status.Released),
+            "Escrow should be released"
+        );
+        assertEq(
+            escrow.pendingWithdrawals(address(receiver)),
+            1 ether,
+            "Payout should be credited"
+        );
+
+        // Still refusing, the withdrawal fails and the credit stays
+        vm.expectRevert(EscrowV1.NativeTransferFailed.selector);
+        receiver.withdraw();
+        assertEq(
+            escrow.pendingWithdrawals(address(receiver)),
+            1 ether,
+            "Credit should survive a failed withdrawal"
+        );
+
+        receiver.setAccepting(true);
+        vm.expectEmit(true, false, false, true, address(escrow));
+        emit EscrowV1.Withdrawn(address(receiver), 1 ether);
+        receiver.withdraw();
+        assertEq(
+            address(receiver).balance,
+            1 ether,
+            "Receiver should get 1 ETH"
+        );
+        assertEq(
+            escrow.pendingWithdrawals(address(receiver)),
+            0,
+            "Credit should be used up"
+        );
+        assertEq(address(escrow).balance, 0, "Escrow should be empty");
+
+        vm.expectRevert(EscrowV1.NothingToWithdraw.selector);
+        receiver.withdraw();
+    }
+
+    /**
+     * @dev Test that a client refusing its share of a dispute split does
+     * not keep the freelancer from being paid.
+     */
+    function test_RefusedNativeRefundDoesNotBlockResolution() public {
+        RejectingReceiver receiver = new RejectingReceiver(escrow);
+        vm.deal(address(receiver), 10 ether);
+
+        vm.startPrank(address(receiver));
+        escrow.openEscrow{value: 1 ether}(
+            TEST_INVOICE_ID,
+            freelancer,
+            escrow.NATIVE(),
+            1 ether,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        escrow.dispute(TEST_INVOICE_ID, "ipfs://reason");
+        vm.stopPrank();
+
+        vm.prank(owner);
+        escrow.resolveDispute(TEST_INVOICE_ID, 7_000);
+
+        assertEq(freelancer.balance, 0.7 ether, "Freelancer should get 70%");
+        assertEq(
+            escrow.pendingWithdrawals(address(receiver)),
+            0.3 ether,
+            "Client's 30% should be credited"
+        );
+        assertEq(
+            address(escrow).balance,
+            0.3 ether,
+            "Escrow should hold only the credit"
+        );
+    }
+
+    /**
+     * @dev Test that invoice IDs derived from the parties and the invoice
+     * number are stable, so funding the same invoice twice is refused.
+     */
+    function test_ComputeInvoiceId() public {
+        bytes32 invoiceId = escrow.computeInvoiceId(
+            client,
+            freelancer,
+            "INV-001",
+            bytes32(0)
+        );
+        assertEq(
+            invoiceId,
+            keccak256(abi.encode(client, freelancer, "INV-001", bytes32(0))),
+            "ID should hash the parties, number and salt"
+        );
+        assertTrue(
+            invoiceId !=
+                escrow.computeInvoiceId(
+                    freelancer,
+                    client,
+                    "INV-001",
+                    bytes32(0)
+                ),
+            "Swapping the parties should change the ID"
+        );
+        assertTrue(
+            invoiceId !=
+                escrow.computeInvoiceId(
+                    client,
+                    freelancer,
+                    "INV-002",
+                    bytes32(0)
+                ),
+            "Another invoice number should change the ID"
+        );
+        assertTrue(
+            invoiceId !=
+                escrow.computeInvoiceId(
+                    client,
+                    freelancer,
+                    "INV-001",
+                    bytes32(uint256(1))
+                ),
+            "A salt should change the ID"
+        );
+
+        vm.startPrank(client);
+        usdc.approve(address(escrow), 2 * TEST_AMOUNT);
+        escrow.openEscrow(
+            invoiceId,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+
+        // The same invoice again derives the same ID
+        bytes32 sameInvoiceId = escrow.computeInvoiceId(
+            client,
+            freelancer,
+            "INV-001",
+            bytes32(0)
+        );
+        vm.expectRevert(EscrowV1.EscrowExists.selector);
+        escrow.openEscrow(
+            sameInvoiceId,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+    }
+
+    /**
+     * @dev Test that the owner can pause the contract to stop all actions.
+     */
+    function test_PauseFunctionality() public {
+        // Owner pauses the contract
+        vm.prank(owner);
+        escrow.setPaused(true);
+
+        // Try to open an escrow as the client - it should fail
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT);
+
+        vm.expectRevert(EscrowV1.ContractPaused.selector);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            EscrowV1.DuePolicy.RequireDelivery,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+    }
+
+    function _signPermit(
+        uint256 _key,
+        address _owner,
+        uint256 _value,
+        uint256 _deadline
+    ) internal view returns (uint8 v, bytes32 r, bytes32 s) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)"
+                ),
+                _owner,
+                address(escrow),
+                _value,
+                usdc.nonces(_owner),
+                _deadline
+            )
+        );
+        bytes32 digest = keccak256(
+            abi.encodePacked("\x19\x01", usdc.DOMAIN_SEPARATOR(), structHash)
+        );
+        return vm.sign(_key, digest);
+    }
+
+    function _signForwardRequest(
+        uint256 _key,
+        address _from,
+        bytes memory _data
+    ) internal view returns (ERC2771Forwarder.ForwardRequestData memory) {
+        ERC2771Forwarder.ForwardRequestData memory request = ERC2771Forwarder
+            .ForwardRequestData({
+                from: _from,
+                to: address(escrow),
+                value: 0,
+                gas: 200_000,
+                deadline: uint48(block.timestamp + 1 hours),
+                data: _data,
+                signature: ""
+            });
+        (, string memory name, string memory version, , , , ) = forwarder
+            .eip712Domain();
+        bytes32 domainSeparator = keccak256(
+            abi.encode(
+                keccak256(
+                    "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+                ),
+                keccak256(bytes(name)),
+                keccak256(bytes(version)),
+                block.chainid,
+                address(forwarder)
+            )
+        );
+        bytes32 structHash = keccak256(
+            abi.encode(
+                keccak256(
+                    "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint48 deadline,bytes data)"
+                ),
+                request.from,
+                request.to,
+                request.value,
+                request.gas,
+                forwarder.nonces(_from),
+                request.deadline,
+                keccak256(request.data)
+            )
+        );
+        (uint8 v, bytes32 r, bytes32 s) = vm.sign(
+            _key,
+            keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash))
+        );
+        request.signature = abi.encodePacked(r, s, v);
+        return request;
+    }
+
+    /**
+     * @dev Helper: the client approves and opens the standard test escrow.
+     */
+    function _openTestEscrow() internal {
+        _openTestEscrow(EscrowV1.DuePolicy.RequireDelivery);
+    }
+
+    function _openTestEscrow(EscrowV1.DuePolicy _policy) internal {
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT);
+        escrow.openEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            TEST_AMOUNT,
+            TEST_DUE_DATE,
+            _policy,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+    }
+
+    /**
+     * @dev Helper: the standard test amount split into three milestones of
+     * 300, 300 and 400 USDC, the last one due on the standard due date.
+     */
+    function _milestonePlan()
+        internal
+        pure
+        returns (uint256[] memory amounts, uint64[] memory dueAts)
+    {
+        amounts = new uint256[](3);
+        dueAts = new uint64[](3);
+        (amounts[0], amounts[1], amounts[2]) = (
+            300 * 10 ** 6,
+            300 * 10 ** 6,
+            400 * 10 ** 6
+        );
+        (dueAts[0], dueAts[1], dueAts[2]) = (
+            TEST_DUE_DATE - 20 days,
+            TEST_DUE_DATE - 10 days,
+            TEST_DUE_DATE
+        );
+    }
+
+    function _openMilestoneTestEscrow(EscrowV1.DuePolicy _policy) internal {
+        (uint256[] memory amounts, uint64[] memory dueAts) = _milestonePlan();
+        vm.startPrank(client);
+        usdc.approve(address(escrow), TEST_AMOUNT);
+        escrow.openMilestoneEscrow(
+            TEST_INVOICE_ID,
+            freelancer,
+            address(usdc),
+            amounts,
+            dueAts,
+            _policy,
+            0,
+            bytes32(0)
+        );
+        vm.stopPrank();
+    }
+}
+
+/**
+ * @title ReentrantFreelancer
+ * @dev Freelancer contract that tries to release another escrow while it
+ * is being paid, recording why the nested call failed
+ */
+contract ReentrantFreelancer {
+    EscrowV1 public escrow;
+    bytes32 public reentryInvoiceId;
+    bytes4 public reentryError;
+
+    constructor(EscrowV1 _escrow) {
+        escrow = _escrow;
+    }
+
+    function setReentryInvoiceId(bytes32 _invoiceId) external {
+        reentryInvoiceId = _invoiceId;
+    }
+
+    receive() external payable {
+        try escrow.releaseToFreelancer(reentryInvoiceId) {} catch (
+            bytes memory reason
+        ) {
+            reentryError = bytes4(reason);
+        }
+    }
+}
+
+/**
+ * @title RejectingReceiver
+ * @dev Escrow party that refuses native currency until told to accept it,
+ * and collects what it is owed through withdraw
+ */
+contract RejectingReceiver {
+    EscrowV1 public escrow;
+    bool public accepting;
+
+    constructor(EscrowV1 _escrow) {
+        escrow = _escrow;
+    }
+
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    function withdraw() external {
+        escrow.withdraw();
+    }
+
+    receive() external payable {
+        require(accepting, "Not accepting payments");
     }
 }
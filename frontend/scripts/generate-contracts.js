@@ -0,0 +1,172 @@
+// scripts/generate-contracts.js
+//
+// Regenerates the contract bindings in src/generated from the Foundry
+// project, so the UI always matches the deployed contracts:
+//
+//   - abis.js:        ABIs from escrow-contracts/out/<Name>.sol/<Name>.json
+//   - deployments.js: per-chain addresses from
+//                     escrow-contracts/broadcast/**/run-latest.json, and
+//                     the block the escrow was deployed in
+//
+// A broadcast is only used if it deployed exactly the contracts in out/:
+// deployments made from older sources are skipped, so the ABIs never
+// describe a contract other than the one at the published address.
+//
+// Run `forge build` (and the deploy script, if addresses changed) first,
+// then `pnpm generate:contracts`.
+import { existsSync } from 'node:fs';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { format, resolveConfig } from 'prettier';
+import {
+  decodeAbiParameters,
+  encodeAbiParameters,
+  getAddress,
+  hexToNumber,
+} from 'viem';
+
+const frontendDir = fileURLToPath(new URL('..', import.meta.url));
+const contractsDir = join(frontendDir, '..', 'escrow-contracts');
+const outputDir = join(frontendDir, 'src', 'generated');
+
+// Contracts the frontend talks to, and the names it knows them by
+const CONTRACTS = {
+  MockUSDC: { abiExport: 'mockUsdcAbi', addressKey: 'mockUsdc' },
+  EscrowV1: { abiExport: 'escrowV1Abi', addressKey: 'escrowV1' },
+  ERC2771Forwarder: { abiExport: 'forwarderAbi', addressKey: 'forwarder' },
+};
+
+const HEADER = `// Generated by scripts/generate-contracts.js from the Foundry build
+// artifacts. Do not edit by hand: run \`pnpm generate:contracts\` instead.
+`;
+
+const readJson = async (path) => JSON.parse(await readFile(path, 'utf8'));
+
+// Every broadcast/<script>/<chainId>/run-latest.json, skipping dry runs
+const findBroadcasts = async (dir) => {
+  if (!existsSync(dir)) return [];
+  const found = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'dry-run') {
+      found.push(...(await findBroadcasts(path)));
+    } else if (entry.name === 'run-latest.json') {
+      found.push(path);
+    }
+  }
+  return found;
+};
+
+// name -> { abi, bytecode } from the Foundry build
+const loadArtifacts = async () => {
+  const artifacts = {};
+  for (const name of Object.keys(CONTRACTS)) {
+    const path = join(contractsDir, 'out', `${name}.sol`, `${name}.json`);
+    if (!existsSync(path)) {
+      throw new Error(
+        `Missing ${relative(frontendDir, path)}. Run \`forge build\` in escrow-contracts first.`
+      );
+    }
+    const { abi, bytecode } = await readJson(path);
+    artifacts[name] = { abi, bytecode: bytecode.object.toLowerCase() };
+  }
+  return artifacts;
+};
+
+// Whether a creation transaction deployed the artifact's code with
+// constructor arguments that fit its current constructor
+const matchesArtifact = (tx, { abi, bytecode }) => {
+  const input = tx.transaction.input.toLowerCase();
+  if (!input.startsWith(bytecode)) return false;
+  const args = `0x${input.slice(bytecode.length)}`;
+  const inputs = abi.find((item) => item.type === 'constructor')?.inputs ?? [];
+  try {
+    return (
+      encodeAbiParameters(inputs, decodeAbiParameters(inputs, args)) === args
+    );
+  } catch {
+    return false;
+  }
+};
+
+// chainId -> { addressKey: address } and chainId -> block the escrow was
+// deployed in. When several scripts deployed to the same chain, the most
+// recent run wins; chains without a current escrow are left out.
+const loadDeployments = async (artifacts) => {
+  const runs = await Promise.all(
+    (await findBroadcasts(join(contractsDir, 'broadcast'))).map(readJson)
+  );
+  runs.sort((a, b) => a.timestamp - b.timestamp);
+
+  const deployments = {};
+  const deployBlocks = {};
+  for (const run of runs) {
+    for (const tx of run.transactions) {
+      const contract = CONTRACTS[tx.contractName];
+      if (!contract || !tx.transactionType.startsWith('CREATE')) continue;
+      if (!matchesArtifact(tx, artifacts[tx.contractName])) {
+        console.warn(
+          `Skipping ${tx.contractName} at ${tx.contractAddress} on chain ${run.chain}: deployed from different sources than out/.`
+        );
+        continue;
+      }
+      deployments[run.chain] ??= {};
+      deployments[run.chain][contract.addressKey] = getAddress(
+        tx.contractAddress
+      );
+      if (tx.contractName === 'EscrowV1') {
+        const receipt = run.receipts.find(
+          (candidate) => candidate.transactionHash === tx.hash
+        );
+        deployBlocks[run.chain] = receipt
+          ? hexToNumber(receipt.blockNumber)
+          : 0;
+      }
+    }
+  }
+  for (const chainId of Object.keys(deployments)) {
+    if (!deployments[chainId].escrowV1) {
+      delete deployments[chainId];
+    }
+  }
+  return { deployments, deployBlocks };
+};
+
+const writeModule = async (fileName, source) => {
+  const path = join(outputDir, fileName);
+  const options = await resolveConfig(path);
+  await writeFile(path, await format(source, { ...options, filepath: path }));
+  console.log(`Wrote ${relative(frontendDir, path)}`);
+};
+
+const main = async () => {
+  const artifacts = await loadArtifacts();
+  const { deployments, deployBlocks } = await loadDeployments(artifacts);
+  await mkdir(outputDir, { recursive: true });
+
+  // The @type {const} cast keeps literal types, so viem can infer
+  // function names and argument types from the ABIs
+  await writeModule(
+    'abis.js',
+    HEADER +
+      Object.entries(artifacts)
+        .map(
+          ([name, { abi }]) =>
+            `\nexport const ${CONTRACTS[name].abiExport} = /** @type {const} */ (${JSON.stringify(abi)});\n`
+        )
+        .join('')
+  );
+
+  await writeModule(
+    'deployments.js',
+    HEADER +
+      `\n// Deployed contract addresses by chain ID\nexport const deployments = ${JSON.stringify(deployments)};\n` +
+      `\n// Block each chain's escrow was deployed in, where event scans start\nexport const deployBlocks = ${JSON.stringify(deployBlocks)};\n`
+  );
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
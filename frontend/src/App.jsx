@@ -1,38 +1,56 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useWallet } from './hooks/useWallet';
-import { createWalletClient, custom, formatUnits } from 'viem';
+import { useEscrowTimeline } from './hooks/useEscrowTimeline';
+import { useTransactions } from './hooks/useTransactions';
 import {
-  MOCK_USDC_ADDRESS,
-  ESCROW_V1_ADDRESS,
-  mockUsdcAbi,
-  escrowV1Abi,
-} from './contracts';
+  createWalletClient,
+  custom,
+  formatUnits,
+  parseUnits,
+  zeroHash,
+} from 'viem';
+import { useNetwork } from './hooks/useNetwork';
+import { mockUsdcAbi } from './contracts';
 import EscrowList from './components/EscrowList';
+import ArbiterConsole from './components/ArbiterConsole';
+import EscrowDetails from './components/EscrowDetails';
+import TransactionToasts from './components/TransactionToasts';
+import RecentTransactions from './components/RecentTransactions';
+import NetworkSwitcher from './components/NetworkSwitcher';
+import StepIndicator from './components/StepIndicator';
+import MilestoneEditor from './components/MilestoneEditor';
+import InvoiceEditor from './components/InvoiceEditor';
+import PaymentRequestForm from './components/PaymentRequestForm';
+import PaymentRequestBanner from './components/PaymentRequestBanner';
+import { DUE_POLICIES, DEFAULT_DUE_POLICY } from './duePolicies';
+import { getErrorMessage } from './escrowErrors';
+import { PreflightError, simulateWrite } from './preflight';
+import { getPermitParams, signPermit } from './permit';
+import { sendGasless } from './gasless';
+import { NATIVE_TOKEN, formatTokenAmount } from './tokens';
+import { computeInvoiceId, parseSalt } from './invoiceId';
+import {
+  clearPaymentLink,
+  readPaymentLink,
+  resolvePaymentRequest,
+} from './paymentRequest';
+import {
+  NEW_INVOICE,
+  buildInvoiceDocument,
+  hashInvoiceDocument,
+  saveInvoiceDocument,
+} from './invoiceDocument';
 import './components/EscrowList.css';
 
-// Custom chain configuration for Anvil
-const anvilChain = {
-  id: 31337,
-  name: 'Anvil Local',
-  network: 'anvil',
-  nativeCurrency: {
-    decimals: 18,
-    name: 'Ethereum',
-    symbol: 'ETH',
-  },
-  rpcUrls: {
-    default: {
-      http: ['http://127.0.0.1:8545'],
-    },
-    public: {
-      http: ['http://127.0.0.1:8545'],
-    },
-  },
-};
-
-// Configure the wallet client for writing to the blockchain
+// Two blank rows for the milestone editor
+const NEW_MILESTONES = [
+  { amount: '', dueDate: '' },
+  { amount: '', dueDate: '' },
+];
+
+// Configure the wallet client for writing to the blockchain. The chain is
+// passed per write, so viem refuses to send if the wallet has moved.
 const walletClient = createWalletClient({
-  chain: anvilChain,
   transport: custom(window.ethereum),
 });
 
@@ -42,25 +60,187 @@ function App() {
     connect,
     disconnect,
     nativeBalance,
-    usdcBalance,
+    pendingWithdrawal,
+    tokenBalances,
     isConnected,
     isLoading,
     error,
+    refreshBalances,
+    publicClient,
+    getTokenAllowance,
   } = useWallet();
+  const { chain, contracts, relayerUrl, isSupported } = useNetwork();
+  const { trackTransaction, reportError } = useTransactions();
+  const { entries, timelines, track } = useEscrowTimeline(address);
 
-  
   const [isCreating, setIsCreating] = useState(false);
+  const [formError, setFormError] = useState('');
+  // Progress of the create flow (check, authorize, open)
+  const [createSteps, setCreateSteps] = useState(null);
+  // Approve a larger budget once instead of an allowance per escrow
+  const [budgetMode, setBudgetMode] = useState(false);
+  const [budget, setBudget] = useState('');
+  const [allowance, setAllowance] = useState(0n);
+  // Pay the escrow out in milestones instead of a single amount
+  const [splitMilestones, setSplitMilestones] = useState(false);
+  const [milestones, setMilestones] = useState(NEW_MILESTONES);
+  // Attach an invoice document whose hash is committed with the escrow
+  const [attachInvoice, setAttachInvoice] = useState(false);
+  const [invoice, setInvoice] = useState(NEW_INVOICE);
+  // Hold the escrow until the freelancer accepts its terms, refundable to
+  // the client if they have not by the deadline
+  const [requireAcceptance, setRequireAcceptance] = useState(false);
+  const [acceptBy, setAcceptBy] = useState('');
+  // Freelancer's payment request the app was opened with, as read from the
+  // URL, and once checked on its network
+  const [payLink, setPayLink] = useState(readPaymentLink);
+  const [paymentRequest, setPaymentRequest] = useState(null);
+  // Escrow open in the details modal, with the chain it lives on
+  const [selectedEscrow, setSelectedEscrow] = useState(null);
   const [formData, setFormData] = useState({
     freelancer: '',
+    invoiceNumber: '',
+    salt: '',
+    token: '',
     amount: '',
     dueDate: '',
+    duePolicy: DEFAULT_DUE_POLICY,
   });
 
+  // Token the new escrow is funded in, the first allowed one by default.
+  // The chain's native currency is always accepted as well.
+  const tokens = tokenBalances ?? [];
+  const nativeToken = {
+    address: NATIVE_TOKEN,
+    symbol: chain.nativeCurrency.symbol,
+    decimals: chain.nativeCurrency.decimals,
+  };
+  const token =
+    [...tokens, nativeToken].find(
+      (candidate) => candidate.address === formData.token
+    ) ??
+    (tokens[0] || nativeToken);
+  const isNative = token.address === NATIVE_TOKEN;
+
+  // Keep balances in sync with payouts and deposits seen on-chain
+  useEffect(() => {
+    if (isConnected && entries.length > 0) {
+      refreshBalances();
+    }
+  }, [isConnected, entries.length, refreshBalances]);
+
+  // Remaining allowance of the selected token, shown alongside the budget
+  // option
+  useEffect(() => {
+    if (isConnected && address && isSupported && !isNative) {
+      getTokenAllowance(token.address, address).then(setAllowance);
+    }
+  }, [
+    isConnected,
+    address,
+    isSupported,
+    isNative,
+    token.address,
+    entries.length,
+  ]);
+
+  // Pre-fill the create form from the pay link once on its network
+  useEffect(() => {
+    if (!payLink?.request || payLink.request.chainId !== chain.id) return;
+    resolvePaymentRequest(publicClient, contracts.escrowV1, payLink)
+      .then((resolved) => {
+        setPaymentRequest(resolved);
+        if (resolved.error) return;
+        const { request } = resolved;
+        setFormData((data) => ({
+          ...data,
+          freelancer: request.freelancer,
+          invoiceNumber: request.invoiceNumber,
+          salt: request.salt === zeroHash ? '' : request.salt,
+          token: resolved.token.address,
+          amount: resolved.amount,
+          dueDate: resolved.dueDate,
+          duePolicy: request.duePolicy,
+        }));
+        setSplitMilestones(false);
+        setAttachInvoice(Boolean(request.invoice));
+        setInvoice(request.invoice ?? NEW_INVOICE);
+      })
+      .catch((error) => {
+        console.error('Error checking payment request:', error);
+        setPaymentRequest({
+          error: 'Could not check this payment request. Reload to try again.',
+        });
+      });
+  }, [payLink, chain.id, publicClient, contracts.escrowV1]);
+
+  const dismissPaymentRequest = () => {
+    clearPaymentLink();
+    setPayLink(null);
+    setPaymentRequest(null);
+  };
+
+  const updateCreateStep = (id, changes) => {
+    setCreateSteps((steps) =>
+      steps?.map((step) => (step.id === id ? { ...step, ...changes } : step))
+    );
+  };
+
+  const failActiveCreateStep = () => {
+    setCreateSteps((steps) =>
+      steps?.map((step) =>
+        step.status === 'active'
+          ? { ...step, status: 'failed', detail: null }
+          : step
+      )
+    );
+  };
+
+  // Track a submitted transaction until it is mined. Resolves with the
+  // receipt, or null if it reverted (the transaction toast shows why).
+  const waitForConfirmation = async (hash, label, successMessage) => {
+    const receipt = await trackTransaction({ hash, label, successMessage });
+    if (receipt?.status !== 'success') {
+      return null;
+    }
+    await refreshBalances();
+    return receipt;
+  };
+
+  // Simulate a write before prompting the wallet, so calls that would
+  // revert fail here with the contract's reason instead of on-chain
+  const writeContract = async (call) => {
+    const request = await simulateWrite(publicClient, address, call);
+    return walletClient.writeContract({ ...request, chain });
+  };
+
+  const writeEscrow = (functionName, args) =>
+    writeContract({ functionName, args });
+
+  // Report a failed action. Pre-flight failures are returned for the
+  // caller to show inline; anything after the wallet prompt gets a toast.
+  const reportFailure = (label, error) => {
+    const message = getErrorMessage(error);
+    if (error instanceof PreflightError) {
+      return message;
+    }
+    reportError(label, message);
+    return null;
+  };
+
   const handleDisconnect = () => {
     // Clear localStorage on disconnect
     localStorage.removeItem('userInvoices');
     disconnect();
-    setFormData({ freelancer: '', amount: '', dueDate: '' });
+    setFormData({
+      freelancer: '',
+      invoiceNumber: '',
+      salt: '',
+      token: '',
+      amount: '',
+      dueDate: '',
+      duePolicy: DEFAULT_DUE_POLICY,
+    });
     alert('Wallet disconnected and local data cleared.');
   };
 
@@ -75,17 +255,105 @@ function App() {
     }
   };
 
-  const handleAction = async (actionType, invoiceId) => {
+  // Resolves with an inline error message when the action was blocked
+  // before reaching the wallet, null otherwise
+  const handleAction = async (actionType, invoiceId, payload) => {
     switch (actionType) {
+      case 'accept':
+        return acceptEscrow(invoiceId);
+      case 'decline':
+        return declineEscrow(invoiceId);
+      case 'reclaim':
+        return reclaimUnaccepted(invoiceId);
       case 'markDelivered':
-        await markAsDelivered(invoiceId);
-        break;
+        return markAsDelivered(invoiceId);
+      case 'markDeliveredWithProof':
+        return markAsDeliveredWithProof(invoiceId, payload);
+      case 'markDeliveredGasless':
+        return markAsDeliveredGasless(invoiceId);
+      case 'markMilestone':
+        return markMilestoneDelivered(invoiceId, payload);
       case 'release':
-        await releaseEscrow(invoiceId);
-        break;
+        return releaseEscrow(invoiceId);
+      case 'claim':
+        return claimPayment(invoiceId);
+      case 'dispute':
+        return raiseDispute(invoiceId, payload);
+      case 'refundOverdue':
+        return refundOverdue(invoiceId);
+      case 'requestCancel':
+        return requestCancellation(invoiceId);
+      case 'refund':
+        return refundToClient(invoiceId);
+      case 'resolve':
+        return resolveDispute(invoiceId, payload);
       case 'view':
-        console.log('View details for:', invoiceId);
-        break;
+        track(invoiceId);
+        setSelectedEscrow({ invoiceId, chainId: chain.id });
+        return null;
+    }
+  };
+
+  const acceptEscrow = async (invoiceId) => {
+    try {
+      console.log('Accepting escrow terms for invoice:', invoiceId);
+
+      const hash = await writeEscrow('acceptEscrow', [invoiceId]);
+
+      console.log('Accept TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Accept terms',
+        'Terms accepted. The escrow is now binding.'
+      );
+    } catch (error) {
+      console.error('Error accepting escrow:', error);
+      return reportFailure('Accept terms', error);
+    }
+  };
+
+  const declineEscrow = async (invoiceId) => {
+    if (
+      !window.confirm(
+        'Decline this escrow? The client is refunded and it cannot be accepted later.'
+      )
+    ) {
+      return null;
+    }
+
+    try {
+      console.log('Declining escrow terms for invoice:', invoiceId);
+
+      const hash = await writeEscrow('declineEscrow', [invoiceId]);
+
+      console.log('Decline TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Decline terms',
+        'Escrow declined and funds refunded to the client.'
+      );
+    } catch (error) {
+      console.error('Error declining escrow:', error);
+      return reportFailure('Decline terms', error);
+    }
+  };
+
+  // The client takes back an escrow the freelancer never accepted
+  const reclaimUnaccepted = async (invoiceId) => {
+    try {
+      console.log('Reclaiming unaccepted escrow:', invoiceId);
+
+      const hash = await writeEscrow('reclaimUnaccepted', [invoiceId]);
+
+      console.log('Reclaim TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Reclaim funds',
+        'Unaccepted escrow refunded to you successfully!'
+      );
+    } catch (error) {
+      console.error('Error reclaiming escrow:', error);
+      return reportFailure('Reclaim funds', error);
     }
   };
 
@@ -93,27 +361,89 @@ function App() {
     try {
       console.log('Marking invoice as delivered:', invoiceId);
 
-      const hash = await walletClient.writeContract({
-        address: ESCROW_V1_ADDRESS,
-        abi: escrowV1Abi,
-        functionName: 'markDelivered',
-        args: [invoiceId],
-        account: address,
-        chain: anvilChain,
-      });
+      const hash = await writeEscrow('markDelivered', [invoiceId]);
 
       console.log('Marked delivered TX:', hash);
-      alert('Work marked as delivered successfully!');
-
-      // Refresh the page after a short delay to show updated status
-      setTimeout(() => {
-        window.location.reload();
-      }, 3000);
+      await waitForConfirmation(
+        hash,
+        'Mark delivered',
+        'Work marked as delivered successfully!'
+      );
     } catch (error) {
       console.error('Error marking delivered:', error);
-      alert(
-        'Failed to mark as delivered: ' + (error.shortMessage || error.message)
+      return reportFailure('Mark delivered', error);
+    }
+  };
+
+  // Delivery with a link to the deliverable and the SHA-256 of its content,
+  // which the client can check the received file against
+  const markAsDeliveredWithProof = async (
+    invoiceId,
+    { deliveryURI, contentHash }
+  ) => {
+    try {
+      console.log('Marking invoice as delivered with proof:', invoiceId);
+
+      const hash = await writeEscrow('markDeliveredWithProof', [
+        invoiceId,
+        deliveryURI,
+        contentHash,
+      ]);
+
+      console.log('Marked delivered with proof TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Mark delivered',
+        'Work marked as delivered with proof successfully!'
       );
+    } catch (error) {
+      console.error('Error marking delivered with proof:', error);
+      return reportFailure('Mark delivered', error);
+    }
+  };
+
+  const markMilestoneDelivered = async (invoiceId, index) => {
+    try {
+      console.log('Marking milestone as delivered:', invoiceId, index);
+
+      const hash = await writeEscrow('markMilestoneDelivered', [
+        invoiceId,
+        BigInt(index),
+      ]);
+
+      console.log('Marked milestone delivered TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Mark milestone delivered',
+        `Milestone ${index + 1} marked as delivered!`
+      );
+    } catch (error) {
+      console.error('Error marking milestone delivered:', error);
+      return reportFailure('Mark milestone delivered', error);
+    }
+  };
+
+  // Sign the call instead of sending it; the relayer pays the gas
+  const markAsDeliveredGasless = async (invoiceId) => {
+    try {
+      console.log('Marking invoice as delivered via relayer:', invoiceId);
+
+      const call = { functionName: 'markDelivered', args: [invoiceId] };
+      await simulateWrite(publicClient, address, call);
+      const hash = await sendGasless(
+        { publicClient, walletClient, contracts, relayerUrl, account: address },
+        call
+      );
+
+      console.log('Relayed mark delivered TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Mark delivered (gasless)',
+        'Work marked as delivered successfully!'
+      );
+    } catch (error) {
+      console.error('Error marking delivered via relayer:', error);
+      return reportFailure('Mark delivered', error);
     }
   };
 
@@ -121,37 +451,153 @@ function App() {
     try {
       console.log('Releasing escrow funds for invoice:', invoiceId);
 
-      const hash = await walletClient.writeContract({
-        address: ESCROW_V1_ADDRESS,
-        abi: escrowV1Abi,
-        functionName: 'releaseToFreelancer',
-        args: [invoiceId],
-        account: address,
-        chain: anvilChain,
-      });
+      const hash = await writeEscrow('releaseToFreelancer', [invoiceId]);
 
       console.log('Release TX:', hash);
-      alert('Funds released to freelancer successfully!');
-
-      // Refresh the page after a short delay to show updated status and balances
-      setTimeout(() => {
-        window.location.reload();
-      }, 3000);
+      await waitForConfirmation(
+        hash,
+        'Release funds',
+        'Funds released to freelancer successfully!'
+      );
     } catch (error) {
       console.error('Error releasing escrow:', error);
+      return reportFailure('Release funds', error);
+    }
+  };
 
-      // Provide more specific error messages
-      if (error.message?.includes('NOT_ELIGIBLE')) {
-        alert(
-          'Cannot release funds yet: Escrow is not eligible for release. Check due date or dispute window.'
-        );
-      } else if (error.message?.includes('ALREADY_SETTLED')) {
-        alert('Cannot release funds: Escrow has already been settled.');
-      } else {
-        alert(
-          'Failed to release escrow: ' + (error.shortMessage || error.message)
-        );
-      }
+  // Collect native payouts the escrow credited because the account's
+  // wallet refused them when they were sent
+  const withdrawPayouts = async () => {
+    try {
+      const hash = await writeEscrow('withdraw', []);
+      await waitForConfirmation(
+        hash,
+        'Withdraw payouts',
+        'Refused payouts withdrawn successfully!'
+      );
+    } catch (error) {
+      console.error('Error withdrawing payouts:', error);
+      reportError('Withdraw payouts', getErrorMessage(error));
+    }
+  };
+
+  // The freelancer pulls their own payment once the escrow is eligible
+  const claimPayment = async (invoiceId) => {
+    try {
+      console.log('Claiming payment for invoice:', invoiceId);
+
+      const hash = await writeEscrow('releaseToFreelancer', [invoiceId]);
+
+      console.log('Claim TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Claim payment',
+        'Payment claimed successfully!'
+      );
+    } catch (error) {
+      console.error('Error claiming payment:', error);
+      return reportFailure('Claim payment', error);
+    }
+  };
+
+  const raiseDispute = async (invoiceId, reasonURI) => {
+    try {
+      console.log('Raising dispute for invoice:', invoiceId, reasonURI);
+
+      const hash = await writeEscrow('dispute', [invoiceId, reasonURI]);
+
+      console.log('Dispute TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Raise dispute',
+        'Dispute raised. Funds are frozen until it is resolved.'
+      );
+    } catch (error) {
+      console.error('Error raising dispute:', error);
+      return reportFailure('Raise dispute', error);
+    }
+  };
+
+  const refundOverdue = async (invoiceId) => {
+    try {
+      console.log('Refunding overdue escrow:', invoiceId);
+
+      const hash = await writeEscrow('refundOverdue', [invoiceId]);
+
+      console.log('Overdue refund TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Claim refund',
+        'Undelivered escrow refunded to you successfully!'
+      );
+    } catch (error) {
+      console.error('Error refunding overdue escrow:', error);
+      return reportFailure('Claim refund', error);
+    }
+  };
+
+  const requestCancellation = async (invoiceId) => {
+    try {
+      console.log('Requesting cancellation for invoice:', invoiceId);
+
+      const hash = await writeEscrow('requestCancellation', [invoiceId]);
+
+      console.log('Cancellation request TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Request cancellation',
+        'Cancellation requested. Funds are refunded once the freelancer accepts.'
+      );
+    } catch (error) {
+      console.error('Error requesting cancellation:', error);
+      return reportFailure('Request cancellation', error);
+    }
+  };
+
+  const refundToClient = async (invoiceId) => {
+    if (
+      !window.confirm(
+        'Refund the full escrow amount to the client? This cannot be undone.'
+      )
+    ) {
+      return null;
+    }
+
+    try {
+      console.log('Refunding client for invoice:', invoiceId);
+
+      const hash = await writeEscrow('refundToClient', [invoiceId]);
+
+      console.log('Refund TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Refund client',
+        'Escrow cancelled and funds refunded to the client.'
+      );
+    } catch (error) {
+      console.error('Error refunding escrow:', error);
+      return reportFailure('Refund client', error);
+    }
+  };
+
+  const resolveDispute = async (invoiceId, freelancerBps) => {
+    try {
+      console.log('Resolving dispute:', invoiceId, freelancerBps, 'bps');
+
+      const hash = await writeEscrow('resolveDispute', [
+        invoiceId,
+        freelancerBps,
+      ]);
+
+      console.log('Resolve TX:', hash);
+      await waitForConfirmation(
+        hash,
+        'Resolve dispute',
+        'Dispute resolved and funds split successfully!'
+      );
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      return reportFailure('Resolve dispute', error);
     }
   };
 
@@ -161,8 +607,13 @@ function App() {
     if (!isConnected) return;
 
     setIsCreating(true);
+    setFormError('');
+    setCreateSteps(null);
     try {
-      const { freelancer, amount, dueDate } = formData;
+      const { freelancer, amount, dueDate, duePolicy } = formData;
+      // Both go into the invoice ID exactly as given
+      const invoiceNumber = formData.invoiceNumber.trim();
+      const salt = parseSalt(formData.salt);
 
       // 1. Validate freelancer address
       if (
@@ -170,47 +621,243 @@ function App() {
         !freelancer.startsWith('0x') ||
         freelancer.length !== 42
       ) {
-        throw new Error('Invalid freelancer address');
+        setFormError('Enter a valid freelancer address.');
+        return;
+      }
+      if (!invoiceNumber) {
+        setFormError('Enter the invoice number.');
+        return;
+      }
+      if (!salt) {
+        setFormError(
+          'The reissue salt must be 0x followed by 64 hex digits, or empty.'
+        );
+        return;
       }
 
-      // 2. Convert amount to USDC units (6 decimals)
-      const amountInWei = BigInt(Number(amount) * 10 ** 6);
-
-      // 3. Generate a unique invoice ID (bytes32)
-      const randomBytes = new Uint8Array(32);
-      crypto.getRandomValues(randomBytes);
-      const invoiceId =
-        '0x' +
-        Array.from(randomBytes)
-          .map((b) => b.toString(16).padStart(2, '0'))
-          .join('');
-
-      console.log('Generated invoiceId:', invoiceId);
-
-      // 4. Approve the Escrow contract to spend USDC
-      const approveHash = await walletClient.writeContract({
-        address: MOCK_USDC_ADDRESS,
-        abi: mockUsdcAbi,
-        functionName: 'approve',
-        args: [ESCROW_V1_ADDRESS, amountInWei],
-        account: address,
-        chain: anvilChain,
-      });
-      console.log('Approval TX:', approveHash);
-
-      // 5. Open the escrow
-      const dueTimestamp = Math.floor(new Date(dueDate).getTime() / 1000);
-      const escrowHash = await walletClient.writeContract({
-        address: ESCROW_V1_ADDRESS,
-        abi: escrowV1Abi,
-        functionName: 'openEscrow',
-        args: [invoiceId, freelancer, amountInWei, BigInt(dueTimestamp)],
-        account: address,
-        chain: anvilChain,
+      // 2. Convert amounts to the token's base units. A plain escrow is a
+      // single milestone.
+      const { symbol, decimals } = token;
+      const plan = splitMilestones ? milestones : [{ amount, dueDate }];
+      const amounts = plan.map((milestone) =>
+        parseUnits(milestone.amount, decimals)
+      );
+      const dueAts = plan.map((milestone) =>
+        BigInt(Math.floor(new Date(milestone.dueDate).getTime() / 1000))
+      );
+      const amountInWei = amounts.reduce((sum, value) => sum + value, 0n);
+      const totalAmount = formatTokenAmount(amountInWei, token);
+      const budgetInWei = budgetMode ? parseUnits(budget || '0', decimals) : 0n;
+      if (!isNative && budgetMode && budgetInWei < amountInWei) {
+        setFormError('The budget must cover at least this escrow.');
+        return;
+      }
+      if (isNative && (nativeBalance ?? 0n) < amountInWei) {
+        setFormError(`Your ${symbol} balance is too low for this amount.`);
+        return;
+      }
+
+      // Commit to the invoice document, whose total the escrow must match
+      let invoiceDocument = null;
+      if (attachInvoice) {
+        try {
+          invoiceDocument = buildInvoiceDocument(
+            { ...invoice, number: invoiceNumber },
+            token,
+            chain.id
+          );
+        } catch {
+          setFormError(
+            'Enter a whole quantity and a unit price for every line item.'
+          );
+          return;
+        }
+        if (parseUnits(invoiceDocument.total, decimals) !== amountInWei) {
+          setFormError(
+            `The invoice total (${invoiceDocument.total} ${symbol}) must match the escrow amount (${totalAmount}).`
+          );
+          return;
+        }
+      }
+      const documentHash = invoiceDocument
+        ? hashInvoiceDocument(invoiceDocument)
+        : zeroHash;
+
+      // The freelancer has to accept before the first milestone is due
+      const acceptByAt = requireAcceptance
+        ? BigInt(Math.floor(new Date(acceptBy).getTime() / 1000))
+        : 0n;
+      if (
+        requireAcceptance &&
+        (acceptByAt * 1000n <= BigInt(Date.now()) || acceptByAt > dueAts[0])
+      ) {
+        setFormError(
+          'The acceptance deadline must be in the future and no later than the first due date.'
+        );
+        return;
+      }
+
+      // 3. Derive the invoice ID from the parties, the invoice number and
+      // the salt, so funding the same invoice twice fails with EscrowExists
+      const invoiceId = computeInvoiceId(
+        address,
+        freelancer,
+        invoiceNumber,
+        salt
+      );
+
+      console.log('Derived invoiceId:', invoiceId);
+
+      // Native escrows are funded with the call's value instead of a token
+      // transfer
+      const value = isNative ? amountInWei : undefined;
+      const openEscrowCall = splitMilestones
+        ? {
+            functionName: 'openMilestoneEscrow',
+            args: [
+              invoiceId,
+              freelancer,
+              token.address,
+              amounts,
+              dueAts,
+              duePolicy,
+              acceptByAt,
+              documentHash,
+            ],
+            value,
+          }
+        : {
+            functionName: 'openEscrow',
+            args: [
+              invoiceId,
+              freelancer,
+              token.address,
+              amounts[0],
+              dueAts[0],
+              duePolicy,
+              acceptByAt,
+              documentHash,
+            ],
+            value,
+          };
+
+      setCreateSteps([
+        { id: 'check', label: 'Check escrow details', status: 'active' },
+        ...(isNative
+          ? []
+          : [
+              {
+                id: 'authorize',
+                label: `Authorize ${symbol}`,
+                status: 'pending',
+              },
+            ]),
+        { id: 'open', label: 'Open escrow', status: 'pending' },
+      ]);
+
+      // 4. Check the escrow can be opened before asking for a signature or
+      // an approval. While the allowance is short the simulation could only
+      // fail on the token transfer, with a revert that differs from token to
+      // token, so the check is then left to the simulation that runs before
+      // the escrow is opened.
+      const currentAllowance = isNative
+        ? 0n
+        : await getTokenAllowance(token.address, address);
+      if (isNative || currentAllowance >= amountInWei) {
+        await simulateWrite(publicClient, address, openEscrowCall);
+        updateCreateStep('check', { status: 'done' });
+      } else {
+        updateCreateStep('check', {
+          status: 'skipped',
+          label: `Escrow details are checked once ${symbol} is authorized`,
+        });
+      }
+
+      // 5. Make sure the escrow may pull the amount: reuse an existing
+      // allowance, approve a budget, sign a permit, or top up the allowance.
+      // Native escrows need none.
+      let escrowCall = openEscrowCall;
+      if (!isNative) {
+        const permitParams =
+          currentAllowance < amountInWei && !budgetMode
+            ? await getPermitParams(publicClient, token.address, address)
+            : null;
+
+        if (currentAllowance >= amountInWei) {
+          updateCreateStep('authorize', {
+            status: 'skipped',
+            label: `Existing allowance of ${formatTokenAmount(currentAllowance, token)} covers this escrow`,
+          });
+        } else if (permitParams) {
+          updateCreateStep('authorize', {
+            status: 'active',
+            label: `Sign a permit for ${totalAmount}`,
+            detail: 'Sign in your wallet (no gas)',
+          });
+          const { deadline, v, r, s } = await signPermit(
+            walletClient,
+            permitParams,
+            { owner: address, spender: contracts.escrowV1, value: amountInWei }
+          );
+          escrowCall = {
+            functionName: `${openEscrowCall.functionName}WithPermit`,
+            args: [...openEscrowCall.args, { deadline, v, r, s }],
+          };
+          updateCreateStep('authorize', { status: 'done', detail: null });
+        } else {
+          const approveAmount = budgetMode ? budgetInWei : amountInWei;
+          updateCreateStep('authorize', {
+            status: 'active',
+            label: budgetMode
+              ? `Approve a budget of ${formatTokenAmount(budgetInWei, token)}`
+              : currentAllowance > 0n
+                ? `Top up allowance to ${totalAmount}`
+                : `Approve ${totalAmount}`,
+            detail: 'Confirm in your wallet',
+          });
+          const approveHash = await writeContract({
+            address: token.address,
+            abi: mockUsdcAbi,
+            functionName: 'approve',
+            args: [contracts.escrowV1, approveAmount],
+          });
+          console.log('Approval TX:', approveHash);
+          updateCreateStep('authorize', { detail: 'Waiting for confirmation' });
+          const approval = await waitForConfirmation(
+            approveHash,
+            `Approve ${symbol}`
+          );
+          if (!approval) {
+            failActiveCreateStep();
+            return;
+          }
+          updateCreateStep('authorize', { status: 'done', detail: null });
+        }
+      }
+
+      // 6. Open the escrow once the allowance is in place
+      updateCreateStep('open', {
+        status: 'active',
+        detail: 'Confirm in your wallet',
       });
+      const escrowHash = await writeContract(escrowCall);
       console.log('Escrow TX:', escrowHash);
+      updateCreateStep('open', { detail: 'Waiting for confirmation' });
+      const receipt = await waitForConfirmation(
+        escrowHash,
+        'Create escrow',
+        'Escrow created successfully!'
+      );
+      if (!receipt) {
+        failActiveCreateStep();
+        return;
+      }
+      updateCreateStep('open', { status: 'done', detail: null });
+      if (!isNative) {
+        setAllowance(await getTokenAllowance(token.address, address));
+      }
 
-      // 6. Store invoice ID in localStorage for persistence
+      // 7. Store invoice ID in localStorage for persistence
       const savedInvoices = JSON.parse(
         localStorage.getItem('userInvoices') || '[]'
       );
@@ -219,20 +866,31 @@ function App() {
         localStorage.setItem('userInvoices', JSON.stringify(savedInvoices));
         console.log('Saved invoice ID to localStorage:', invoiceId);
       }
+      if (invoiceDocument) {
+        saveInvoiceDocument(invoiceId, invoiceDocument);
+      }
 
-      // 7. Reset form and show success
-      alert('Escrow created successfully!');
-      setFormData({ freelancer: '', amount: '', dueDate: '' });
-
-      // 8. Refresh the page to show the new escrow in the list
-      setTimeout(() => {
-        window.location.reload();
-      }, 2000); // Small delay to ensure transaction is mined
+      // 8. Reset form. The escrow list picks the new escrow up from its
+      // EscrowOpened event.
+      setFormData({
+        freelancer: '',
+        invoiceNumber: '',
+        salt: '',
+        token: formData.token,
+        amount: '',
+        dueDate: '',
+        duePolicy: DEFAULT_DUE_POLICY,
+      });
+      setMilestones(NEW_MILESTONES);
+      setInvoice(NEW_INVOICE);
+      setAcceptBy('');
+      if (payLink) {
+        dismissPaymentRequest();
+      }
     } catch (error) {
       console.error('Error creating escrow:', error);
-      alert(
-        'Failed to create escrow: ' + (error.shortMessage || error.message)
-      );
+      failActiveCreateStep();
+      setFormError(reportFailure('Create escrow', error) ?? '');
     } finally {
       setIsCreating(false);
     }
@@ -259,9 +917,7 @@ function App() {
           {isLoading ? 'Connecting...' : 'Connect Wallet'}
         </button>
         {error && (
-          <p style={{ color: 'red', marginTop: '1rem' }}>
-            Error: {error}
-          </p>
+          <p style={{ color: 'red', marginTop: '1rem' }}>Error: {error}</p>
         )}
       </div>
     );
@@ -338,61 +994,87 @@ function App() {
             </button>
           </div>
 
-          <div
-            style={{
-              display: 'grid',
-              gridTemplateColumns: '1fr 1fr',
-              gap: '1rem',
-              padding: '1rem',
-              background: 'white',
-              borderRadius: '8px',
-              border: '1px solid #e2e8f0',
-            }}
-          >
-            <div style={{ textAlign: 'center' }}>
-              <div
-                style={{
-                  fontSize: '1.5rem',
-                  fontWeight: 'bold',
-                  color: '#2d3748',
-                  marginBottom: '0.25rem',
-                }}
-              >
-                {nativeBalance ? formatUnits(nativeBalance, 18) : '0'}
-              </div>
-              <div
-                style={{
-                  fontSize: '0.8rem',
-                  color: '#718096',
-                  fontWeight: '600',
-                }}
-              >
-                ETH BALANCE
-              </div>
-            </div>
+          <NetworkSwitcher />
 
-            <div style={{ textAlign: 'center' }}>
-              <div
-                style={{
-                  fontSize: '1.5rem',
-                  fontWeight: 'bold',
-                  color: '#2d3748',
-                  marginBottom: '0.25rem',
-                }}
-              >
-                {usdcBalance ? formatUnits(usdcBalance, 6) : '0'}
-              </div>
-              <div
-                style={{
-                  fontSize: '0.8rem',
-                  color: '#718096',
-                  fontWeight: '600',
-                }}
-              >
-                USDC BALANCE
+          {isSupported && (
+            <div
+              style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+                gap: '1rem',
+                padding: '1rem',
+                background: 'white',
+                borderRadius: '8px',
+                border: '1px solid #e2e8f0',
+              }}
+            >
+              <div style={{ textAlign: 'center' }}>
+                <div
+                  style={{
+                    fontSize: '1.5rem',
+                    fontWeight: 'bold',
+                    color: '#2d3748',
+                    marginBottom: '0.25rem',
+                  }}
+                >
+                  {nativeBalance ? formatUnits(nativeBalance, 18) : '0'}
+                </div>
+                <div
+                  style={{
+                    fontSize: '0.8rem',
+                    color: '#718096',
+                    fontWeight: '600',
+                  }}
+                >
+                  {chain.nativeCurrency.symbol} BALANCE
+                </div>
+                {pendingWithdrawal > 0n && (
+                  <button
+                    type="button"
+                    onClick={withdrawPayouts}
+                    style={{
+                      marginTop: '0.5rem',
+                      padding: '0.25rem 0.5rem',
+                      background: 'white',
+                      color: '#007bff',
+                      border: '1px solid #007bff',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '0.8rem',
+                      fontWeight: '600',
+                    }}
+                  >
+                    Withdraw {formatUnits(pendingWithdrawal, 18)} from refused
+                    payouts
+                  </button>
+                )}
               </div>
+
+              {tokens.map((balance) => (
+                <div key={balance.address} style={{ textAlign: 'center' }}>
+                  <div
+                    style={{
+                      fontSize: '1.5rem',
+                      fontWeight: 'bold',
+                      color: '#2d3748',
+                      marginBottom: '0.25rem',
+                    }}
+                  >
+                    {formatUnits(balance.balance, balance.decimals)}
+                  </div>
+                  <div
+                    style={{
+                      fontSize: '0.8rem',
+                      color: '#718096',
+                      fontWeight: '600',
+                    }}
+                  >
+                    {balance.symbol} BALANCE
+                  </div>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
         </div>
       ) : (
         <div
@@ -430,8 +1112,8 @@ function App() {
             style={{
               padding: '1rem 2.5rem',
               fontSize: '1.1rem',
-              background: isLoading 
-                ? '#ccc' 
+              background: isLoading
+                ? '#ccc'
                 : 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
               color: 'white',
               border: 'none',
@@ -455,15 +1137,13 @@ function App() {
             {isLoading ? 'Connecting...' : 'Connect Wallet'}
           </button>
           {error && (
-            <p style={{ color: 'red', marginTop: '1rem' }}>
-              Error: {error}
-            </p>
+            <p style={{ color: 'red', marginTop: '1rem' }}>Error: {error}</p>
           )}
         </div>
       )}
 
-      {/* Create Escrow Form - Only show when connected */}
-      {isConnected && (
+      {/* Create Escrow Form - Only show when connected to a supported network */}
+      {isConnected && isSupported && (
         <div
           style={{
             marginBottom: '2rem',
@@ -474,6 +1154,14 @@ function App() {
           }}
         >
           <h2 style={{ marginTop: 0 }}>Create New Escrow</h2>
+          {payLink && (
+            <PaymentRequestBanner
+              payLink={payLink}
+              paymentRequest={paymentRequest}
+              chainId={chain.id}
+              onDismiss={dismissPaymentRequest}
+            />
+          )}
           <form
             onSubmit={createEscrow}
             style={{ display: 'flex', flexDirection: 'column', gap: '1rem' }}
@@ -510,26 +1198,24 @@ function App() {
 
             <div>
               <label
-                htmlFor="amount"
+                htmlFor="invoiceNumber"
                 style={{
                   display: 'block',
                   marginBottom: '0.5rem',
                   fontWeight: 'bold',
                 }}
               >
-                Amount (USDC)
+                Invoice Number
               </label>
               <input
-                id="amount"
-                type="number"
-                placeholder="100"
-                value={formData.amount}
+                id="invoiceNumber"
+                type="text"
+                placeholder="INV-2025-001"
+                value={formData.invoiceNumber}
                 onChange={(e) =>
-                  setFormData({ ...formData, amount: e.target.value })
+                  setFormData({ ...formData, invoiceNumber: e.target.value })
                 }
                 required
-                min="1"
-                step="0.01"
                 style={{
                   padding: '0.75rem',
                   border: '1px solid #ccc',
@@ -538,25 +1224,75 @@ function App() {
                   boxSizing: 'border-box',
                 }}
               />
+              <p
+                style={{
+                  margin: '0.5rem 0 0 0',
+                  color: '#666',
+                  fontSize: '0.85rem',
+                }}
+              >
+                The escrow ID is derived from your address, the freelancer's and
+                this number, so the freelancer can look it up and an invoice can
+                only be funded once.
+              </p>
             </div>
 
             <div>
               <label
-                htmlFor="dueDate"
+                htmlFor="salt"
                 style={{
                   display: 'block',
                   marginBottom: '0.5rem',
                   fontWeight: 'bold',
                 }}
               >
-              Due Date
+                Reissue Salt (optional)
               </label>
               <input
-                id="dueDate"
-                type="datetime-local"
-                value={formData.dueDate}
+                id="salt"
+                type="text"
+                placeholder={zeroHash}
+                value={formData.salt}
                 onChange={(e) =>
-                  setFormData({ ...formData, dueDate: e.target.value })
+                  setFormData({ ...formData, salt: e.target.value })
+                }
+                style={{
+                  padding: '0.75rem',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  fontFamily: 'monospace',
+                }}
+              />
+              <p
+                style={{
+                  margin: '0.5rem 0 0 0',
+                  color: '#666',
+                  fontSize: '0.85rem',
+                }}
+              >
+                Leave empty unless you are funding this invoice number again on
+                purpose. Any other 32-byte value gives the escrow a new ID.
+              </p>
+            </div>
+
+            <div>
+              <label
+                htmlFor="token"
+                style={{
+                  display: 'block',
+                  marginBottom: '0.5rem',
+                  fontWeight: 'bold',
+                }}
+              >
+                Currency
+              </label>
+              <select
+                id="token"
+                value={token.address}
+                onChange={(e) =>
+                  setFormData({ ...formData, token: e.target.value })
                 }
                 required
                 style={{
@@ -566,9 +1302,286 @@ function App() {
                   width: '100%',
                   boxSizing: 'border-box',
                 }}
+              >
+                {tokens.map((candidate) => (
+                  <option key={candidate.address} value={candidate.address}>
+                    {candidate.symbol}
+                  </option>
+                ))}
+                <option value={NATIVE_TOKEN}>
+                  {nativeToken.symbol} (native currency)
+                </option>
+              </select>
+            </div>
+
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                fontWeight: 'bold',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={attachInvoice}
+                onChange={(e) => setAttachInvoice(e.target.checked)}
               />
+              Attach invoice details
+            </label>
+
+            {attachInvoice && (
+              <InvoiceEditor
+                invoice={invoice}
+                token={token}
+                onChange={setInvoice}
+              />
+            )}
+
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                fontWeight: 'bold',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={splitMilestones}
+                onChange={(e) => setSplitMilestones(e.target.checked)}
+              />
+              Split the payment into milestones
+            </label>
+
+            {splitMilestones ? (
+              <MilestoneEditor
+                milestones={milestones}
+                token={token}
+                onChange={setMilestones}
+              />
+            ) : (
+              <>
+                <div>
+                  <label
+                    htmlFor="amount"
+                    style={{
+                      display: 'block',
+                      marginBottom: '0.5rem',
+                      fontWeight: 'bold',
+                    }}
+                  >
+                    Amount ({token.symbol})
+                  </label>
+                  <input
+                    id="amount"
+                    type="number"
+                    placeholder="100"
+                    value={formData.amount}
+                    onChange={(e) =>
+                      setFormData({ ...formData, amount: e.target.value })
+                    }
+                    required
+                    min="1"
+                    step="0.01"
+                    style={{
+                      padding: '0.75rem',
+                      border: '1px solid #ccc',
+                      borderRadius: '4px',
+                      width: '100%',
+                      boxSizing: 'border-box',
+                    }}
+                  />
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="dueDate"
+                    style={{
+                      display: 'block',
+                      marginBottom: '0.5rem',
+                      fontWeight: 'bold',
+                    }}
+                  >
+                    Due Date
+                  </label>
+                  <input
+                    id="dueDate"
+                    type="datetime-local"
+                    value={formData.dueDate}
+                    onChange={(e) =>
+                      setFormData({ ...formData, dueDate: e.target.value })
+                    }
+                    required
+                    style={{
+                      padding: '0.75rem',
+                      border: '1px solid #ccc',
+                      borderRadius: '4px',
+                      width: '100%',
+                      boxSizing: 'border-box',
+                    }}
+                  />
+                </div>
+              </>
+            )}
+
+            <div>
+              <label
+                htmlFor="duePolicy"
+                style={{
+                  display: 'block',
+                  marginBottom: '0.5rem',
+                  fontWeight: 'bold',
+                }}
+              >
+                If the work is not delivered by the due date
+              </label>
+              <select
+                id="duePolicy"
+                value={formData.duePolicy}
+                onChange={(e) =>
+                  setFormData({
+                    ...formData,
+                    duePolicy: Number(e.target.value),
+                  })
+                }
+                style={{
+                  padding: '0.75rem',
+                  border: '1px solid #ccc',
+                  borderRadius: '4px',
+                  width: '100%',
+                  boxSizing: 'border-box',
+                }}
+              >
+                {DUE_POLICIES.map((policy) => (
+                  <option key={policy.value} value={policy.value}>
+                    {policy.label}
+                  </option>
+                ))}
+              </select>
+              <p
+                style={{
+                  margin: '0.5rem 0 0 0',
+                  color: '#666',
+                  fontSize: '0.85rem',
+                }}
+              >
+                {
+                  DUE_POLICIES.find(
+                    (policy) => policy.value === formData.duePolicy
+                  ).description
+                }
+              </p>
             </div>
 
+            <label
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.5rem',
+                fontWeight: 'bold',
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={requireAcceptance}
+                onChange={(e) => setRequireAcceptance(e.target.checked)}
+              />
+              Ask the freelancer to accept the terms first
+            </label>
+
+            {requireAcceptance && (
+              <div>
+                <label
+                  htmlFor="acceptBy"
+                  style={{
+                    display: 'block',
+                    marginBottom: '0.5rem',
+                    fontWeight: 'bold',
+                  }}
+                >
+                  Accept By
+                </label>
+                <input
+                  id="acceptBy"
+                  type="datetime-local"
+                  value={acceptBy}
+                  onChange={(e) => setAcceptBy(e.target.value)}
+                  required
+                  style={{
+                    padding: '0.75rem',
+                    border: '1px solid #ccc',
+                    borderRadius: '4px',
+                    width: '100%',
+                    boxSizing: 'border-box',
+                  }}
+                />
+                <p
+                  style={{
+                    margin: '0.5rem 0 0 0',
+                    color: '#666',
+                    fontSize: '0.85rem',
+                  }}
+                >
+                  The escrow only becomes binding once the freelancer accepts.
+                  They can decline it instead, and if they have not accepted by
+                  this time you can reclaim the funds.
+                </p>
+              </div>
+            )}
+
+            {!isNative && (
+              <div>
+                <label
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.5rem',
+                    fontWeight: 'bold',
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={budgetMode}
+                    onChange={(e) => setBudgetMode(e.target.checked)}
+                  />
+                  Approve a budget for several escrows
+                </label>
+                {budgetMode && (
+                  <input
+                    id="budget"
+                    type="number"
+                    placeholder={`Total ${token.symbol} the escrow may spend, e.g. 5000`}
+                    value={budget}
+                    onChange={(e) => setBudget(e.target.value)}
+                    required
+                    min="0.01"
+                    step="0.01"
+                    style={{
+                      marginTop: '0.5rem',
+                      padding: '0.75rem',
+                      border: '1px solid #ccc',
+                      borderRadius: '4px',
+                      width: '100%',
+                      boxSizing: 'border-box',
+                    }}
+                  />
+                )}
+                <p
+                  style={{
+                    margin: '0.5rem 0 0 0',
+                    color: '#666',
+                    fontSize: '0.85rem',
+                  }}
+                >
+                  Current allowance: {formatTokenAmount(allowance, token)}.{' '}
+                  {budgetMode
+                    ? 'Escrows are funded from the budget without further approvals until it runs out.'
+                    : 'Escrows it already covers open without an approval.'}
+                </p>
+              </div>
+            )}
+
             <button
               type="submit"
               disabled={isCreating || !isConnected}
@@ -585,12 +1598,52 @@ function App() {
             >
               {isCreating ? 'Creating Escrow...' : 'Create Escrow'}
             </button>
+            <StepIndicator steps={createSteps} />
+            {formError && (
+              <p
+                role="alert"
+                style={{ margin: 0, color: '#d32f2f', fontSize: '0.9rem' }}
+              >
+                ⚠️ {formError}
+              </p>
+            )}
           </form>
         </div>
       )}
 
+      {/* Payment requests for clients to fund, made by the freelancer */}
+      {isConnected && isSupported && (
+        <PaymentRequestForm key={chain.id} walletClient={walletClient} />
+      )}
+
       {/* Escrow List - Only show when connected */}
-      {isConnected && <EscrowList onAction={handleAction} />}
+      {isConnected && isSupported && (
+        <EscrowList
+          key={chain.id}
+          onAction={handleAction}
+          timelines={timelines}
+        />
+      )}
+
+      {/* Arbiter Console - Only rendered for the arbiter address */}
+      {isConnected && isSupported && (
+        <ArbiterConsole key={chain.id} onAction={handleAction} />
+      )}
+
+      {/* Transactions sent from this browser, kept across reloads */}
+      {isConnected && <RecentTransactions />}
+
+      {/* Transaction status toasts */}
+      <TransactionToasts />
+
+      {/* Escrow Details modal */}
+      {selectedEscrow?.chainId === chain.id && (
+        <EscrowDetails
+          invoiceId={selectedEscrow.invoiceId}
+          timeline={timelines.get(selectedEscrow.invoiceId.toLowerCase())}
+          onClose={() => setSelectedEscrow(null)}
+        />
+      )}
 
       {/* Connection reminder (shown when not connected) */}
       {!isConnected && (
@@ -614,9 +1667,7 @@ function App() {
             Connect your wallet to create and manage escrows
           </p>
           {error && (
-            <p style={{ color: 'red', marginTop: '1rem' }}>
-              Error: {error}
-            </p>
+            <p style={{ color: 'red', marginTop: '1rem' }}>Error: {error}</p>
           )}
         </div>
       )}
@@ -0,0 +1,89 @@
+import { createPublicClient, defineChain, http } from 'viem';
+import { polygonAmoy } from 'viem/chains';
+import { deployBlocks, deployments } from './generated/deployments';
+
+// Custom chain configuration for Anvil
+export const anvilChain = defineChain({
+  id: 31337,
+  name: 'Anvil Local',
+  network: 'anvil',
+  nativeCurrency: {
+    decimals: 18,
+    name: 'Ethereum',
+    symbol: 'ETH',
+  },
+  rpcUrls: {
+    default: {
+      http: ['http://127.0.0.1:8545'],
+    },
+    public: {
+      http: ['http://127.0.0.1:8545'],
+    },
+  },
+});
+
+// Contracts the deploy script creates from Anvil's default account, used
+// until a local deployment has been recorded in escrow-contracts/broadcast
+const ANVIL_DEFAULT_CONTRACTS = {
+  mockUsdc: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+  forwarder: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+  escrowV1: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+};
+
+// Every network the app runs on: its RPC endpoint, where the contracts
+// are deployed (and from which block) and, optionally, the relayer for gasless calls. Addresses
+// come from the generated deployments module, which only records escrows
+// deployed from the current sources, so networks without a current
+// deployment are left out.
+export const NETWORKS = Object.fromEntries(
+  [
+    {
+      chain: anvilChain,
+      rpcUrl: anvilChain.rpcUrls.default.http[0],
+      contracts: deployments[anvilChain.id] ?? ANVIL_DEFAULT_CONTRACTS,
+      deployBlock: BigInt(deployBlocks[anvilChain.id] ?? 0),
+      relayerUrl: import.meta.env.VITE_RELAYER_URL,
+    },
+    {
+      chain: polygonAmoy,
+      rpcUrl:
+        import.meta.env.VITE_AMOY_RPC_URL ||
+        polygonAmoy.rpcUrls.default.http[0],
+      contracts: deployments[polygonAmoy.id],
+      deployBlock: BigInt(deployBlocks[polygonAmoy.id] ?? 0),
+      relayerUrl: import.meta.env.VITE_AMOY_RELAYER_URL,
+    },
+  ]
+    .filter((network) => network.contracts?.escrowV1)
+    .map((network) => [network.chain.id, network])
+);
+
+export const DEFAULT_CHAIN_ID = anvilChain.id;
+
+export const SUPPORTED_NETWORKS = Object.values(NETWORKS);
+
+// Registry entry for a chain ID, or null if the app is not deployed there
+export const getNetwork = (chainId) => NETWORKS[chainId] ?? null;
+
+// Contract addresses on the chain a client reads from
+export const getChainContracts = (chainId) => NETWORKS[chainId].contracts;
+
+// Block the escrow on a chain was deployed in, where event scans start
+export const getDeployBlock = (chainId) => NETWORKS[chainId].deployBlock;
+
+// Read clients are shared so every hook on a chain reuses one connection
+const publicClients = new Map();
+
+export const getPublicClient = (chainId) => {
+  if (!publicClients.has(chainId)) {
+    const { chain, rpcUrl } = NETWORKS[chainId];
+    publicClients.set(
+      chainId,
+      createPublicClient({
+        chain,
+        transport: http(rpcUrl),
+      })
+    );
+  }
+  return publicClients.get(chainId);
+};
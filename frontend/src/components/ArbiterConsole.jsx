@@ -0,0 +1,287 @@
+import { useState, useEffect } from 'react';
+import { useWallet } from '../hooks/useWallet';
+import { getTokenInfo, formatTokenAmount } from '../tokens';
+import { STATUS } from '../escrowStatus';
+
+function ArbiterConsole({ onAction }) {
+  const {
+    address,
+    isConnected,
+    publicClient,
+    getArbiter,
+    getDisputes,
+    getEscrowsDetailsBatch,
+  } = useWallet();
+  const [isArbiter, setIsArbiter] = useState(false);
+  const [disputes, setDisputes] = useState([]);
+  const [splits, setSplits] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isConnected && address) {
+      loadDisputes();
+    } else {
+      setIsArbiter(false);
+      setDisputes([]);
+    }
+  }, [isConnected, address]);
+
+  const loadDisputes = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      // 1. Only the arbiter gets the console
+      const arbiter = await getArbiter();
+      const allowed = arbiter?.toLowerCase() === address.toLowerCase();
+      setIsArbiter(allowed);
+      if (!allowed) return;
+
+      // 2. Collect every invoice that was ever disputed, keeping the latest reason
+      const disputeLogs = await getDisputes();
+      const reasons = new Map();
+      for (const log of disputeLogs) {
+        reasons.set(log.invoiceId, log);
+      }
+      const invoiceIds = [...reasons.keys()];
+      if (invoiceIds.length === 0) {
+        setDisputes([]);
+        return;
+      }
+
+      // 3. Keep only the ones that are still waiting for a decision
+      const details = await getEscrowsDetailsBatch(invoiceIds);
+      if (!details) {
+        setError('Failed to load disputed escrows.');
+        return;
+      }
+      const [clients, freelancers, tokens, amounts, , , statuses] = details;
+      const tokenInfo = await Promise.all(
+        tokens.map((token) => getTokenInfo(publicClient, token))
+      );
+      setDisputes(
+        invoiceIds
+          .map((invoiceId, index) => ({
+            id: invoiceId,
+            client: clients[index],
+            freelancer: freelancers[index],
+            token: tokenInfo[index],
+            amount: amounts[index].toString(),
+            status: Number(statuses[index]),
+            reasonURI: reasons.get(invoiceId).reasonURI,
+            disputedAt: reasons.get(invoiceId).at.toString(),
+          }))
+          .filter((escrow) => escrow.status === STATUS.Disputed)
+      );
+    } catch (error) {
+      console.error('Error loading disputes:', error);
+      setError('Failed to load disputed escrows.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getSplit = (invoiceId) => splits[invoiceId] ?? '50';
+
+  const submitSplit = async (e, invoiceId) => {
+    e.preventDefault();
+    const freelancerPercent = Number(getSplit(invoiceId));
+    if (
+      Number.isNaN(freelancerPercent) ||
+      freelancerPercent < 0 ||
+      freelancerPercent > 100
+    ) {
+      setError('The freelancer share must be between 0 and 100%.');
+      return;
+    }
+    // Percent with two decimals -> basis points
+    const freelancerBps = Math.round(freelancerPercent * 100);
+    const failure = await onAction('resolve', invoiceId, freelancerBps);
+    if (failure) {
+      setError(failure);
+      return;
+    }
+    await loadDisputes();
+  };
+
+  const formatAddress = (address) => {
+    return `${address.slice(0, 8)}...${address.slice(-6)}`;
+  };
+
+  const formatShare = (escrow, percent) => {
+    const bps = BigInt(Math.round(Number(percent || 0) * 100));
+    return formatTokenAmount(
+      (BigInt(escrow.amount) * bps) / 10000n,
+      escrow.token
+    );
+  };
+
+  if (!isConnected || !isArbiter) return null;
+
+  return (
+    <div style={consoleStyle}>
+      <div
+        style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: '1rem',
+        }}
+      >
+        <h2 style={{ margin: 0 }}>⚖️ Arbiter Console</h2>
+        <button
+          onClick={loadDisputes}
+          disabled={loading}
+          style={{
+            padding: '0.5rem 1rem',
+            background: '#28a745',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            cursor: loading ? 'not-allowed' : 'pointer',
+            opacity: loading ? 0.7 : 1,
+          }}
+        >
+          {loading ? '⏳ Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {error && (
+        <div
+          style={{
+            padding: '1rem',
+            background: '#ffebee',
+            border: '1px solid #f44336',
+            borderRadius: '6px',
+            color: '#d32f2f',
+            marginBottom: '1rem',
+          }}
+        >
+          ⚠️ {error}
+        </div>
+      )}
+
+      {disputes.length === 0 ? (
+        <p style={{ color: '#666' }}>
+          {loading ? 'Scanning for disputes...' : 'No open disputes. 🎉'}
+        </p>
+      ) : (
+        disputes.map((escrow) => (
+          <form
+            key={escrow.id}
+            onSubmit={(e) => submitSplit(e, escrow.id)}
+            style={disputeRowStyle}
+          >
+            <div style={{ flex: '1 1 320px' }}>
+              <h4 style={{ margin: '0 0 0.5rem 0', fontFamily: 'monospace' }}>
+                #{escrow.id.slice(0, 8)}...
+              </h4>
+              <div style={rowTextStyle}>
+                👤 {formatAddress(escrow.client)} → 👨‍💻{' '}
+                {formatAddress(escrow.freelancer)}
+              </div>
+              <div style={rowTextStyle}>
+                💰 {formatTokenAmount(escrow.amount, escrow.token)}
+              </div>
+              <div style={rowTextStyle}>
+                📝{' '}
+                {/* The client picks the reason, so only web links are
+                    clickable; anything else is shown as text */}
+                {/^https?:\/\//i.test(escrow.reasonURI) ? (
+                  <a
+                    href={escrow.reasonURI}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                  >
+                    {escrow.reasonURI}
+                  </a>
+                ) : (
+                  <span>{escrow.reasonURI}</span>
+                )}{' '}
+                ({new Date(Number(escrow.disputedAt) * 1000).toLocaleString()})
+              </div>
+            </div>
+
+            <div style={{ flex: '0 1 260px' }}>
+              <label
+                htmlFor={`split-${escrow.id}`}
+                style={{ display: 'block', fontWeight: 'bold' }}
+              >
+                Freelancer share (%)
+              </label>
+              <input
+                id={`split-${escrow.id}`}
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={getSplit(escrow.id)}
+                onChange={(e) =>
+                  setSplits({ ...splits, [escrow.id]: e.target.value })
+                }
+                required
+                style={inputStyle}
+              />
+              <div style={{ ...rowTextStyle, margin: '0.5rem 0' }}>
+                Freelancer gets {formatShare(escrow, getSplit(escrow.id))},
+                client is refunded{' '}
+                {formatShare(escrow, 100 - Number(getSplit(escrow.id)))}
+              </div>
+              <button type="submit" style={resolveButtonStyle}>
+                Submit Split
+              </button>
+            </div>
+          </form>
+        ))
+      )}
+    </div>
+  );
+}
+
+// Styles
+const consoleStyle = {
+  marginTop: '2rem',
+  padding: '1.5rem',
+  border: '1px solid #f5c6cb',
+  borderRadius: '12px',
+  background: '#fffafa',
+};
+
+const disputeRowStyle = {
+  display: 'flex',
+  flexWrap: 'wrap',
+  gap: '1.5rem',
+  padding: '1rem',
+  marginBottom: '1rem',
+  background: 'white',
+  border: '1px solid #e0e0e0',
+  borderRadius: '8px',
+};
+
+const rowTextStyle = {
+  color: '#555',
+  fontSize: '0.9rem',
+  marginBottom: '0.25rem',
+  wordBreak: 'break-all',
+};
+
+const inputStyle = {
+  padding: '0.6rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  width: '100%',
+  boxSizing: 'border-box',
+};
+
+const resolveButtonStyle = {
+  padding: '0.6rem 1.2rem',
+  background: 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontSize: '0.85rem',
+};
+
+export default ArbiterConsole;
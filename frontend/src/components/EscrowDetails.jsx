@@ -0,0 +1,540 @@
+import { useState, useEffect } from 'react';
+import { zeroHash } from 'viem';
+import { useWallet } from '../hooks/useWallet';
+import { getDuePolicyLabel } from '../duePolicies';
+import { describeTimelineEntry, fetchTransactionSenders } from '../timeline';
+import { getTokenInfo, formatTokenAmount } from '../tokens';
+import {
+  canonicalJson,
+  getSavedInvoiceDocument,
+  verifyInvoiceDocument,
+} from '../invoiceDocument';
+import { getDeliveryProof, verifyDeliveryFile } from '../deliveryProof';
+import {
+  STATUS,
+  statusNames,
+  statusColors,
+  getReleaseTime,
+  getDisputeDeadline,
+  getMilestoneStatus,
+  isRefundEligible,
+  formatCountdown,
+} from '../escrowStatus';
+
+// Stable default, so effects on the timeline do not re-run every render
+const NO_ENTRIES = [];
+
+function EscrowDetails({ invoiceId, timeline = NO_ENTRIES, onClose }) {
+  const { publicClient, getEscrow, getDisputeWindow, getMilestonesBatch } =
+    useWallet();
+  const [escrow, setEscrow] = useState(null);
+  const [disputeWindow, setDisputeWindow] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  // Result of checking a supplied invoice document against the escrow
+  const [verification, setVerification] = useState(null);
+  // Whether a received file matches the delivery proof, once checked
+  const [deliveryCheck, setDeliveryCheck] = useState(null);
+  // Transaction hash -> account that sent it, for the history
+  const [senders, setSenders] = useState(new Map());
+
+  // Reload on-chain state whenever a new event lands for this invoice
+  useEffect(() => {
+    loadDetails();
+  }, [invoiceId, timeline.length]);
+
+  // Senders are only looked up for the escrow on screen
+  useEffect(() => {
+    let cancelled = false;
+    fetchTransactionSenders(publicClient, timeline)
+      .then((found) => {
+        if (!cancelled) setSenders(found);
+      })
+      .catch((error) =>
+        console.error('Error loading transaction senders:', error)
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [publicClient, timeline]);
+
+  // Tick every second to keep the countdowns live
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(Math.floor(Date.now() / 1000));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadDetails = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const [details, windowSeconds, milestones] = await Promise.all([
+        getEscrow(invoiceId),
+        getDisputeWindow(),
+        getMilestonesBatch([invoiceId]),
+      ]);
+      if (!details) {
+        setError('Failed to load escrow details.');
+        return;
+      }
+      const token = await getTokenInfo(publicClient, details.token);
+      setEscrow({
+        id: invoiceId,
+        client: details.client,
+        freelancer: details.freelancer,
+        token,
+        amount: details.amount.toString(),
+        dueAt: details.dueAt.toString(),
+        deliveredAt: details.deliveredAt.toString(),
+        acceptBy: details.acceptBy.toString(),
+        status: Number(details.status),
+        policy: Number(details.policy),
+        documentHash: details.documentHash,
+        milestones: milestones?.[0].map((milestone) => ({
+          amount: milestone.amount.toString(),
+          dueAt: milestone.dueAt.toString(),
+          deliveredAt: milestone.deliveredAt.toString(),
+          settled: milestone.settled,
+        })),
+      });
+      setDisputeWindow(windowSeconds);
+    } catch (error) {
+      console.error('Error loading escrow details:', error);
+      setError('Failed to load escrow details.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatTimestamp = (timestamp) => {
+    if (!timestamp || timestamp.toString() === '0') return '—';
+    return new Date(Number(timestamp) * 1000).toLocaleString();
+  };
+
+  const formatAmount = (amount) => formatTokenAmount(amount, escrow.token);
+
+  const renderEligibility = () => {
+    if (escrow.status === STATUS.Disputed) {
+      return 'Frozen while the dispute is open';
+    }
+    if (escrow.status === STATUS.PendingAcceptance) {
+      return 'Not eligible — waiting for the freelancer to accept';
+    }
+    if (escrow.status !== STATUS.Funded && escrow.status !== STATUS.Delivered) {
+      return 'Settled';
+    }
+    if (isRefundEligible(escrow, now)) {
+      return 'Not eligible — overdue, the client can claim a refund';
+    }
+    const releaseTime = getReleaseTime(escrow, disputeWindow ?? 0);
+    if (releaseTime === null) {
+      return 'Not eligible — waiting for delivery';
+    }
+    return now >= releaseTime
+      ? '✅ Eligible for release now'
+      : `Eligible in ${formatCountdown(releaseTime - now)} (${formatTimestamp(releaseTime)})`;
+  };
+
+  const renderDisputeWindow = () => {
+    if (escrow.status === STATUS.PendingAcceptance) {
+      return 'Opens once the freelancer accepts';
+    }
+    if (escrow.status !== STATUS.Funded && escrow.status !== STATUS.Delivered) {
+      return 'Closed';
+    }
+    // The client can dispute until all remaining funds become releasable
+    const deadline = getDisputeDeadline(escrow, disputeWindow ?? 0);
+    if (deadline === null) {
+      return `Open — ${formatCountdown(Number(disputeWindow ?? 0))} window starts at delivery`;
+    }
+    return now >= deadline
+      ? 'Closed'
+      : `Closes in ${formatCountdown(deadline - now)}`;
+  };
+
+  const verifyDocument = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setVerification(
+        verifyInvoiceDocument(await file.text(), escrow.documentHash)
+      );
+    } catch {
+      setVerification({ error: 'This file is not a JSON invoice document.' });
+    }
+  };
+
+  const verifyDelivery = async (e, contentHash) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setDeliveryCheck({
+      fileName: file.name,
+      matches: await verifyDeliveryFile(file, contentHash),
+    });
+  };
+
+  const renderDeliveryProof = () => {
+    const proof = getDeliveryProof(timeline);
+    if (!proof) return null;
+    // Only web links are clickable; anything else is shown as text
+    const isWebLink = /^https?:\/\//i.test(proof.deliveryURI);
+    return (
+      <>
+        <h3 style={{ marginBottom: '0.5rem' }}>📦 Delivery proof</h3>
+        {proof.deliveryURI && (
+          <div style={rowStyle}>
+            <span style={labelStyle}>Deliverable</span>
+            {isWebLink ? (
+              <a
+                href={proof.deliveryURI}
+                target="_blank"
+                rel="noopener noreferrer"
+                style={monoStyle}
+              >
+                {proof.deliveryURI}
+              </a>
+            ) : (
+              <span style={monoStyle}>{proof.deliveryURI}</span>
+            )}
+          </div>
+        )}
+        <div style={rowStyle}>
+          <span style={labelStyle}>SHA-256</span>
+          <span style={monoStyle}>{proof.contentHash}</span>
+        </div>
+        <div style={rowStyle}>
+          <label htmlFor="delivery-file" style={labelStyle}>
+            Verify the received file
+          </label>
+          <input
+            id="delivery-file"
+            type="file"
+            onChange={(e) => verifyDelivery(e, proof.contentHash)}
+          />
+        </div>
+        {deliveryCheck &&
+          (deliveryCheck.matches ? (
+            <div style={matchStyle}>
+              ✅ {deliveryCheck.fileName} is the file the freelancer delivered.
+            </div>
+          ) : (
+            <div style={errorStyle}>
+              ❌ {deliveryCheck.fileName} does not match the delivery proof. It
+              differs from the file the freelancer delivered.
+            </div>
+          ))}
+      </>
+    );
+  };
+
+  const renderDocument = () => {
+    if (escrow.documentHash === zeroHash) {
+      return (
+        <div style={rowStyle}>
+          <span style={labelStyle}>📄 Invoice document</span>
+          <span>None attached</span>
+        </div>
+      );
+    }
+    // Copy kept by the browser the escrow was opened from
+    const saved = getSavedInvoiceDocument(escrow.id);
+    return (
+      <>
+        <h3 style={{ marginBottom: '0.5rem' }}>📄 Invoice document</h3>
+        <div style={rowStyle}>
+          <span style={labelStyle}>Committed hash</span>
+          <span style={monoStyle}>{escrow.documentHash}</span>
+        </div>
+        <div style={rowStyle}>
+          <label htmlFor="invoice-document" style={labelStyle}>
+            Verify a document
+          </label>
+          <input
+            id="invoice-document"
+            type="file"
+            accept="application/json,.json"
+            onChange={verifyDocument}
+          />
+          {saved && (
+            <a
+              href={`data:application/json;charset=utf-8,${encodeURIComponent(canonicalJson(saved))}`}
+              download={`${saved.invoiceNumber || 'invoice'}.json`}
+            >
+              ⬇️ Download
+            </a>
+          )}
+        </div>
+        {verification &&
+          (verification.matches ? (
+            <div style={matchStyle}>
+              ✅ Matches the hash committed on-chain: invoice{' '}
+              {verification.document.invoiceNumber}, total{' '}
+              {verification.document.total}{' '}
+              {verification.document.currency?.symbol}
+            </div>
+          ) : (
+            <div style={errorStyle}>
+              ❌{' '}
+              {verification.error ??
+                'Does not match the hash committed on-chain. The document was changed or belongs to another escrow.'}
+            </div>
+          ))}
+      </>
+    );
+  };
+
+  const renderMilestones = () => {
+    if (!(escrow.milestones?.length > 1)) return null;
+    return (
+      <>
+        <h3 style={{ marginBottom: '0.5rem' }}>🧩 Milestones</h3>
+        {escrow.milestones.map((milestone, index) => {
+          const status = getMilestoneStatus(escrow, milestone);
+          return (
+            <div key={index} style={rowStyle}>
+              <span style={labelStyle}>
+                #{index + 1} · {formatAmount(milestone.amount)}
+              </span>
+              <span>
+                due {formatTimestamp(milestone.dueAt)} · delivered{' '}
+                {formatTimestamp(milestone.deliveredAt)}
+              </span>
+              <span
+                style={{
+                  ...badgeStyle,
+                  background: statusColors[status] || '#666',
+                }}
+              >
+                {statusNames[status] || 'Unknown'}
+              </span>
+            </div>
+          );
+        })}
+      </>
+    );
+  };
+
+  return (
+    <div style={overlayStyle} onClick={onClose}>
+      <div style={modalStyle} onClick={(e) => e.stopPropagation()}>
+        <div style={headerStyle}>
+          <h2 style={{ margin: 0 }}>🧾 Escrow Details</h2>
+          <button onClick={onClose} style={closeButtonStyle}>
+            ✕
+          </button>
+        </div>
+
+        {error && <div style={errorStyle}>⚠️ {error}</div>}
+
+        {loading && !escrow ? (
+          <p style={{ color: '#666' }}>⏳ Loading escrow...</p>
+        ) : (
+          escrow && (
+            <>
+              <div style={rowStyle}>
+                <span style={labelStyle}>Invoice ID</span>
+                <span style={monoStyle}>{escrow.id}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>Status</span>
+                <span
+                  style={{
+                    ...badgeStyle,
+                    background: statusColors[escrow.status] || '#666',
+                  }}
+                >
+                  {statusNames[escrow.status] || 'Unknown'}
+                </span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>👤 Client</span>
+                <span style={monoStyle}>{escrow.client}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>👨‍💻 Freelancer</span>
+                <span style={monoStyle}>{escrow.freelancer}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>🪙 Token</span>
+                <span style={monoStyle}>
+                  {escrow.token.symbol} · {escrow.token.address}
+                </span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>💰 Amount held</span>
+                <span style={{ ...monoStyle, fontWeight: 'bold' }}>
+                  {formatAmount(escrow.amount)}
+                </span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>📅 Due</span>
+                <span>{formatTimestamp(escrow.dueAt)}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>✅ Delivered</span>
+                <span>{formatTimestamp(escrow.deliveredAt)}</span>
+              </div>
+              {escrow.acceptBy !== '0' && (
+                <div style={rowStyle}>
+                  <span style={labelStyle}>🤝 Accept by</span>
+                  <span>{formatTimestamp(escrow.acceptBy)}</span>
+                </div>
+              )}
+              <div style={rowStyle}>
+                <span style={labelStyle}>⏰ If undelivered</span>
+                <span>{getDuePolicyLabel(escrow.policy)}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>⚠️ Dispute window</span>
+                <span>{renderDisputeWindow()}</span>
+              </div>
+              <div style={rowStyle}>
+                <span style={labelStyle}>💸 Release</span>
+                <span>{renderEligibility()}</span>
+              </div>
+
+              {renderDocument()}
+
+              {renderDeliveryProof()}
+
+              {renderMilestones()}
+
+              <h3 style={{ marginBottom: '0.5rem' }}>📜 History</h3>
+              {timeline.length === 0 ? (
+                <p style={{ color: '#666' }}>No events found.</p>
+              ) : (
+                <ol style={historyStyle}>
+                  {timeline.map((entry) => (
+                    <li key={entry.id} style={historyItemStyle}>
+                      <div style={{ fontWeight: 600 }}>{entry.eventName}</div>
+                      <div style={{ wordBreak: 'break-all' }}>
+                        {describeTimelineEntry(entry, escrow.token)}
+                      </div>
+                      <div style={{ color: '#888', fontSize: '0.8rem' }}>
+                        {formatTimestamp(entry.timestamp)} · sent by{' '}
+                        <span style={monoStyle}>
+                          {senders.get(entry.transactionHash) ?? '…'}
+                        </span>{' '}
+                        · block {entry.blockNumber.toString()} · tx{' '}
+                        <span style={monoStyle}>{entry.transactionHash}</span>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const overlayStyle = {
+  position: 'fixed',
+  inset: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  padding: '1rem',
+  zIndex: 1000,
+};
+
+const modalStyle = {
+  background: 'white',
+  color: '#333',
+  borderRadius: '12px',
+  padding: '1.5rem',
+  width: '100%',
+  maxWidth: '720px',
+  maxHeight: '90vh',
+  overflowY: 'auto',
+  textAlign: 'left',
+  boxShadow: '0 8px 32px rgba(0,0,0,0.2)',
+};
+
+const headerStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  marginBottom: '1rem',
+  paddingBottom: '1rem',
+  borderBottom: '2px solid #f0f0f0',
+};
+
+const closeButtonStyle = {
+  padding: '0.4rem 0.8rem',
+  background: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+};
+
+const errorStyle = {
+  padding: '1rem',
+  background: '#ffebee',
+  border: '1px solid #f44336',
+  borderRadius: '6px',
+  color: '#d32f2f',
+  marginBottom: '1rem',
+};
+
+const matchStyle = {
+  padding: '1rem',
+  background: '#e8f5e9',
+  border: '1px solid #4caf50',
+  borderRadius: '6px',
+  color: '#2e7d32',
+  marginBottom: '1rem',
+};
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '1rem',
+  marginBottom: '0.5rem',
+  padding: '0.5rem',
+  background: '#fafafa',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+};
+
+const labelStyle = {
+  fontWeight: '600',
+  color: '#555',
+  whiteSpace: 'nowrap',
+};
+
+const monoStyle = {
+  fontFamily: 'monospace',
+  wordBreak: 'break-all',
+};
+
+const badgeStyle = {
+  padding: '0.25rem 0.5rem',
+  borderRadius: '12px',
+  fontSize: '0.75rem',
+  fontWeight: 'bold',
+  color: 'white',
+};
+
+const historyStyle = {
+  listStyle: 'none',
+  padding: 0,
+  margin: 0,
+  borderLeft: '3px solid #e0e0e0',
+};
+
+const historyItemStyle = {
+  padding: '0.5rem 0 0.5rem 1rem',
+  fontSize: '0.9rem',
+};
+
+export default EscrowDetails;
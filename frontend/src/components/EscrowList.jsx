@@ -1,16 +1,40 @@
-import { useState, useEffect } from 'react';
-import { formatUnits } from 'viem';
+import { useState, useEffect, useRef } from 'react';
 import { useWallet } from '../hooks/useWallet';
-import { ESCROW_V1_ADDRESS, escrowV1Abi } from '../contracts';
+import { useNetwork } from '../hooks/useNetwork';
+import { AUTO_REFUND_POLICY, getDuePolicyLabel } from '../duePolicies';
+import {
+  STATUS,
+  statusNames,
+  statusColors,
+  getReleaseTime,
+  getMilestoneStatus,
+  isRefundEligible,
+  formatCountdown
+} from '../escrowStatus';
+import { describeTimelineEntry } from '../timeline';
+import { preflightEscrowAction } from '../preflight';
+import { getTokenInfo, formatTokenAmount } from '../tokens';
+import { hashFile } from '../deliveryProof';
 
-const statusNames = ['None', 'Funded', 'Delivered', 'Disputed', 'Released', 'Refunded'];
-const statusColors = ['#666', '#1976d2', '#f57c00', '#d32f2f', '#2e7d32', '#7b1fa2'];
-
-function EscrowList({ onAction }) {
-  const { address, isConnected, getEscrowDetails, getUserEscrowIds, getEscrowsDetailsBatch } = useWallet();
+function EscrowList({ onAction, timelines }) {
+  const { address, isConnected, publicClient, getEscrowDetails, getUserEscrowIds, getEscrowsDetailsBatch, getCancellationRequests, getDisputeWindow, getMilestonesBatch } = useWallet();
+  const { relayerUrl } = useNetwork();
   const [escrows, setEscrows] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [disputeFormId, setDisputeFormId] = useState(null);
+  const [disputeReason, setDisputeReason] = useState('');
+  // Delivery proof being prepared: the link and the chosen file's SHA-256
+  const [deliveryFormId, setDeliveryFormId] = useState(null);
+  const [deliveryURI, setDeliveryURI] = useState('');
+  const [deliveryHash, setDeliveryHash] = useState('');
+  // "<invoiceId>:<action>" -> decoded revert for actions that would fail
+  const [blockedActions, setBlockedActions] = useState(new Map());
+  // Invoice ID -> reason the last action was stopped before the wallet
+  const [actionErrors, setActionErrors] = useState({});
+  const [preflightTick, setPreflightTick] = useState(0);
+  const [disputeWindow, setDisputeWindow] = useState(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
 
   useEffect(() => {
     if (isConnected && address) {
@@ -21,15 +45,194 @@ function EscrowList({ onAction }) {
     }
   }, [isConnected, address]);
 
+  // Invoice ID -> number of timeline events the card was last loaded with
+  const seenEventCounts = useRef(new Map());
+
+  // Live updates: re-read escrows that just emitted events, and pick up
+  // escrows newly opened for or by this address
+  useEffect(() => {
+    if (!isConnected || !address || !timelines) return;
+
+    const changedIds = [];
+    for (const [invoiceId, timeline] of timelines) {
+      const seen = seenEventCounts.current.get(invoiceId);
+      seenEventCounts.current.set(invoiceId, timeline.length);
+      if (seen === timeline.length) continue;
+
+      const opened = timeline.find((entry) => entry.eventName === 'EscrowOpened');
+      const isParty =
+        opened &&
+        [opened.args.client, opened.args.freelancer].some(
+          (party) => party.toLowerCase() === address.toLowerCase()
+        );
+      if (isParty) {
+        changedIds.push(opened.args.invoiceId);
+      }
+    }
+
+    if (changedIds.length > 0) {
+      patchEscrows(changedIds);
+    }
+  }, [timelines, isConnected, address]);
+
+  // Simulate every action shown on the cards so the ones that would revert
+  // are disabled. Re-run periodically since eligibility depends on time.
+  useEffect(() => {
+    const interval = setInterval(() => setPreflightTick((tick) => tick + 1), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Tick every second to keep the claim countdowns live
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Re-check a claim as soon as its countdown ends, rather than on the next
+  // periodic check, and again shortly after if the latest block has not
+  // caught up with the clock yet
+  useEffect(() => {
+    const wakeTimes = escrows.flatMap((escrow) => {
+      if (!getCardActions(escrow).includes('claim')) return [];
+      const claimTime = getClaimTime(escrow);
+      if (claimTime > now) return claimTime - now <= 30 ? [claimTime] : [];
+      return blockedActions.get(`${escrow.id}:claim`)?.name === 'NotEligible' ? [now + 5] : [];
+    });
+    if (wakeTimes.length === 0) return;
+
+    const delay = (Math.min(...wakeTimes) - now) * 1000;
+    const timer = setTimeout(() => setPreflightTick((tick) => tick + 1), delay);
+    return () => clearTimeout(timer);
+  }, [escrows, blockedActions, disputeWindow]);
+
+  useEffect(() => {
+    if (!address || escrows.length === 0) {
+      setBlockedActions(new Map());
+      return;
+    }
+
+    let cancelled = false;
+    const checks = escrows.flatMap((escrow) =>
+      getCardActions(escrow).map(async (action) => [
+        `${escrow.id}:${action}`,
+        await preflightEscrowAction(publicClient, address, action, escrow.id)
+      ])
+    );
+    Promise.all(checks).then((results) => {
+      if (!cancelled) {
+        setBlockedActions(new Map(results.filter(([, failure]) => failure)));
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [escrows, address, publicClient, preflightTick]);
+
+  // Read current on-chain state for a set of invoices
+  const fetchEscrows = async (invoiceIds) => {
+    let escrowData = [];
+    
+    try {
+      // Try batch method first (more efficient)
+      const batchDetails = await getEscrowsDetailsBatch(invoiceIds);
+      if (batchDetails) {
+        const [clients, freelancers, tokens, amounts, dueAts, deliveredAts, statuses, policies, acceptBys] = batchDetails;
+        escrowData = invoiceIds.map((invoiceId, index) => ({
+          id: invoiceId,
+          client: clients[index],
+          freelancer: freelancers[index],
+          token: tokens[index],
+          amount: amounts[index].toString(),
+          dueAt: dueAts[index].toString(),
+          deliveredAt: deliveredAts[index].toString(),
+          status: Number(statuses[index]),
+          policy: Number(policies[index]),
+          acceptBy: acceptBys[index].toString()
+        }));
+      }
+    } catch (batchError) {
+      console.log('Batch method failed, falling back to individual calls:', batchError);
+      // Fallback: individual calls
+      escrowData = [];
+      for (const invoiceId of invoiceIds) {
+        try {
+          const details = await getEscrowDetails(invoiceId);
+          if (details) {
+            const [client, freelancer, token, amount, dueAt, deliveredAt, acceptBy, status, policy] = details;
+            escrowData.push({
+              id: invoiceId,
+              client,
+              freelancer,
+              token,
+              amount: amount.toString(),
+              dueAt: dueAt.toString(),
+              deliveredAt: deliveredAt.toString(),
+              status: Number(status),
+              policy: Number(policy),
+              acceptBy: acceptBy.toString()
+            });
+          }
+        } catch (error) {
+          console.warn('Error loading individual escrow:', error);
+        }
+      }
+    }
+    
+    // Flag escrows where the client has asked to cancel, and attach the
+    // milestones each escrow is paid out in and its token's symbol and
+    // decimals
+    const ids = escrowData.map((escrow) => escrow.id);
+    const [cancelRequests, milestones, tokens] = await Promise.all([
+      getCancellationRequests(ids),
+      getMilestonesBatch(ids),
+      Promise.all(escrowData.map((escrow) => getTokenInfo(publicClient, escrow.token)))
+    ]);
+    return escrowData.map((escrow, index) => ({
+      ...escrow,
+      token: tokens[index],
+      cancelRequested: cancelRequests[index],
+      milestones: milestones?.[index].map((milestone) => ({
+        amount: milestone.amount.toString(),
+        dueAt: milestone.dueAt.toString(),
+        deliveredAt: milestone.deliveredAt.toString(),
+        settled: milestone.settled
+      }))
+    }));
+  };
+
+  // Replace or append the given escrows without reloading the whole list
+  const patchEscrows = async (invoiceIds) => {
+    try {
+      const updated = await fetchEscrows(invoiceIds);
+      setEscrows((current) => {
+        const byId = new Map(current.map((escrow) => [escrow.id.toLowerCase(), escrow]));
+        for (const escrow of updated) {
+          byId.set(escrow.id.toLowerCase(), escrow);
+        }
+        return [...byId.values()];
+      });
+      if (updated.length > 0) {
+        setError('');
+      }
+    } catch (error) {
+      console.error('Error updating escrows:', error);
+    }
+  };
+
   const loadEscrowsFromBlockchain = async () => {
     setLoading(true);
     setError('');
     try {
       console.log('📋 Loading escrows for:', address);
       
-      // 1. Get all invoice IDs for this user
-      const invoiceIds = await getUserEscrowIds(address);
+      // 1. Get all invoice IDs for this user, and the window that decides
+      // when delivered escrows can be claimed
+      const [invoiceIds, windowSeconds] = await Promise.all([
+        getUserEscrowIds(address),
+        getDisputeWindow()
+      ]);
       console.log('Found invoice IDs:', invoiceIds);
+      setDisputeWindow(windowSeconds);
       
       if (invoiceIds.length === 0) {
         setEscrows([]);
@@ -38,48 +241,8 @@ function EscrowList({ onAction }) {
       }
       
       // 2. Get details for all escrows
-      let escrowData = [];
-      
-      try {
-        // Try batch method first (more efficient)
-        const batchDetails = await getEscrowsDetailsBatch(invoiceIds);
-        if (batchDetails) {
-          const [clients, freelancers, amounts, dueAts, deliveredAts, statuses] = batchDetails;
-          escrowData = invoiceIds.map((invoiceId, index) => ({
-            id: invoiceId,
-            client: clients[index],
-            freelancer: freelancers[index],
-            amount: amounts[index].toString(),
-            dueAt: dueAts[index].toString(),
-            deliveredAt: deliveredAts[index].toString(),
-            status: Number(statuses[index])
-          }));
-        }
-      } catch (batchError) {
-        console.log('Batch method failed, falling back to individual calls:', batchError);
-        // Fallback: individual calls
-        escrowData = [];
-        for (const invoiceId of invoiceIds) {
-          try {
-            const details = await getEscrowDetails(invoiceId);
-            if (details) {
-              const [client, freelancer, amount, dueAt, deliveredAt, status] = details;
-              escrowData.push({
-                id: invoiceId,
-                client,
-                freelancer,
-                amount: amount.toString(),
-                dueAt: dueAt.toString(),
-                deliveredAt: deliveredAt.toString(),
-                status: Number(status)
-              });
-            }
-          } catch (error) {
-            console.warn('Error loading individual escrow:', error);
-          }
-        }
-      }
-      
+      const escrowData = await fetchEscrows(invoiceIds);
+
       setEscrows(escrowData);
       console.log('✅ Successfully loaded', escrowData.length, 'escrows');
 
@@ -112,40 +275,244 @@ function EscrowList({ onAction }) {
     return new Date(Number(timestamp) * 1000).toLocaleDateString();
   };
 
+  const hasMilestones = (escrow) => escrow.milestones?.length > 1;
+
+
+  // Per-milestone progress, with delivery buttons for the freelancer
+  const renderMilestones = (escrow) => {
+    if (!hasMilestones(escrow)) return null;
+
+    const isFreelancer = address?.toLowerCase() === escrow.freelancer.toLowerCase();
+    const statuses = escrow.milestones.map((milestone) => getMilestoneStatus(escrow, milestone));
+    const total = escrow.milestones.reduce((sum, milestone) => sum + BigInt(milestone.amount), 0n);
+    const released = escrow.milestones.reduce(
+      (sum, milestone, index) =>
+        statuses[index] === STATUS.Released ? sum + BigInt(milestone.amount) : sum,
+      0n
+    );
+    const releasedCount = statuses.filter((status) => status === STATUS.Released).length;
+
+    return (
+      <div style={milestonesStyle}>
+        <div style={{ ...labelStyle, marginBottom: '0.5rem' }}>
+          🧩 Milestones: {releasedCount} of {escrow.milestones.length} paid ({formatTokenAmount(released, escrow.token)} of {formatTokenAmount(total, escrow.token)})
+        </div>
+        <div style={progressTrackStyle}>
+          <div style={{ ...progressBarStyle, width: `${Number((released * 100n) / total)}%` }} />
+        </div>
+        {escrow.milestones.map((milestone, index) => {
+          // AutoRefund milestones no longer accept delivery once overdue
+          const canDeliver =
+            isFreelancer &&
+            escrow.status === STATUS.Funded &&
+            statuses[index] === STATUS.Funded &&
+            !(escrow.policy === AUTO_REFUND_POLICY && now >= Number(milestone.dueAt));
+          return (
+            <div key={index} style={milestoneRowStyle}>
+              <span>
+                #{index + 1} · {formatTokenAmount(milestone.amount, escrow.token)} · due {formatDate(milestone.dueAt)}
+              </span>
+              {canDeliver ? (
+                <button
+                  onClick={() => runAction('markMilestone', escrow.id, index)}
+                  style={milestoneButtonStyle}
+                >
+                  ✅ Mark Delivered
+                </button>
+              ) : (
+                <span style={getStatusStyle(statuses[index])}>
+                  {getStatusText(statuses[index])}
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const formatTimeAgo = (timestamp) => {
+    const seconds = Math.max(0, Math.floor(Date.now() / 1000) - timestamp);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  };
+
+  const renderRecentActivity = (escrow) => {
+    const timeline = timelines?.get(escrow.id.toLowerCase()) ?? [];
+    if (timeline.length === 0) return null;
+
+    // Newest first, last three events only
+    const recent = timeline.slice(-3).reverse();
+    return (
+      <div style={activityStyle}>
+        <div style={{ ...labelStyle, marginBottom: '0.5rem' }}>🕒 Recent activity</div>
+        {recent.map((entry) => (
+          <div key={entry.id} style={activityRowStyle}>
+            <span>{describeTimelineEntry(entry, escrow.token)}</span>
+            <span
+              style={{ color: '#888', whiteSpace: 'nowrap' }}
+              title={entry.transactionHash}
+            >
+              {formatTimeAgo(entry.timestamp)}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
   const formatAddress = (address) => {
     return `${address.slice(0, 8)}...${address.slice(-6)}`;
   };
 
-  const getActionButton = (escrow) => {
+  // Actions this address can take on an escrow, in display order
+  const getCardActions = (escrow) => {
     const isClient = address?.toLowerCase() === escrow.client.toLowerCase();
     const isFreelancer = address?.toLowerCase() === escrow.freelancer.toLowerCase();
+    const isOverdue = Date.now() / 1000 >= Number(escrow.dueAt);
+    // AutoRefund escrows no longer accept delivery once overdue
+    const canDeliver = !(escrow.policy === AUTO_REFUND_POLICY && isOverdue);
+
+    // Escrows waiting for the freelancer to accept their terms
+    if (escrow.status === STATUS.PendingAcceptance) {
+      if (isFreelancer) return ['accept', 'decline'];
+      if (isClient && Date.now() / 1000 > Number(escrow.acceptBy)) return ['reclaim'];
+      return [];
+    }
+
+    if (
+      (escrow.status === STATUS.Funded ||
+        escrow.status === STATUS.Delivered ||
+        escrow.status === STATUS.Disputed) &&
+      isFreelancer
+    ) {
+      const actions = [];
+      // Escrows split into milestones are delivered from the milestone list
+      if (escrow.status === STATUS.Funded && canDeliver && !hasMilestones(escrow)) {
+        // Without a relayer the freelancer pays the gas to mark delivery
+        actions.push(...(relayerUrl ? ['markDelivered', 'markDeliveredGasless'] : ['markDelivered']));
+        actions.push('markDeliveredWithProof');
+      }
+      // Offered with a countdown as soon as the payout time is known
+      if (getClaimTime(escrow) !== null) {
+        actions.push('claim');
+      }
+      actions.push('refund');
+      return actions;
+    }
 
-    if (escrow.status === 1 && isFreelancer) {
+    if ((escrow.status === STATUS.Funded || escrow.status === STATUS.Delivered) && isClient) {
+      const refundable = isRefundEligible(escrow, Date.now() / 1000);
+      // An overdue single-milestone escrow can only go back to the client
+      if (refundable && !hasMilestones(escrow)) {
+        return ['refundOverdue'];
+      }
+      const actions = escrow.cancelRequested
+        ? ['release', 'dispute']
+        : ['release', 'dispute', 'requestCancel'];
+      return refundable ? ['refundOverdue', ...actions] : actions;
+    }
+
+    return [];
+  };
+
+  // When releaseToFreelancer starts to succeed, or null until it can be known
+  const getClaimTime = (escrow) =>
+    disputeWindow === null ? null : getReleaseTime(escrow, disputeWindow);
+
+  // Claims are announced by their countdown rather than a blocked reason
+  const isCountingDown = (escrow, action) =>
+    action === 'claim' && now < getClaimTime(escrow);
+
+  const renderActionButton = (escrow, action) => {
+    const claimTime = action === 'claim' ? getClaimTime(escrow) : null;
+    const buttons = {
+      accept: { label: '🤝 Accept', style: actionButtonStyle },
+      decline: { label: '✖️ Decline', style: refundButtonStyle },
+      reclaim: { label: '↩️ Reclaim Funds', style: refundButtonStyle },
+      markDelivered: { label: '✅ Mark Delivered', style: actionButtonStyle },
+      markDeliveredGasless: { label: '✍️ Mark Delivered (no gas)', style: actionButtonStyle },
+      markDeliveredWithProof: { label: '📎 Deliver with Proof', style: actionButtonStyle },
+      refund: {
+        label: escrow.cancelRequested ? '🤝 Accept Cancellation' : '↩️ Refund Client',
+        style: refundButtonStyle
+      },
+      refundOverdue: { label: '↩️ Claim Refund', style: refundButtonStyle },
+      release: { label: '💰 Release Funds', style: actionButtonStyle },
+      claim: {
+        label: isCountingDown(escrow, action)
+          ? `⏳ Claim in ${formatCountdown(claimTime - now)}`
+          : '💸 Claim Payment',
+        style: actionButtonStyle
+      },
+      dispute: { label: '⚠️ Raise Dispute', style: disputeButtonStyle },
+      requestCancel: { label: '↩️ Request Cancellation', style: refundButtonStyle }
+    };
+    const { label, style } = buttons[action];
+    const blocked = isCountingDown(escrow, action)
+      ? { message: `Claimable from ${new Date(claimTime * 1000).toLocaleString()}` }
+      : blockedActions.get(`${escrow.id}:${action}`);
+
+    return (
+      <button 
+        key={action}
+        onClick={() =>
+          action === 'dispute'
+            ? openDisputeForm(escrow.id)
+            : action === 'markDeliveredWithProof'
+              ? openDeliveryForm(escrow.id)
+              : runAction(action, escrow.id)
+        }
+        disabled={Boolean(blocked)}
+        title={blocked?.message}
+        style={blocked ? { ...style, ...blockedButtonStyle } : style}
+      >
+        {label}
+      </button>
+    );
+  };
+
+  const getActionButton = (escrow) => {
+    const actions = getCardActions(escrow);
+    if (actions.length > 0) {
       return (
-        <button 
-          onClick={() => onAction('markDelivered', escrow.id)}
-          style={actionButtonStyle}
-        >
-          ✅ Mark Delivered
-        </button>
+        <>
+          {actions.map((action) => renderActionButton(escrow, action))}
+          {actions.includes('release') && escrow.cancelRequested && (
+            <span style={{ color: '#7b1fa2', fontSize: '0.85rem' }}>
+              ⏳ Cancellation requested
+            </span>
+          )}
+        </>
       );
     }
 
-    if ((escrow.status === 1 || escrow.status === 2) && isClient) {
+    if (escrow.status === STATUS.PendingAcceptance) {
       return (
-        <button 
-          onClick={() => onAction('release', escrow.id)}
-          style={actionButtonStyle}
-        >
-          💰 Release Funds
-        </button>
+        <span style={{ color: '#00838f', fontSize: '0.9rem' }}>
+          ⏳ Waiting for the freelancer to accept
+        </span>
+      );
+    }
+
+    if (escrow.status === STATUS.Disputed) {
+      return (
+        <span style={{ color: '#d32f2f', fontSize: '0.9rem' }}>
+          ⚖️ Under dispute
+        </span>
       );
     }
 
-    if (escrow.status === 4 || escrow.status === 5) {
+    if (escrow.status === STATUS.Released || escrow.status === STATUS.Refunded || escrow.status === STATUS.Resolved) {
       return (
         <span style={{ color: '#666', fontSize: '0.9rem' }}>
-          {escrow.status === 4 ? '✅ Released' : '↩️ Refunded'}
+          {escrow.status === STATUS.Released
+            ? '✅ Released'
+            : escrow.status === STATUS.Refunded
+              ? '↩️ Refunded'
+              : '⚖️ Resolved by arbiter'}
         </span>
       );
     }
@@ -153,6 +520,165 @@ function EscrowList({ onAction }) {
     return null;
   };
 
+  // Why actions on this card are unavailable, plus any action that was
+  // just stopped before reaching the wallet
+  const renderActionNotes = (escrow) => {
+    const notes = new Set();
+    const failure = actionErrors[escrow.id];
+    if (failure) notes.add(failure);
+    for (const action of getCardActions(escrow)) {
+      if (isCountingDown(escrow, action)) continue;
+      const blocked = blockedActions.get(`${escrow.id}:${action}`);
+      if (blocked) notes.add(blocked.message);
+    }
+    if (notes.size === 0) return null;
+
+    return (
+      <div role="alert" style={actionNotesStyle}>
+        {[...notes].map((note) => (
+          <div key={note}>⛔ {note}</div>
+        ))}
+      </div>
+    );
+  };
+
+  const runAction = async (action, invoiceId, payload) => {
+    const failure = await onAction(action, invoiceId, payload);
+    setActionErrors((current) => ({ ...current, [invoiceId]: failure }));
+    return failure;
+  };
+
+  const openDisputeForm = (invoiceId) => {
+    setDisputeFormId(invoiceId);
+    setDisputeReason('');
+  };
+
+  const closeDisputeForm = () => {
+    setDisputeFormId(null);
+    setDisputeReason('');
+  };
+
+  const submitDispute = async (e, invoiceId) => {
+    e.preventDefault();
+    const reasonURI = disputeReason.trim();
+    if (!reasonURI) return;
+    const failure = await runAction('dispute', invoiceId, reasonURI);
+    if (!failure) {
+      closeDisputeForm();
+    }
+  };
+
+  const renderDisputeForm = (escrow) => (
+    <form onSubmit={(e) => submitDispute(e, escrow.id)} style={disputeFormStyle}>
+      <label
+        htmlFor={`dispute-${escrow.id}`}
+        style={{ ...labelStyle, display: 'block', marginBottom: '0.5rem' }}
+      >
+        Reason for dispute
+      </label>
+      <input
+        id={`dispute-${escrow.id}`}
+        type="text"
+        placeholder="ipfs://... or https://... describing the problem"
+        value={disputeReason}
+        onChange={(e) => setDisputeReason(e.target.value)}
+        required
+        style={disputeInputStyle}
+      />
+      <p style={{ margin: '0.5rem 0', color: '#666', fontSize: '0.8rem' }}>
+        Disputing freezes the funds. It is only possible before the escrow
+        becomes eligible for release.
+      </p>
+      <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+        <button type="button" onClick={closeDisputeForm} style={viewButtonStyle}>
+          Cancel
+        </button>
+        <button type="submit" style={disputeButtonStyle}>
+          Submit Dispute
+        </button>
+      </div>
+    </form>
+  );
+
+  const openDeliveryForm = (invoiceId) => {
+    setDeliveryFormId(invoiceId);
+    setDeliveryURI('');
+    setDeliveryHash('');
+  };
+
+  const closeDeliveryForm = () => {
+    setDeliveryFormId(null);
+    setDeliveryURI('');
+    setDeliveryHash('');
+  };
+
+  // The file is only hashed, never uploaded
+  const chooseDeliveryFile = async (e) => {
+    const file = e.target.files[0];
+    setDeliveryHash(file ? await hashFile(file) : '');
+  };
+
+  const submitDelivery = async (e, invoiceId) => {
+    e.preventDefault();
+    if (!deliveryHash) return;
+    const failure = await runAction('markDeliveredWithProof', invoiceId, {
+      deliveryURI: deliveryURI.trim(),
+      contentHash: deliveryHash
+    });
+    if (!failure) {
+      closeDeliveryForm();
+    }
+  };
+
+  const renderDeliveryForm = (escrow) => (
+    <form onSubmit={(e) => submitDelivery(e, escrow.id)} style={deliveryFormStyle}>
+      <label
+        htmlFor={`delivery-file-${escrow.id}`}
+        style={{ ...labelStyle, display: 'block', marginBottom: '0.5rem' }}
+      >
+        Delivered file
+      </label>
+      <input
+        id={`delivery-file-${escrow.id}`}
+        type="file"
+        onChange={chooseDeliveryFile}
+        required
+        style={disputeInputStyle}
+      />
+      {deliveryHash && (
+        <p style={{ margin: '0.5rem 0', fontFamily: 'monospace', fontSize: '0.75rem', wordBreak: 'break-all' }}>
+          SHA-256: {deliveryHash}
+        </p>
+      )}
+      <label
+        htmlFor={`delivery-uri-${escrow.id}`}
+        style={{ ...labelStyle, display: 'block', margin: '0.75rem 0 0.5rem' }}
+      >
+        Link to the deliverable (optional)
+      </label>
+      <input
+        id={`delivery-uri-${escrow.id}`}
+        type="text"
+        placeholder="ipfs://... or https://..."
+        value={deliveryURI}
+        onChange={(e) => setDeliveryURI(e.target.value)}
+        style={disputeInputStyle}
+      />
+      <p style={{ margin: '0.5rem 0', color: '#666', fontSize: '0.8rem' }}>
+        The file is hashed in your browser and only its hash is recorded
+        on-chain, so the client can check the file they receive against it.
+      </p>
+      <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+        <button type="button" onClick={closeDeliveryForm} style={viewButtonStyle}>
+          Cancel
+        </button>
+        <button type="submit" disabled={!deliveryHash} style={actionButtonStyle}>
+          Mark Delivered
+        </button>
+      </div>
+    </form>
+  );
+
   if (!isConnected) return null;
 
   return (
@@ -227,19 +753,41 @@ function EscrowList({ onAction }) {
                 <div style={detailRowStyle}>
                   <span style={labelStyle}>💰 Amount:</span>
                   <span style={{ ...valueStyle, fontWeight: 'bold', color: '#1976d2' }}>
-                    {formatUnits(BigInt(escrow.amount), 6)} USDC
+                    {formatTokenAmount(escrow.amount, escrow.token)}
                   </span>
                 </div>
                 <div style={detailRowStyle}>
                   <span style={labelStyle}>📅 Due Date:</span>
                   <span style={valueStyle}>{formatDate(escrow.dueAt)}</span>
                 </div>
+                <div style={detailRowStyle}>
+                  <span style={labelStyle}>⏰ If undelivered:</span>
+                  <span style={valueStyle}>{getDuePolicyLabel(escrow.policy)}</span>
+                </div>
                 <div style={detailRowStyle}>
                   <span style={labelStyle}>✅ Delivered:</span>
                   <span style={valueStyle}>{formatDate(escrow.deliveredAt)}</span>
                 </div>
+                {escrow.status === STATUS.PendingAcceptance && (
+                  <div style={detailRowStyle}>
+                    <span style={labelStyle}>🤝 Accept by:</span>
+                    <span style={valueStyle}>
+                      {new Date(Number(escrow.acceptBy) * 1000).toLocaleString()}
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {renderMilestones(escrow)}
+
+              {renderRecentActivity(escrow)}
+
+              {disputeFormId === escrow.id && renderDisputeForm(escrow)}
+
+              {deliveryFormId === escrow.id && renderDeliveryForm(escrow)}
+
+              {renderActionNotes(escrow)}
+
               <div style={actionsStyle}>
                 {getActionButton(escrow)}
                 <button 
@@ -302,6 +850,66 @@ const valueStyle = {
   fontFamily: 'monospace'
 };
 
+const milestonesStyle = {
+  marginBottom: '1.5rem',
+  padding: '0.75rem',
+  background: '#f5f9ff',
+  border: '1px solid #d6e4ff',
+  borderRadius: '6px'
+};
+
+const progressTrackStyle = {
+  height: '6px',
+  marginBottom: '0.75rem',
+  background: '#e0e0e0',
+  borderRadius: '3px',
+  overflow: 'hidden'
+};
+
+const progressBarStyle = {
+  height: '100%',
+  background: '#2e7d32',
+  transition: 'width 0.3s ease'
+};
+
+const milestoneRowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '0.5rem',
+  fontSize: '0.8rem',
+  color: '#555',
+  marginBottom: '0.4rem'
+};
+
+const milestoneButtonStyle = {
+  padding: '0.25rem 0.6rem',
+  background: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '0.75rem',
+  fontWeight: '600'
+};
+
+const activityStyle = {
+  marginBottom: '1.5rem',
+  padding: '0.75rem',
+  border: '1px dashed #e0e0e0',
+  borderRadius: '6px'
+};
+
+const activityRowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  gap: '0.5rem',
+  fontSize: '0.8rem',
+  color: '#555',
+  marginBottom: '0.25rem',
+  wordBreak: 'break-all'
+};
+
 const actionsStyle = {
   display: 'flex',
   gap: '0.75rem',
@@ -321,6 +929,70 @@ const actionButtonStyle = {
   fontSize: '0.85rem'
 };
 
+const disputeButtonStyle = {
+  padding: '0.6rem 1.2rem',
+  background: 'linear-gradient(135deg, #dc3545 0%, #c82333 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontSize: '0.85rem'
+};
+
+const refundButtonStyle = {
+  padding: '0.6rem 1.2rem',
+  background: 'linear-gradient(135deg, #8e24aa 0%, #7b1fa2 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  fontSize: '0.85rem'
+};
+
+const blockedButtonStyle = {
+  opacity: 0.5,
+  cursor: 'not-allowed'
+};
+
+const actionNotesStyle = {
+  marginBottom: '1rem',
+  padding: '0.75rem',
+  background: '#fff8e1',
+  border: '1px solid #ffe082',
+  borderRadius: '6px',
+  color: '#8d6e00',
+  fontSize: '0.8rem',
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.25rem'
+};
+
+const disputeFormStyle = {
+  marginBottom: '1.5rem',
+  padding: '1rem',
+  background: '#fff5f5',
+  border: '1px solid #f5c6cb',
+  borderRadius: '8px'
+};
+
+const deliveryFormStyle = {
+  marginBottom: '1.5rem',
+  padding: '1rem',
+  background: '#f0f7ff',
+  border: '1px solid #b6d4fe',
+  borderRadius: '8px'
+};
+
+const disputeInputStyle = {
+  padding: '0.6rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  width: '100%',
+  boxSizing: 'border-box'
+};
+
 const viewButtonStyle = {
   padding: '0.6rem 1.2rem',
   background: '#6c757d',
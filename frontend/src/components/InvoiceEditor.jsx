@@ -0,0 +1,194 @@
+import { getInvoiceTotals } from '../invoiceDocument';
+import { formatTokenAmount } from '../tokens';
+
+const emptyLineItem = () => ({ description: '', quantity: '1', unitPrice: '' });
+
+// Totals of the entered line items, or null while one of them is not a
+// number
+const getTotals = (invoice, token) => {
+  try {
+    const { subtotal, tax, total } = getInvoiceTotals(invoice, token.decimals);
+    return {
+      subtotal: formatTokenAmount(subtotal, token),
+      tax: formatTokenAmount(tax, token),
+      total: formatTokenAmount(total, token),
+    };
+  } catch {
+    return null;
+  }
+};
+
+// Edits the invoice an escrow pays: its description, line items and tax
+// rate. The total must match the escrow amount.
+function InvoiceEditor({ invoice, token, onChange }) {
+  const update = (field, value) => onChange({ ...invoice, [field]: value });
+
+  const updateLineItem = (index, field, value) =>
+    update(
+      'lineItems',
+      invoice.lineItems.map((item, i) =>
+        i === index ? { ...item, [field]: value } : item
+      )
+    );
+
+  const totals = getTotals(invoice, token);
+
+  return (
+    <div style={editorStyle}>
+      <div style={rowStyle}>
+        <input
+          type="text"
+          aria-label="Invoice description"
+          placeholder="Description, e.g. Website redesign, March 2025"
+          value={invoice.description}
+          onChange={(e) => update('description', e.target.value)}
+          style={inputStyle}
+        />
+        <input
+          type="number"
+          aria-label="Tax rate (%)"
+          placeholder="Tax rate (%)"
+          value={invoice.taxRate}
+          onChange={(e) => update('taxRate', e.target.value)}
+          min="0"
+          max="100"
+          step="0.01"
+          style={{ ...inputStyle, flex: '0 0 8rem' }}
+        />
+      </div>
+      {invoice.lineItems.map((item, index) => (
+        <div key={index} style={rowStyle}>
+          <span style={indexStyle}>#{index + 1}</span>
+          <input
+            type="text"
+            aria-label={`Line item ${index + 1} description`}
+            placeholder="Item"
+            value={item.description}
+            onChange={(e) =>
+              updateLineItem(index, 'description', e.target.value)
+            }
+            required
+            style={{ ...inputStyle, flex: 2 }}
+          />
+          <input
+            type="number"
+            aria-label={`Line item ${index + 1} quantity`}
+            placeholder="Qty"
+            value={item.quantity}
+            onChange={(e) => updateLineItem(index, 'quantity', e.target.value)}
+            required
+            min="1"
+            step="1"
+            style={{ ...inputStyle, flex: '0 0 4.5rem' }}
+          />
+          <input
+            type="number"
+            aria-label={`Line item ${index + 1} unit price (${token.symbol})`}
+            placeholder={`Unit price (${token.symbol})`}
+            value={item.unitPrice}
+            onChange={(e) => updateLineItem(index, 'unitPrice', e.target.value)}
+            required
+            min="0.01"
+            step="0.01"
+            style={inputStyle}
+          />
+          <button
+            type="button"
+            onClick={() =>
+              update(
+                'lineItems',
+                invoice.lineItems.filter((_, i) => i !== index)
+              )
+            }
+            disabled={invoice.lineItems.length <= 1}
+            title="Remove line item"
+            style={{
+              ...removeButtonStyle,
+              opacity: invoice.lineItems.length <= 1 ? 0.4 : 1,
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={footerStyle}>
+        <button
+          type="button"
+          onClick={() =>
+            update('lineItems', [...invoice.lineItems, emptyLineItem()])
+          }
+          style={addButtonStyle}
+        >
+          ➕ Add line item
+        </button>
+        <span>
+          Subtotal {totals?.subtotal ?? '—'} · Tax {totals?.tax ?? '—'} ·{' '}
+          <span style={{ fontWeight: '600' }}>
+            Total {totals?.total ?? '—'}
+          </span>
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const editorStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.5rem',
+  padding: '0.75rem',
+  background: '#f5f9ff',
+  border: '1px solid #d6e4ff',
+  borderRadius: '6px',
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+};
+
+const indexStyle = {
+  minWidth: '2rem',
+  fontWeight: '600',
+  color: '#4a5568',
+};
+
+const inputStyle = {
+  flex: 1,
+  padding: '0.6rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  minWidth: 0,
+};
+
+const removeButtonStyle = {
+  padding: '0.4rem 0.6rem',
+  background: 'white',
+  color: '#d32f2f',
+  border: '1px solid #e0e0e0',
+  borderRadius: '4px',
+  cursor: 'pointer',
+};
+
+const footerStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '0.5rem',
+  fontSize: '0.9rem',
+  color: '#4a5568',
+};
+
+const addButtonStyle = {
+  padding: '0.4rem 0.8rem',
+  background: 'white',
+  color: '#007bff',
+  border: '1px solid #007bff',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: '600',
+};
+
+export default InvoiceEditor;
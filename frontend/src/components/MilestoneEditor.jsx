@@ -0,0 +1,150 @@
+import { parseUnits } from 'viem';
+import { formatTokenAmount } from '../tokens';
+
+// Mirrors EscrowV1.MAX_MILESTONES
+const MAX_MILESTONES = 20;
+
+const emptyMilestone = () => ({ amount: '', dueDate: '' });
+
+// Total of the entered amounts, or null while one of them is not a number
+const getTotal = (milestones, token) => {
+  try {
+    return formatTokenAmount(
+      milestones.reduce(
+        (sum, milestone) =>
+          sum + parseUnits(milestone.amount || '0', token.decimals),
+        0n
+      ),
+      token
+    );
+  } catch {
+    return null;
+  }
+};
+
+// Edits the installments an escrow is paid out in, each with its own
+// amount and due date. Due dates must be in ascending order.
+function MilestoneEditor({ milestones, token, onChange }) {
+  const update = (index, field, value) =>
+    onChange(
+      milestones.map((milestone, i) =>
+        i === index ? { ...milestone, [field]: value } : milestone
+      )
+    );
+
+  const total = token ? getTotal(milestones, token) : null;
+  const symbol = token?.symbol ?? 'tokens';
+
+  return (
+    <div style={editorStyle}>
+      {milestones.map((milestone, index) => (
+        <div key={index} style={rowStyle}>
+          <span style={indexStyle}>#{index + 1}</span>
+          <input
+            type="number"
+            aria-label={`Milestone ${index + 1} amount (${symbol})`}
+            placeholder={`Amount (${symbol})`}
+            value={milestone.amount}
+            onChange={(e) => update(index, 'amount', e.target.value)}
+            required
+            min="0.01"
+            step="0.01"
+            style={inputStyle}
+          />
+          <input
+            type="datetime-local"
+            aria-label={`Milestone ${index + 1} due date`}
+            value={milestone.dueDate}
+            onChange={(e) => update(index, 'dueDate', e.target.value)}
+            required
+            style={inputStyle}
+          />
+          {/* Fewer than two milestones is a plain escrow */}
+          <button
+            type="button"
+            onClick={() => onChange(milestones.filter((_, i) => i !== index))}
+            disabled={milestones.length <= 2}
+            title="Remove milestone"
+            style={{
+              ...removeButtonStyle,
+              opacity: milestones.length <= 2 ? 0.4 : 1,
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <div style={footerStyle}>
+        <button
+          type="button"
+          onClick={() => onChange([...milestones, emptyMilestone()])}
+          disabled={milestones.length >= MAX_MILESTONES}
+          style={addButtonStyle}
+        >
+          ➕ Add milestone
+        </button>
+        <span style={{ fontWeight: '600' }}>Total: {total ?? '—'}</span>
+      </div>
+    </div>
+  );
+}
+
+// Styles
+const editorStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.5rem',
+  padding: '0.75rem',
+  background: '#f5f9ff',
+  border: '1px solid #d6e4ff',
+  borderRadius: '6px',
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+};
+
+const indexStyle = {
+  minWidth: '2rem',
+  fontWeight: '600',
+  color: '#4a5568',
+};
+
+const inputStyle = {
+  flex: 1,
+  padding: '0.6rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  minWidth: 0,
+};
+
+const removeButtonStyle = {
+  padding: '0.4rem 0.6rem',
+  background: 'white',
+  color: '#d32f2f',
+  border: '1px solid #e0e0e0',
+  borderRadius: '4px',
+  cursor: 'pointer',
+};
+
+const footerStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  fontSize: '0.9rem',
+  color: '#4a5568',
+};
+
+const addButtonStyle = {
+  padding: '0.4rem 0.8rem',
+  background: 'white',
+  color: '#007bff',
+  border: '1px solid #007bff',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: '600',
+};
+
+export default MilestoneEditor;
@@ -0,0 +1,120 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { numberToHex } from 'viem';
+import { NetworkContext } from '../hooks/useNetwork';
+import {
+  DEFAULT_CHAIN_ID,
+  getNetwork,
+  getPublicClient,
+  NETWORKS,
+} from '../chains';
+
+// EIP-1193 error codes returned by wallets
+const USER_REJECTED = 4001;
+const UNRECOGNIZED_CHAIN = 4902;
+
+// MetaMask mobile nests the code of the original error
+const getWalletErrorCode = (error) =>
+  error?.data?.originalError?.code ?? error?.code;
+
+function NetworkProvider({ children }) {
+  // Chain the wallet is on. Undefined until the wallet has answered;
+  // without a wallet the app reads from the default network.
+  const [walletChainId, setWalletChainId] = useState(
+    window.ethereum ? undefined : DEFAULT_CHAIN_ID
+  );
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [switchError, setSwitchError] = useState(null);
+
+  // Follow the wallet across networks instead of reloading the page
+  useEffect(() => {
+    if (!window.ethereum) return;
+
+    const handleChainChanged = (chainId) => {
+      setWalletChainId(Number(chainId));
+      setSwitchError(null);
+    };
+
+    window.ethereum
+      .request({ method: 'eth_chainId' })
+      .then(handleChainChanged)
+      .catch((error) => {
+        console.error('Error reading wallet chain:', error);
+        setWalletChainId(DEFAULT_CHAIN_ID);
+      });
+    window.ethereum.on('chainChanged', handleChainChanged);
+
+    return () => {
+      window.ethereum.removeListener('chainChanged', handleChainChanged);
+    };
+  }, []);
+
+  // Ask the wallet to switch, adding the chain first if it does not know it
+  const switchNetwork = useCallback(async (chainId) => {
+    if (!window.ethereum) return;
+
+    const { chain, rpcUrl } = NETWORKS[chainId];
+    setIsSwitching(true);
+    setSwitchError(null);
+    try {
+      try {
+        await window.ethereum.request({
+          method: 'wallet_switchEthereumChain',
+          params: [{ chainId: numberToHex(chainId) }],
+        });
+      } catch (error) {
+        if (getWalletErrorCode(error) !== UNRECOGNIZED_CHAIN) throw error;
+        await window.ethereum.request({
+          method: 'wallet_addEthereumChain',
+          params: [
+            {
+              chainId: numberToHex(chainId),
+              chainName: chain.name,
+              nativeCurrency: chain.nativeCurrency,
+              rpcUrls: [rpcUrl],
+              blockExplorerUrls: chain.blockExplorers
+                ? [chain.blockExplorers.default.url]
+                : undefined,
+            },
+          ],
+        });
+      }
+    } catch (error) {
+      console.error('Error switching network:', error);
+      setSwitchError(
+        getWalletErrorCode(error) === USER_REJECTED
+          ? 'You rejected the network switch in your wallet.'
+          : `Could not switch to ${chain.name}: ${error.message}`
+      );
+    } finally {
+      setIsSwitching(false);
+    }
+  }, []);
+
+  const value = useMemo(() => {
+    const supported = getNetwork(walletChainId);
+    // Reads fall back to the default network while the wallet is elsewhere
+    const network = supported ?? getNetwork(DEFAULT_CHAIN_ID);
+    return {
+      walletChainId,
+      network,
+      isSupported: Boolean(supported),
+      chain: network.chain,
+      contracts: network.contracts,
+      // Gasless calls need both a forwarder and a relayer to submit them
+      relayerUrl: network.contracts.forwarder ? network.relayerUrl : null,
+      publicClient: getPublicClient(network.chain.id),
+      switchNetwork,
+      isSwitching,
+      switchError,
+    };
+  }, [walletChainId, switchNetwork, isSwitching, switchError]);
+
+  // Nothing should read from a network before we know which one it is
+  if (walletChainId === undefined) return null;
+
+  return (
+    <NetworkContext.Provider value={value}>{children}</NetworkContext.Provider>
+  );
+}
+
+export default NetworkProvider;
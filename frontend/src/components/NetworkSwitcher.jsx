@@ -0,0 +1,110 @@
+import { useNetwork } from '../hooks/useNetwork';
+import { SUPPORTED_NETWORKS } from '../chains';
+
+// Shows the wallet's network and lets the user move to a supported one.
+// On an unsupported network it replaces the picker with a warning.
+function NetworkSwitcher() {
+  const {
+    walletChainId,
+    chain,
+    isSupported,
+    switchNetwork,
+    isSwitching,
+    switchError,
+  } = useNetwork();
+
+  if (!isSupported) {
+    return (
+      <div role="alert" style={unsupportedStyle}>
+        <h3 style={{ margin: '0 0 0.5rem 0' }}>⚠️ Unsupported network</h3>
+        <p style={{ margin: '0 0 1rem 0', fontSize: '0.9rem' }}>
+          Your wallet is connected to chain {walletChainId}, where InvoiceCover
+          is not deployed. Switch to a supported network to continue.
+        </p>
+        <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+          {SUPPORTED_NETWORKS.map((network) => (
+            <button
+              key={network.chain.id}
+              onClick={() => switchNetwork(network.chain.id)}
+              disabled={isSwitching}
+              style={{
+                ...switchButtonStyle,
+                cursor: isSwitching ? 'not-allowed' : 'pointer',
+                opacity: isSwitching ? 0.7 : 1,
+              }}
+            >
+              🔀 Switch to {network.chain.name}
+            </button>
+          ))}
+        </div>
+        {switchError && <p style={errorStyle}>{switchError}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ marginBottom: '1rem' }}>
+      <label
+        htmlFor="network"
+        style={{ fontSize: '0.85rem', fontWeight: '600', color: '#4a5568' }}
+      >
+        🌐 Network{' '}
+        <select
+          id="network"
+          value={chain.id}
+          onChange={(e) => switchNetwork(Number(e.target.value))}
+          disabled={isSwitching}
+          style={selectStyle}
+        >
+          {SUPPORTED_NETWORKS.map((network) => (
+            <option key={network.chain.id} value={network.chain.id}>
+              {network.chain.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {isSwitching && (
+        <span style={{ marginLeft: '0.5rem', fontSize: '0.85rem' }}>
+          ⏳ Confirm in your wallet...
+        </span>
+      )}
+      {switchError && <p style={errorStyle}>{switchError}</p>}
+    </div>
+  );
+}
+
+// Styles
+const unsupportedStyle = {
+  marginBottom: '2rem',
+  padding: '1.5rem',
+  background: '#fff8e1',
+  border: '1px solid #ffb300',
+  borderRadius: '12px',
+  color: '#5d4037',
+};
+
+const switchButtonStyle = {
+  padding: '0.6rem 1.2rem',
+  background: 'linear-gradient(135deg, #007bff 0%, #0056b3 100%)',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  fontWeight: '600',
+  fontSize: '0.85rem',
+};
+
+const selectStyle = {
+  marginLeft: '0.25rem',
+  padding: '0.35rem 0.5rem',
+  border: '1px solid #cbd5e0',
+  borderRadius: '6px',
+  background: 'white',
+};
+
+const errorStyle = {
+  margin: '0.5rem 0 0 0',
+  color: '#d32f2f',
+  fontSize: '0.85rem',
+};
+
+export default NetworkSwitcher;
@@ -0,0 +1,87 @@
+import { NETWORKS } from '../chains';
+import { getDuePolicyLabel } from '../duePolicies';
+import { formatTokenAmount } from '../tokens';
+
+// What the create form was pre-filled from when the app was opened from a
+// freelancer's pay link, and whether the freelancer signed it
+function PaymentRequestBanner({ payLink, paymentRequest, chainId, onDismiss }) {
+  const renderContent = () => {
+    if (payLink.error) return `⚠️ ${payLink.error}`;
+
+    const requestChainId = payLink.request.chainId;
+    if (requestChainId !== chainId) {
+      const name =
+        NETWORKS[requestChainId]?.chain.name ?? `chain ${requestChainId}`;
+      return `📨 This payment request is for ${name}. Switch networks to fund it.`;
+    }
+    if (!paymentRequest) return '⏳ Checking the payment request...';
+    if (paymentRequest.error) return `⚠️ ${paymentRequest.error}`;
+
+    const { request, token, signatureStatus } = paymentRequest;
+    return (
+      <>
+        <div style={{ fontWeight: 'bold', marginBottom: '0.25rem' }}>
+          📨 Payment request {request.invoiceNumber}:{' '}
+          {formatTokenAmount(request.amount, token)}, due{' '}
+          {new Date(request.dueAt * 1000).toLocaleString()} (
+          {getDuePolicyLabel(request.duePolicy).toLowerCase()})
+        </div>
+        <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>
+          From {request.freelancer}
+        </div>
+        <div style={{ marginTop: '0.25rem' }}>
+          {signatureStatus === 'valid'
+            ? '✅ Signed by the freelancer. The form below is filled in with the request; check it and fund the escrow.'
+            : signatureStatus === 'invalid'
+              ? '❌ The signature does not match this request: it was changed after signing. Confirm the details with the freelancer before funding.'
+              : '⚠️ Not signed. Confirm the address and amount with the freelancer before funding.'}
+        </div>
+      </>
+    );
+  };
+
+  const isWarning =
+    payLink.error ||
+    paymentRequest?.error ||
+    (paymentRequest && paymentRequest.signatureStatus !== 'valid');
+
+  return (
+    <div
+      style={{
+        ...bannerStyle,
+        background: isWarning ? '#fff8e1' : '#e3f2fd',
+        borderColor: isWarning ? '#ffb300' : '#90caf9',
+      }}
+    >
+      <div style={{ flex: 1 }}>{renderContent()}</div>
+      <button type="button" onClick={onDismiss} style={dismissButtonStyle}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// Styles
+const bannerStyle = {
+  display: 'flex',
+  alignItems: 'flex-start',
+  gap: '1rem',
+  padding: '1rem',
+  marginBottom: '1rem',
+  border: '1px solid',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  color: '#333',
+  textAlign: 'left',
+};
+
+const dismissButtonStyle = {
+  padding: '0.25rem 0.5rem',
+  background: 'white',
+  color: '#666',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  cursor: 'pointer',
+};
+
+export default PaymentRequestBanner;
@@ -0,0 +1,331 @@
+import { useState } from 'react';
+import { parseUnits } from 'viem';
+import { useWallet } from '../hooks/useWallet';
+import { useNetwork } from '../hooks/useNetwork';
+import { DUE_POLICIES, DEFAULT_DUE_POLICY } from '../duePolicies';
+import { getErrorMessage } from '../escrowErrors';
+import { NEW_INVOICE, getInvoiceTotals } from '../invoiceDocument';
+import { parseSalt } from '../invoiceId';
+import { createPaymentLink, signPaymentRequest } from '../paymentRequest';
+import { NATIVE_TOKEN } from '../tokens';
+import InvoiceEditor from './InvoiceEditor';
+
+const NEW_REQUEST = {
+  invoiceNumber: '',
+  salt: '',
+  token: '',
+  amount: '',
+  dueDate: '',
+  duePolicy: DEFAULT_DUE_POLICY,
+};
+
+// Lets a freelancer ask a client for payment: the request is encoded into
+// a link that opens the create form pre-filled, optionally signed so the
+// client can tell it came from this address unchanged
+function PaymentRequestForm({ walletClient }) {
+  const { address, tokenBalances } = useWallet();
+  const { chain, contracts } = useNetwork();
+  const [formData, setFormData] = useState(NEW_REQUEST);
+  const [attachInvoice, setAttachInvoice] = useState(false);
+  const [invoice, setInvoice] = useState(NEW_INVOICE);
+  const [sign, setSign] = useState(true);
+  const [isCreating, setIsCreating] = useState(false);
+  const [formError, setFormError] = useState('');
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  // Same currency choice as the create form
+  const tokens = tokenBalances ?? [];
+  const nativeToken = {
+    address: NATIVE_TOKEN,
+    symbol: chain.nativeCurrency.symbol,
+    decimals: chain.nativeCurrency.decimals,
+  };
+  const token =
+    [...tokens, nativeToken].find(
+      (candidate) => candidate.address === formData.token
+    ) ??
+    (tokens[0] || nativeToken);
+
+  const update = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    setLink('');
+  };
+
+  const createLink = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setFormError('');
+    setLink('');
+    setCopied(false);
+    try {
+      const { invoiceNumber, amount, dueDate, duePolicy } = formData;
+      if (!invoiceNumber.trim()) {
+        setFormError('Enter the invoice number.');
+        return;
+      }
+      const salt = parseSalt(formData.salt);
+      if (!salt) {
+        setFormError(
+          'The reissue salt must be 0x followed by 64 hex digits, or empty.'
+        );
+        return;
+      }
+      const amountInWei = parseUnits(amount, token.decimals);
+      if (attachInvoice) {
+        let invoiceTotal;
+        try {
+          invoiceTotal = getInvoiceTotals(invoice, token.decimals).total;
+        } catch {
+          setFormError(
+            'Enter a whole quantity and a unit price for every line item.'
+          );
+          return;
+        }
+        if (invoiceTotal !== amountInWei) {
+          setFormError('The invoice total must match the requested amount.');
+          return;
+        }
+      }
+
+      const request = {
+        chainId: chain.id,
+        freelancer: address,
+        token: token.address,
+        amount: amountInWei.toString(),
+        dueAt: Math.floor(new Date(dueDate).getTime() / 1000),
+        duePolicy,
+        invoiceNumber: invoiceNumber.trim(),
+        salt,
+        invoice: attachInvoice ? invoice : null,
+      };
+      const signature = sign
+        ? await signPaymentRequest(walletClient, request, contracts.escrowV1)
+        : null;
+      setLink(createPaymentLink(request, signature));
+    } catch (error) {
+      console.error('Error creating payment link:', error);
+      setFormError(getErrorMessage(error));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const copyLink = async () => {
+    await navigator.clipboard.writeText(link);
+    setCopied(true);
+  };
+
+  return (
+    <div style={containerStyle}>
+      <h2 style={{ marginTop: 0 }}>📨 Request a Payment</h2>
+      <p style={hintStyle}>
+        Send the client a link that opens the escrow form filled in with your
+        address and the invoice, ready to fund.
+      </p>
+      <form onSubmit={createLink} style={formStyle}>
+        <input
+          type="text"
+          aria-label="Invoice number"
+          placeholder="Invoice number, e.g. INV-2025-001"
+          value={formData.invoiceNumber}
+          onChange={(e) => update('invoiceNumber', e.target.value)}
+          required
+          style={inputStyle}
+        />
+        <input
+          type="text"
+          aria-label="Reissue salt"
+          placeholder="Reissue salt (optional), only to bill an invoice number again"
+          value={formData.salt}
+          onChange={(e) => update('salt', e.target.value)}
+          style={{ ...inputStyle, fontFamily: 'monospace' }}
+        />
+        <div style={rowStyle}>
+          <input
+            type="number"
+            aria-label={`Amount (${token.symbol})`}
+            placeholder={`Amount (${token.symbol})`}
+            value={formData.amount}
+            onChange={(e) => update('amount', e.target.value)}
+            required
+            min="0.01"
+            step="0.01"
+            style={inputStyle}
+          />
+          <select
+            aria-label="Currency"
+            value={token.address}
+            onChange={(e) => update('token', e.target.value)}
+            style={{ ...inputStyle, flex: '0 0 10rem' }}
+          >
+            {tokens.map((candidate) => (
+              <option key={candidate.address} value={candidate.address}>
+                {candidate.symbol}
+              </option>
+            ))}
+            <option value={NATIVE_TOKEN}>
+              {nativeToken.symbol} (native currency)
+            </option>
+          </select>
+        </div>
+        <div style={rowStyle}>
+          <input
+            type="datetime-local"
+            aria-label="Due date"
+            value={formData.dueDate}
+            onChange={(e) => update('dueDate', e.target.value)}
+            required
+            style={inputStyle}
+          />
+          <select
+            aria-label="If the work is not delivered by the due date"
+            value={formData.duePolicy}
+            onChange={(e) => update('duePolicy', Number(e.target.value))}
+            style={inputStyle}
+          >
+            {DUE_POLICIES.map((policy) => (
+              <option key={policy.value} value={policy.value}>
+                {policy.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label style={checkboxStyle}>
+          <input
+            type="checkbox"
+            checked={attachInvoice}
+            onChange={(e) => {
+              setAttachInvoice(e.target.checked);
+              setLink('');
+            }}
+          />
+          Attach invoice details
+        </label>
+        {attachInvoice && (
+          <InvoiceEditor
+            invoice={invoice}
+            token={token}
+            onChange={(value) => {
+              setInvoice(value);
+              setLink('');
+            }}
+          />
+        )}
+        <label style={checkboxStyle}>
+          <input
+            type="checkbox"
+            checked={sign}
+            onChange={(e) => {
+              setSign(e.target.checked);
+              setLink('');
+            }}
+          />
+          Sign the request in my wallet (no gas)
+        </label>
+        <button
+          type="submit"
+          disabled={isCreating}
+          style={{
+            ...buttonStyle,
+            background: isCreating ? '#ccc' : '#007bff',
+            cursor: isCreating ? 'not-allowed' : 'pointer',
+          }}
+        >
+          {isCreating ? 'Creating link...' : 'Create pay link'}
+        </button>
+        {formError && (
+          <p role="alert" style={errorStyle}>
+            ⚠️ {formError}
+          </p>
+        )}
+      </form>
+
+      {link && (
+        <div style={{ ...rowStyle, marginTop: '1rem' }}>
+          <input
+            type="text"
+            aria-label="Pay link"
+            value={link}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+          />
+          <button type="button" onClick={copyLink} style={copyButtonStyle}>
+            {copied ? '✅ Copied' : '📋 Copy'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Styles
+const containerStyle = {
+  marginBottom: '2rem',
+  padding: '1.5rem',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  background: 'white',
+};
+
+const hintStyle = {
+  marginTop: 0,
+  color: '#666',
+  fontSize: '0.9rem',
+};
+
+const formStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.75rem',
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+};
+
+const inputStyle = {
+  flex: 1,
+  padding: '0.75rem',
+  border: '1px solid #ccc',
+  borderRadius: '4px',
+  minWidth: 0,
+};
+
+const checkboxStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.5rem',
+  fontWeight: 'bold',
+};
+
+const buttonStyle = {
+  padding: '1rem 1.5rem',
+  color: 'white',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  fontWeight: 'bold',
+};
+
+const copyButtonStyle = {
+  padding: '0.75rem 1rem',
+  background: 'white',
+  color: '#007bff',
+  border: '1px solid #007bff',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontWeight: '600',
+  whiteSpace: 'nowrap',
+};
+
+const errorStyle = {
+  margin: 0,
+  color: '#d32f2f',
+  fontSize: '0.9rem',
+};
+
+export default PaymentRequestForm;
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { useTransactions } from '../hooks/useTransactions';
+
+const statusLabels = {
+  pending: '⏳ Pending',
+  confirmed: '✅ Confirmed',
+  reverted: '❌ Reverted',
+  failed: '⚠️ Unknown',
+};
+
+function RecentTransactions() {
+  const { transactions, clearTransactions, getExplorerUrl } = useTransactions();
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (transactions.length === 0) return null;
+
+  const pendingCount = transactions.filter(
+    (tx) => tx.status === 'pending'
+  ).length;
+
+  return (
+    <div style={panelStyle}>
+      <div style={headerStyle}>
+        <button onClick={() => setIsOpen(!isOpen)} style={toggleButtonStyle}>
+          {isOpen ? '▾' : '▸'} 🧾 Recent Transactions ({transactions.length}
+          {pendingCount > 0 && `, ${pendingCount} pending`})
+        </button>
+        {isOpen && (
+          <button onClick={clearTransactions} style={clearButtonStyle}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {isOpen && (
+        <ul style={listStyle}>
+          {transactions.map((tx) => {
+            const explorerUrl = getExplorerUrl(tx);
+            return (
+              <li key={tx.hash} style={rowStyle}>
+                <div>
+                  <div style={{ fontWeight: 600 }}>{tx.label}</div>
+                  <div style={{ color: '#888', fontSize: '0.8rem' }}>
+                    {new Date(tx.submittedAt).toLocaleString()} ·{' '}
+                    {explorerUrl ? (
+                      <a href={explorerUrl} target="_blank" rel="noreferrer">
+                        {tx.hash.slice(0, 10)}... ↗
+                      </a>
+                    ) : (
+                      <span style={{ fontFamily: 'monospace' }}>
+                        {tx.hash.slice(0, 10)}...
+                      </span>
+                    )}
+                  </div>
+                  {tx.error && (
+                    <div style={{ color: '#d32f2f', fontSize: '0.8rem' }}>
+                      {tx.error}
+                    </div>
+                  )}
+                </div>
+                <span style={{ whiteSpace: 'nowrap' }}>
+                  {statusLabels[tx.status]}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Styles
+const panelStyle = {
+  marginTop: '2rem',
+  padding: '1rem',
+  border: '1px solid #ddd',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#333',
+  textAlign: 'left',
+};
+
+const headerStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+};
+
+const toggleButtonStyle = {
+  background: 'none',
+  border: 'none',
+  cursor: 'pointer',
+  fontWeight: 'bold',
+  fontSize: '1rem',
+  color: '#333',
+  padding: 0,
+};
+
+const clearButtonStyle = {
+  padding: '0.3rem 0.8rem',
+  background: '#6c757d',
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '0.8rem',
+};
+
+const listStyle = {
+  listStyle: 'none',
+  padding: 0,
+  margin: '1rem 0 0 0',
+};
+
+const rowStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '1rem',
+  padding: '0.5rem',
+  marginBottom: '0.5rem',
+  background: '#fafafa',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+};
+
+export default RecentTransactions;
@@ -0,0 +1,60 @@
+const STEP_ICONS = {
+  pending: '⚪',
+  active: '⏳',
+  done: '✅',
+  skipped: '⏭️',
+  failed: '❌',
+};
+
+// Progress of a multi-step process. Each step is
+// { id, label, status: pending|active|done|skipped|failed, detail? }.
+function StepIndicator({ steps }) {
+  if (!steps?.length) return null;
+
+  return (
+    <ol style={listStyle}>
+      {steps.map((step) => (
+        <li
+          key={step.id}
+          style={{
+            ...stepStyle,
+            color: step.status === 'pending' ? '#999' : '#333',
+            fontWeight: step.status === 'active' ? 'bold' : 'normal',
+          }}
+        >
+          <span aria-hidden="true">{STEP_ICONS[step.status]}</span>
+          <span>
+            {step.label}
+            {step.detail && <span style={detailStyle}> — {step.detail}</span>}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// Styles
+const listStyle = {
+  margin: 0,
+  padding: '0.75rem 1rem',
+  listStyle: 'none',
+  background: '#f8f9fa',
+  border: '1px solid #e0e0e0',
+  borderRadius: '6px',
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.4rem',
+};
+
+const stepStyle = {
+  display: 'flex',
+  gap: '0.5rem',
+  fontSize: '0.9rem',
+};
+
+const detailStyle = {
+  color: '#666',
+  fontWeight: 'normal',
+};
+
+export default StepIndicator;
@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { DEFAULT_CHAIN_ID, getNetwork, getPublicClient } from '../chains';
+import { TransactionContext } from '../hooks/useTransactions';
+import { useNetwork } from '../hooks/useNetwork';
+import { getErrorMessage } from '../escrowErrors';
+
+const STORAGE_KEY = 'recentTransactions';
+const MAX_STORED_TRANSACTIONS = 20;
+
+const loadStoredTransactions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (error) {
+    console.error('Error parsing stored transactions:', error);
+    return [];
+  }
+};
+
+// Replay a reverted transaction against the state it ran on to recover
+// the revert reason, since receipts do not carry it
+const getRevertReason = async (publicClient, hash, receipt) => {
+  try {
+    const transaction = await publicClient.getTransaction({ hash });
+    await publicClient.call({
+      account: transaction.from,
+      to: transaction.to,
+      data: transaction.input,
+      value: transaction.value,
+      blockNumber: receipt.blockNumber - 1n,
+    });
+    return 'Transaction reverted';
+  } catch (error) {
+    return getErrorMessage(error);
+  }
+};
+
+function TransactionProvider({ children }) {
+  const [transactions, setTransactions] = useState(loadStoredTransactions);
+  const [notices, setNotices] = useState([]);
+  const resumedPending = useRef(false);
+  const { chain } = useNetwork();
+
+  // Persist recent transactions so they survive a page reload
+  useEffect(() => {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify(transactions.slice(0, MAX_STORED_TRANSACTIONS))
+    );
+  }, [transactions]);
+
+  const updateTransaction = useCallback((hash, changes) => {
+    setTransactions((current) =>
+      current.map((tx) => (tx.hash === hash ? { ...tx, ...changes } : tx))
+    );
+  }, []);
+
+  // Resolves with the receipt, or null if it could not be fetched.
+  // Transactions are watched on the chain they were sent to.
+  const waitForTransaction = useCallback(
+    async (hash, chainId = DEFAULT_CHAIN_ID) => {
+      const publicClient = getPublicClient(chainId);
+      try {
+        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        if (receipt.status === 'success') {
+          updateTransaction(hash, {
+            status: 'confirmed',
+            blockNumber: receipt.blockNumber.toString(),
+            settledAt: Date.now(),
+          });
+        } else {
+          updateTransaction(hash, {
+            status: 'reverted',
+            blockNumber: receipt.blockNumber.toString(),
+            error: await getRevertReason(publicClient, hash, receipt),
+            settledAt: Date.now(),
+          });
+        }
+        return receipt;
+      } catch (error) {
+        console.error('Error waiting for transaction:', error);
+        updateTransaction(hash, {
+          status: 'failed',
+          error: error.shortMessage || error.message,
+          settledAt: Date.now(),
+        });
+        return null;
+      }
+    },
+    [updateTransaction]
+  );
+
+  // Pick up transactions that were still pending when the page was reloaded
+  useEffect(() => {
+    if (resumedPending.current) return;
+    resumedPending.current = true;
+    transactions
+      .filter((tx) => tx.status === 'pending')
+      .filter((tx) => getNetwork(tx.chainId))
+      .forEach((tx) => waitForTransaction(tx.hash, tx.chainId));
+  }, [transactions, waitForTransaction]);
+
+  // Record a submitted transaction and wait for it to be mined
+  const trackTransaction = useCallback(
+    ({ hash, label, successMessage }) => {
+      setTransactions((current) =>
+        [
+          {
+            hash,
+            label,
+            successMessage,
+            status: 'pending',
+            chainId: chain.id,
+            submittedAt: Date.now(),
+            dismissed: false,
+          },
+          ...current.filter((tx) => tx.hash !== hash),
+        ].slice(0, MAX_STORED_TRANSACTIONS)
+      );
+      return waitForTransaction(hash, chain.id);
+    },
+    [chain, waitForTransaction]
+  );
+
+  // Show a failure that happened before anything was submitted
+  const reportError = useCallback((label, message) => {
+    setNotices((current) => [
+      ...current,
+      { id: `${Date.now()}-${Math.random()}`, label, message },
+    ]);
+  }, []);
+
+  const dismissTransaction = useCallback(
+    (hash) => updateTransaction(hash, { dismissed: true }),
+    [updateTransaction]
+  );
+
+  const dismissNotice = useCallback((id) => {
+    setNotices((current) => current.filter((notice) => notice.id !== id));
+  }, []);
+
+  const clearTransactions = useCallback(() => {
+    setTransactions((current) =>
+      current.filter((tx) => tx.status === 'pending')
+    );
+  }, []);
+
+  const getExplorerUrl = useCallback((tx) => {
+    const explorer = getNetwork(tx.chainId)?.chain.blockExplorers?.default?.url;
+    return explorer ? `${explorer}/tx/${tx.hash}` : null;
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      transactions,
+      notices,
+      trackTransaction,
+      reportError,
+      dismissTransaction,
+      dismissNotice,
+      clearTransactions,
+      getExplorerUrl,
+    }),
+    [
+      transactions,
+      notices,
+      trackTransaction,
+      reportError,
+      dismissTransaction,
+      dismissNotice,
+      clearTransactions,
+      getExplorerUrl,
+    ]
+  );
+
+  return (
+    <TransactionContext.Provider value={value}>
+      {children}
+    </TransactionContext.Provider>
+  );
+}
+
+export default TransactionProvider;
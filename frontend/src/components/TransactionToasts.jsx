@@ -0,0 +1,161 @@
+import { useEffect } from 'react';
+import { useTransactions } from '../hooks/useTransactions';
+
+// How long a confirmed transaction toast stays on screen
+const CONFIRMED_TOAST_MS = 6000;
+
+const statusIcons = {
+  pending: '⏳',
+  confirmed: '✅',
+  reverted: '❌',
+  failed: '⚠️',
+};
+
+const statusColors = {
+  pending: '#1976d2',
+  confirmed: '#2e7d32',
+  reverted: '#d32f2f',
+  failed: '#f57c00',
+};
+
+function TransactionToasts() {
+  const {
+    transactions,
+    notices,
+    dismissTransaction,
+    dismissNotice,
+    getExplorerUrl,
+  } = useTransactions();
+
+  const visible = transactions.filter((tx) => !tx.dismissed);
+
+  // Confirmed transactions fade out on their own; failures stay until closed
+  useEffect(() => {
+    const timers = visible
+      .filter((tx) => tx.status === 'confirmed')
+      .map((tx) =>
+        setTimeout(
+          () => dismissTransaction(tx.hash),
+          Math.max(0, tx.settledAt + CONFIRMED_TOAST_MS - Date.now())
+        )
+      );
+    return () => timers.forEach(clearTimeout);
+  }, [visible, dismissTransaction]);
+
+  if (visible.length === 0 && notices.length === 0) return null;
+
+  return (
+    <div style={containerStyle}>
+      {notices.map((notice) => (
+        <div
+          key={notice.id}
+          style={{ ...toastStyle, borderLeftColor: statusColors.failed }}
+        >
+          <div style={toastHeaderStyle}>
+            <strong>⚠️ {notice.label}</strong>
+            <button
+              onClick={() => dismissNotice(notice.id)}
+              style={closeButtonStyle}
+            >
+              ✕
+            </button>
+          </div>
+          <div style={messageStyle}>{notice.message}</div>
+        </div>
+      ))}
+
+      {visible.map((tx) => {
+        const explorerUrl = getExplorerUrl(tx);
+        return (
+          <div
+            key={tx.hash}
+            style={{ ...toastStyle, borderLeftColor: statusColors[tx.status] }}
+          >
+            <div style={toastHeaderStyle}>
+              <strong>
+                {statusIcons[tx.status]} {tx.label}
+              </strong>
+              <button
+                onClick={() => dismissTransaction(tx.hash)}
+                style={closeButtonStyle}
+              >
+                ✕
+              </button>
+            </div>
+            <div style={messageStyle}>
+              {tx.status === 'pending' && 'Waiting for confirmation...'}
+              {tx.status === 'confirmed' &&
+                (tx.successMessage || 'Transaction confirmed.')}
+              {(tx.status === 'reverted' || tx.status === 'failed') && tx.error}
+            </div>
+            <div style={hashStyle}>
+              {explorerUrl ? (
+                <a href={explorerUrl} target="_blank" rel="noreferrer">
+                  {tx.hash.slice(0, 10)}...{tx.hash.slice(-8)} ↗
+                </a>
+              ) : (
+                <span>
+                  {tx.hash.slice(0, 10)}...{tx.hash.slice(-8)}
+                </span>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Styles
+const containerStyle = {
+  position: 'fixed',
+  right: '1rem',
+  bottom: '1rem',
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '0.75rem',
+  width: '340px',
+  maxWidth: 'calc(100vw - 2rem)',
+  zIndex: 1100,
+};
+
+const toastStyle = {
+  background: 'white',
+  color: '#333',
+  borderRadius: '8px',
+  borderLeft: '5px solid #1976d2',
+  padding: '0.75rem 1rem',
+  boxShadow: '0 4px 16px rgba(0,0,0,0.15)',
+  textAlign: 'left',
+};
+
+const toastHeaderStyle = {
+  display: 'flex',
+  justifyContent: 'space-between',
+  alignItems: 'center',
+  gap: '0.5rem',
+  marginBottom: '0.25rem',
+};
+
+const closeButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#888',
+  cursor: 'pointer',
+  padding: 0,
+};
+
+const messageStyle = {
+  fontSize: '0.85rem',
+  color: '#555',
+  wordBreak: 'break-word',
+};
+
+const hashStyle = {
+  marginTop: '0.25rem',
+  fontSize: '0.75rem',
+  fontFamily: 'monospace',
+  color: '#888',
+};
+
+export default TransactionToasts;
@@ -0,0 +1,28 @@
+import { bytesToHex, zeroHash } from 'viem';
+
+// SHA-256 of a file's content as 0x-prefixed hex. Computed in the browser,
+// so the deliverable never has to be uploaded to be committed on-chain.
+export const hashFile = async (file) =>
+  bytesToHex(
+    new Uint8Array(
+      await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+    )
+  );
+
+// Check a file the client received against the hash the freelancer
+// delivered with
+export const verifyDeliveryFile = async (file, contentHash) =>
+  (await hashFile(file)).toLowerCase() === contentHash.toLowerCase();
+
+// Proof the escrow was delivered with, as emitted in MarkedDelivered, or
+// null if it was delivered without one (or not yet)
+export const getDeliveryProof = (timeline) => {
+  const delivery = timeline.find(
+    (entry) => entry.eventName === 'MarkedDelivered'
+  );
+  if (!delivery || delivery.args.contentHash === zeroHash) return null;
+  return {
+    deliveryURI: delivery.args.deliveryURI,
+    contentHash: delivery.args.contentHash,
+  };
+};
@@ -0,0 +1,29 @@
+// What happens to an undelivered escrow once its due date passes.
+// Values mirror the EscrowV1.DuePolicy enum.
+export const DUE_POLICIES = [
+  {
+    value: 0,
+    label: 'Require delivery',
+    description:
+      'Funds are only paid out after the freelancer marks the work delivered and the dispute window passes. If nothing is delivered, funds stay locked until a cancellation or dispute.',
+  },
+  {
+    value: 1,
+    label: 'Auto-release on due date',
+    description:
+      'The freelancer can be paid as soon as the due date passes, even without marking the work delivered. Use only when you trust the freelancer to deliver.',
+  },
+  {
+    value: 2,
+    label: 'Auto-refund on due date',
+    description:
+      'If the work is not marked delivered by the due date, the full amount can be refunded to you. Late delivery is no longer accepted.',
+  },
+];
+
+export const DEFAULT_DUE_POLICY = 0;
+export const AUTO_RELEASE_POLICY = 1;
+export const AUTO_REFUND_POLICY = 2;
+
+export const getDuePolicyLabel = (value) =>
+  DUE_POLICIES.find((policy) => policy.value === value)?.label ?? 'Unknown';
@@ -0,0 +1,139 @@
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  UserRejectedRequestError,
+  decodeErrorResult,
+  parseAbi,
+} from 'viem';
+import { escrowV1Abi } from './contracts';
+
+// Errors raised by the token while the escrow pulls funds
+// (OpenZeppelin ERC20 custom errors bubble up through openEscrow)
+const tokenErrorsAbi = parseAbi([
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+]);
+
+const errorsAbi = [
+  ...escrowV1Abi.filter((item) => item.type === 'error'),
+  ...tokenErrorsAbi,
+];
+
+// Human-readable, actionable message for every EscrowV1 custom error
+export const ESCROW_ERROR_MESSAGES = {
+  NotOwner: 'Only the contract owner can do this.',
+  NotArbiter: 'Only the arbiter can resolve disputes.',
+  ContractPaused:
+    'The escrow contract is paused by its owner. Try again once it is unpaused.',
+  ZeroToken: 'The token address cannot be the zero address.',
+  ZeroArbiter: 'The arbiter address cannot be the zero address.',
+  DisputeWindowTooSmall: 'The dispute window must be at least one day.',
+  InvalidInvoiceId: 'The invoice ID is empty.',
+  EscrowExists:
+    'An escrow already exists for this invoice. Each invoice number can only be funded once between the same client and freelancer.',
+  InvalidFreelancer: 'Enter a valid freelancer address.',
+  InvalidAmount: 'The amount must be greater than zero.',
+  InvalidDueDate:
+    'Due dates must be in the future, with milestones in due date order.',
+  InvalidMilestones: 'An escrow needs between 1 and 20 milestones.',
+  InvalidAcceptanceDeadline:
+    'The acceptance deadline must be in the future and no later than the first due date.',
+  TokenNotAllowed:
+    'This token is not accepted for new escrows. Pick one of the listed tokens.',
+  IncorrectValue:
+    'Native-currency escrows must be sent exactly the escrow amount, and token escrows none.',
+  UnknownInvoice: 'No escrow exists for this invoice ID.',
+  NotFunded: 'This escrow is not in the funded state any more.',
+  NotPendingAcceptance: 'This escrow is not waiting to be accepted.',
+  NotAccepted:
+    'The freelancer has not accepted this escrow yet, so nothing can be released.',
+  AcceptanceExpired:
+    'The deadline to accept this escrow has passed. The client can now reclaim the funds.',
+  AcceptanceWindowOpen:
+    'The freelancer can still accept this escrow. Funds can be reclaimed once the acceptance deadline has passed.',
+  OnlyClient: 'Only the client of this escrow can do this.',
+  OnlyFreelancer: 'Only the freelancer of this escrow can do this.',
+  PastDue:
+    'The due date has passed and this escrow refunds the client, so it can no longer be marked delivered.',
+  NotDisputable: 'This escrow is already disputed or settled.',
+  MissingReason: 'Enter a link describing the reason for the dispute.',
+  MissingDeliveryProof:
+    'Choose the delivered file so its hash can be recorded as proof.',
+  DisputeWindowClosed:
+    'The dispute window has closed: the escrow is already eligible for release.',
+  EscrowDisputed:
+    'This escrow is under dispute. Funds stay frozen until the arbiter resolves it.',
+  AlreadySettled: 'This escrow has already been settled.',
+  NotEligible:
+    'Not eligible yet. Funds are released once the dispute window after delivery has passed (or at the due date for auto-release escrows), and refunded only after the due date of undelivered auto-refund escrows.',
+  NotCancellable: 'This escrow can no longer be cancelled.',
+  CancellationAlreadyRequested:
+    'You have already asked the freelancer to cancel this escrow.',
+  NotDisputed: 'This escrow is not under dispute.',
+  InvalidSplit: 'The freelancer share must be between 0% and 100%.',
+  UnknownMilestone: 'This escrow has no such milestone.',
+  AlreadyDelivered: 'This milestone has already been marked delivered.',
+  SafeERC20FailedOperation: 'The token transfer failed.',
+  NativeTransferFailed:
+    'The recipient did not accept the native-currency payment.',
+  NothingToWithdraw: 'There are no refused payouts waiting to be withdrawn.',
+  ReentrancyGuardReentrantCall:
+    'The escrow was called again while paying out. Try again in a separate transaction.',
+  ERC20InsufficientAllowance:
+    'The escrow is not approved to spend enough of this token. Approve the amount and try again.',
+  ERC20InsufficientBalance: 'Your token balance is too low for this amount.',
+};
+
+const describe = (errorName, fallback) => ({
+  name: errorName,
+  message: ESCROW_ERROR_MESSAGES[errorName] ?? fallback ?? errorName,
+});
+
+// Decode raw revert data returned by the node into { name, message }
+export const decodeRevertData = (data) => {
+  try {
+    const { errorName, args } = decodeErrorResult({ abi: errorsAbi, data });
+    // Plain `revert("reason")` decodes to the built-in Error(string)
+    return errorName === 'Error'
+      ? describe(args[0], args[0])
+      : describe(errorName);
+  } catch {
+    return null;
+  }
+};
+
+// Turn any error thrown by viem or the wallet into { name, message }
+export const decodeEscrowError = (error) => {
+  if (error instanceof BaseError) {
+    if (error.walk((cause) => cause instanceof UserRejectedRequestError)) {
+      return {
+        name: 'UserRejected',
+        message: 'You rejected the request in your wallet.',
+      };
+    }
+
+    const reverted = error.walk(
+      (cause) => cause instanceof ContractFunctionRevertedError
+    );
+    if (reverted?.data?.errorName) {
+      return describe(reverted.data.errorName);
+    }
+    if (reverted?.reason) {
+      return describe(reverted.reason, reverted.reason);
+    }
+
+    // Revert data the ABI-aware helpers could not attach (e.g. eth_call)
+    const withData = error.walk(
+      (cause) => typeof cause.data === 'string' && cause.data.startsWith('0x')
+    );
+    const decoded = withData && decodeRevertData(withData.data);
+    if (decoded) return decoded;
+  }
+
+  return {
+    name: 'Unknown',
+    message: error?.shortMessage || error?.message || 'Unknown error',
+  };
+};
+
+export const getErrorMessage = (error) => decodeEscrowError(error).message;
@@ -0,0 +1,122 @@
+// The .js extension lets the Node services import this module too
+import { AUTO_RELEASE_POLICY, AUTO_REFUND_POLICY } from './duePolicies.js';
+
+// Values mirror the EscrowV1.Status enum
+export const STATUS = {
+  None: 0,
+  Funded: 1,
+  Delivered: 2,
+  Disputed: 3,
+  Released: 4,
+  Refunded: 5,
+  Resolved: 6,
+  PendingAcceptance: 7,
+};
+
+export const statusNames = [
+  'None',
+  'Funded',
+  'Delivered',
+  'Disputed',
+  'Released',
+  'Refunded',
+  'Resolved',
+  'Pending acceptance',
+];
+export const statusColors = [
+  '#666',
+  '#1976d2',
+  '#f57c00',
+  '#d32f2f',
+  '#2e7d32',
+  '#7b1fa2',
+  '#455a64',
+  '#00838f',
+];
+
+// Milestones of an escrow still held in the contract. Escrows loaded
+// without their milestones are treated as a single milestone.
+const getOpenMilestones = (escrow) =>
+  (escrow.milestones ?? [escrow]).filter((milestone) => !milestone.settled);
+
+// Earliest UNIX time (seconds) at which a milestone can be released, or
+// null until it is delivered. Mirrors EscrowV1._isReleaseEligible.
+export const getMilestoneReleaseTime = (milestone, policy, disputeWindow) => {
+  const candidates = [];
+  if (Number(milestone.deliveredAt) !== 0) {
+    candidates.push(Number(milestone.deliveredAt) + Number(disputeWindow));
+  }
+  if (policy === AUTO_RELEASE_POLICY) {
+    candidates.push(Number(milestone.dueAt));
+  }
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+};
+
+// Earliest UNIX time (seconds) at which releaseToFreelancer will succeed,
+// i.e. when the first open milestone becomes releasable, or null if
+// release is not possible without further action.
+export const getReleaseTime = (escrow, disputeWindow) => {
+  if (escrow.status !== STATUS.Funded && escrow.status !== STATUS.Delivered) {
+    return null;
+  }
+
+  const candidates = getOpenMilestones(escrow)
+    .map((milestone) =>
+      getMilestoneReleaseTime(milestone, escrow.policy, disputeWindow)
+    )
+    .filter((time) => time !== null);
+  return candidates.length > 0 ? Math.min(...candidates) : null;
+};
+
+// UNIX time (seconds) at which everything still held becomes releasable,
+// which is when the client can no longer dispute, or null while some
+// milestone has yet to be delivered
+export const getDisputeDeadline = (escrow, disputeWindow) => {
+  const times = getOpenMilestones(escrow).map((milestone) =>
+    getMilestoneReleaseTime(milestone, escrow.policy, disputeWindow)
+  );
+  return times.length > 0 && !times.includes(null) ? Math.max(...times) : null;
+};
+
+export const isReleaseEligible = (escrow, disputeWindow, now) => {
+  const releaseTime = getReleaseTime(escrow, disputeWindow);
+  return releaseTime !== null && now >= releaseTime;
+};
+
+// Where a single milestone stands, as a STATUS value. The contract only
+// records that a milestone was settled: delivered and AutoRelease ones can
+// only have been released, any other only refunded as overdue.
+export const getMilestoneStatus = (escrow, milestone) => {
+  const delivered = Number(milestone.deliveredAt) !== 0;
+  if (milestone.settled) {
+    return delivered || escrow.policy === AUTO_RELEASE_POLICY
+      ? STATUS.Released
+      : STATUS.Refunded;
+  }
+  // Refunds and dispute outcomes settle the escrow as a whole
+  if (escrow.status !== STATUS.Funded && escrow.status !== STATUS.Delivered) {
+    return escrow.status;
+  }
+  return delivered ? STATUS.Delivered : STATUS.Funded;
+};
+
+// Whether some undelivered milestone is overdue and refundable.
+// Mirrors EscrowV1._isRefundEligible.
+export const isRefundEligible = (escrow, now) =>
+  escrow.status === STATUS.Funded &&
+  escrow.policy === AUTO_REFUND_POLICY &&
+  getOpenMilestones(escrow).some(
+    (milestone) =>
+      Number(milestone.deliveredAt) === 0 && now >= Number(milestone.dueAt)
+  );
+
+export const formatCountdown = (seconds) => {
+  if (seconds <= 0) return 'now';
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m ${secs}s`;
+  return `${minutes}m ${secs}s`;
+};
@@ -0,0 +1,95 @@
+import { encodeFunctionData } from 'viem';
+import { escrowV1Abi, forwarderAbi } from './contracts';
+import { ESCROW_ERROR_MESSAGES } from './escrowErrors';
+
+// How long a signed request stays valid, and the gas it may use
+const REQUEST_LIFETIME_SECONDS = 60 * 60;
+const REQUEST_GAS = 150_000n;
+
+const forwardRequestTypes = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+// The relayer refused or failed to submit a request
+export class RelayerError extends Error {
+  constructor({ error, errorName }) {
+    super(ESCROW_ERROR_MESSAGES[errorName] ?? error ?? 'Relayer error');
+    this.name = 'RelayerError';
+    this.errorName = errorName;
+  }
+}
+
+// Sign an escrow call as an ERC-2771 request and hand it to the relayer,
+// which pays the gas to submit it through the trusted forwarder.
+// Resolves with the hash of the relayer's transaction.
+export const sendGasless = async (
+  { publicClient, walletClient, contracts, relayerUrl, account },
+  { functionName, args }
+) => {
+  const [[, name, version, chainId, verifyingContract], nonce] =
+    await Promise.all([
+      publicClient.readContract({
+        address: contracts.forwarder,
+        abi: forwarderAbi,
+        functionName: 'eip712Domain',
+      }),
+      publicClient.readContract({
+        address: contracts.forwarder,
+        abi: forwarderAbi,
+        functionName: 'nonces',
+        args: [account],
+      }),
+    ]);
+
+  const request = {
+    from: account,
+    to: contracts.escrowV1,
+    value: 0n,
+    gas: REQUEST_GAS,
+    nonce,
+    deadline: Math.floor(Date.now() / 1000) + REQUEST_LIFETIME_SECONDS,
+    data: encodeFunctionData({ abi: escrowV1Abi, functionName, args }),
+  };
+  const signature = await walletClient.signTypedData({
+    account,
+    domain: { name, version, chainId: Number(chainId), verifyingContract },
+    types: forwardRequestTypes,
+    primaryType: 'ForwardRequest',
+    message: request,
+  });
+
+  let response;
+  try {
+    response = await fetch(`${relayerUrl}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      // The forwarder reads the nonce itself, so it is not sent
+      body: JSON.stringify({
+        request: {
+          from: request.from,
+          to: request.to,
+          value: request.value.toString(),
+          gas: request.gas.toString(),
+          deadline: request.deadline,
+          data: request.data,
+        },
+        signature,
+      }),
+    });
+  } catch {
+    throw new RelayerError({ error: 'The relayer is not reachable.' });
+  }
+  const body = await response.json();
+  if (!response.ok) {
+    throw new RelayerError(body);
+  }
+  return body.hash;
+};
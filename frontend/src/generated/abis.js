@@ -0,0 +1,1301 @@
+// Generated by scripts/generate-contracts.js from the Foundry build
+// artifacts. Do not edit by hand: run `pnpm generate:contracts` instead.
+
+export const mockUsdcAbi = /** @type {const} */ ([
+  {
+    type: 'constructor',
+    inputs: [
+      { name: '_initialSupply', type: 'uint256', internalType: 'uint256' },
+    ],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'DOMAIN_SEPARATOR',
+    inputs: [],
+    outputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'allowance',
+    inputs: [
+      { name: 'owner', type: 'address', internalType: 'address' },
+      { name: 'spender', type: 'address', internalType: 'address' },
+    ],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'approve',
+    inputs: [
+      { name: 'spender', type: 'address', internalType: 'address' },
+      { name: 'value', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'balanceOf',
+    inputs: [{ name: 'account', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'decimals',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint8', internalType: 'uint8' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'destroy',
+    inputs: [],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'eip712Domain',
+    inputs: [],
+    outputs: [
+      { name: 'fields', type: 'bytes1', internalType: 'bytes1' },
+      { name: 'name', type: 'string', internalType: 'string' },
+      { name: 'version', type: 'string', internalType: 'string' },
+      { name: 'chainId', type: 'uint256', internalType: 'uint256' },
+      { name: 'verifyingContract', type: 'address', internalType: 'address' },
+      { name: 'salt', type: 'bytes32', internalType: 'bytes32' },
+      { name: 'extensions', type: 'uint256[]', internalType: 'uint256[]' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'mint',
+    inputs: [
+      { name: '_to', type: 'address', internalType: 'address' },
+      { name: '_amount', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'name',
+    inputs: [],
+    outputs: [{ name: '', type: 'string', internalType: 'string' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'nonces',
+    inputs: [{ name: 'owner', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'owner',
+    inputs: [],
+    outputs: [{ name: '', type: 'address', internalType: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'permit',
+    inputs: [
+      { name: 'owner', type: 'address', internalType: 'address' },
+      { name: 'spender', type: 'address', internalType: 'address' },
+      { name: 'value', type: 'uint256', internalType: 'uint256' },
+      { name: 'deadline', type: 'uint256', internalType: 'uint256' },
+      { name: 'v', type: 'uint8', internalType: 'uint8' },
+      { name: 'r', type: 'bytes32', internalType: 'bytes32' },
+      { name: 's', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'symbol',
+    inputs: [],
+    outputs: [{ name: '', type: 'string', internalType: 'string' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'totalSupply',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'transfer',
+    inputs: [
+      { name: 'to', type: 'address', internalType: 'address' },
+      { name: 'value', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'transferFrom',
+    inputs: [
+      { name: 'from', type: 'address', internalType: 'address' },
+      { name: 'to', type: 'address', internalType: 'address' },
+      { name: 'value', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'event',
+    name: 'Approval',
+    inputs: [
+      {
+        name: 'owner',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'spender',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'value',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+    ],
+    anonymous: false,
+  },
+  { type: 'event', name: 'EIP712DomainChanged', inputs: [], anonymous: false },
+  {
+    type: 'event',
+    name: 'Transfer',
+    inputs: [
+      { name: 'from', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'to', type: 'address', indexed: true, internalType: 'address' },
+      {
+        name: 'value',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+    ],
+    anonymous: false,
+  },
+  { type: 'error', name: 'ECDSAInvalidSignature', inputs: [] },
+  {
+    type: 'error',
+    name: 'ECDSAInvalidSignatureLength',
+    inputs: [{ name: 'length', type: 'uint256', internalType: 'uint256' }],
+  },
+  {
+    type: 'error',
+    name: 'ECDSAInvalidSignatureS',
+    inputs: [{ name: 's', type: 'bytes32', internalType: 'bytes32' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InsufficientAllowance',
+    inputs: [
+      { name: 'spender', type: 'address', internalType: 'address' },
+      { name: 'allowance', type: 'uint256', internalType: 'uint256' },
+      { name: 'needed', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InsufficientBalance',
+    inputs: [
+      { name: 'sender', type: 'address', internalType: 'address' },
+      { name: 'balance', type: 'uint256', internalType: 'uint256' },
+      { name: 'needed', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InvalidApprover',
+    inputs: [{ name: 'approver', type: 'address', internalType: 'address' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InvalidReceiver',
+    inputs: [{ name: 'receiver', type: 'address', internalType: 'address' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InvalidSender',
+    inputs: [{ name: 'sender', type: 'address', internalType: 'address' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC20InvalidSpender',
+    inputs: [{ name: 'spender', type: 'address', internalType: 'address' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC2612ExpiredSignature',
+    inputs: [{ name: 'deadline', type: 'uint256', internalType: 'uint256' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC2612InvalidSigner',
+    inputs: [
+      { name: 'signer', type: 'address', internalType: 'address' },
+      { name: 'owner', type: 'address', internalType: 'address' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'InvalidAccountNonce',
+    inputs: [
+      { name: 'account', type: 'address', internalType: 'address' },
+      { name: 'currentNonce', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  { type: 'error', name: 'InvalidShortString', inputs: [] },
+  {
+    type: 'error',
+    name: 'StringTooLong',
+    inputs: [{ name: 'str', type: 'string', internalType: 'string' }],
+  },
+]);
+
+export const escrowV1Abi = /** @type {const} */ ([
+  {
+    type: 'constructor',
+    inputs: [
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_trustedForwarder', type: 'address', internalType: 'address' },
+    ],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'BPS_DENOMINATOR',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint16', internalType: 'uint16' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'MAX_MILESTONES',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'NATIVE',
+    inputs: [],
+    outputs: [{ name: '', type: 'address', internalType: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'acceptEscrow',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'allowedTokens',
+    inputs: [{ name: '', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'arbiter',
+    inputs: [],
+    outputs: [{ name: '', type: 'address', internalType: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'cancelRequested',
+    inputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'computeInvoiceId',
+    inputs: [
+      { name: '_client', type: 'address', internalType: 'address' },
+      { name: '_freelancer', type: 'address', internalType: 'address' },
+      { name: '_invoiceNumber', type: 'string', internalType: 'string' },
+      { name: '_salt', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    outputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    stateMutability: 'pure',
+  },
+  {
+    type: 'function',
+    name: 'declineEscrow',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'dispute',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_reasonURI', type: 'string', internalType: 'string' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'disputeWindow',
+    inputs: [],
+    outputs: [{ name: '', type: 'uint64', internalType: 'uint64' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'escrowExists',
+    inputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'escrows',
+    inputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [
+      { name: 'client', type: 'address', internalType: 'address' },
+      { name: 'freelancer', type: 'address', internalType: 'address' },
+      { name: 'token', type: 'address', internalType: 'address' },
+      { name: 'amount', type: 'uint256', internalType: 'uint256' },
+      { name: 'dueAt', type: 'uint64', internalType: 'uint64' },
+      { name: 'deliveredAt', type: 'uint64', internalType: 'uint64' },
+      { name: 'acceptBy', type: 'uint64', internalType: 'uint64' },
+      { name: 'status', type: 'uint8', internalType: 'enum EscrowV1.Status' },
+      {
+        name: 'policy',
+        type: 'uint8',
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+      { name: 'documentHash', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'getAllowedTokens',
+    inputs: [],
+    outputs: [{ name: '', type: 'address[]', internalType: 'address[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'getEscrow',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [
+      {
+        name: '',
+        type: 'tuple',
+        internalType: 'struct EscrowV1.Escrow',
+        components: [
+          { name: 'client', type: 'address', internalType: 'address' },
+          { name: 'freelancer', type: 'address', internalType: 'address' },
+          { name: 'token', type: 'address', internalType: 'address' },
+          { name: 'amount', type: 'uint256', internalType: 'uint256' },
+          { name: 'dueAt', type: 'uint64', internalType: 'uint64' },
+          { name: 'deliveredAt', type: 'uint64', internalType: 'uint64' },
+          { name: 'acceptBy', type: 'uint64', internalType: 'uint64' },
+          {
+            name: 'status',
+            type: 'uint8',
+            internalType: 'enum EscrowV1.Status',
+          },
+          {
+            name: 'policy',
+            type: 'uint8',
+            internalType: 'enum EscrowV1.DuePolicy',
+          },
+          { name: 'documentHash', type: 'bytes32', internalType: 'bytes32' },
+        ],
+      },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'getEscrowsByAddress',
+    inputs: [{ name: '_user', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'bytes32[]', internalType: 'bytes32[]' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'getEscrowsDetails',
+    inputs: [
+      { name: '_invoiceIds', type: 'bytes32[]', internalType: 'bytes32[]' },
+    ],
+    outputs: [
+      { name: 'clients', type: 'address[]', internalType: 'address[]' },
+      { name: 'freelancers', type: 'address[]', internalType: 'address[]' },
+      { name: 'tokens', type: 'address[]', internalType: 'address[]' },
+      { name: 'amounts', type: 'uint256[]', internalType: 'uint256[]' },
+      { name: 'dueAts', type: 'uint64[]', internalType: 'uint64[]' },
+      { name: 'deliveredAts', type: 'uint64[]', internalType: 'uint64[]' },
+      {
+        name: 'statuses',
+        type: 'uint8[]',
+        internalType: 'enum EscrowV1.Status[]',
+      },
+      {
+        name: 'policies',
+        type: 'uint8[]',
+        internalType: 'enum EscrowV1.DuePolicy[]',
+      },
+      { name: 'acceptBys', type: 'uint64[]', internalType: 'uint64[]' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'getMilestones',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [
+      {
+        name: '',
+        type: 'tuple[]',
+        internalType: 'struct EscrowV1.Milestone[]',
+        components: [
+          { name: 'amount', type: 'uint256', internalType: 'uint256' },
+          { name: 'dueAt', type: 'uint64', internalType: 'uint64' },
+          { name: 'deliveredAt', type: 'uint64', internalType: 'uint64' },
+          { name: 'settled', type: 'bool', internalType: 'bool' },
+        ],
+      },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'isTrustedForwarder',
+    inputs: [{ name: 'forwarder', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'markDelivered',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'markDeliveredWithProof',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_deliveryURI', type: 'string', internalType: 'string' },
+      { name: '_contentHash', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'markMilestoneDelivered',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_index', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'openEscrow',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_freelancer', type: 'address', internalType: 'address' },
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_amount', type: 'uint256', internalType: 'uint256' },
+      { name: '_dueAt', type: 'uint64', internalType: 'uint64' },
+      {
+        name: '_policy',
+        type: 'uint8',
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+      { name: '_acceptBy', type: 'uint64', internalType: 'uint64' },
+      { name: '_documentHash', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    outputs: [],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    name: 'openEscrowWithPermit',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_freelancer', type: 'address', internalType: 'address' },
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_amount', type: 'uint256', internalType: 'uint256' },
+      { name: '_dueAt', type: 'uint64', internalType: 'uint64' },
+      {
+        name: '_policy',
+        type: 'uint8',
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+      { name: '_acceptBy', type: 'uint64', internalType: 'uint64' },
+      { name: '_documentHash', type: 'bytes32', internalType: 'bytes32' },
+      {
+        name: '_sig',
+        type: 'tuple',
+        internalType: 'struct EscrowV1.PermitSignature',
+        components: [
+          { name: 'deadline', type: 'uint256', internalType: 'uint256' },
+          { name: 'v', type: 'uint8', internalType: 'uint8' },
+          { name: 'r', type: 'bytes32', internalType: 'bytes32' },
+          { name: 's', type: 'bytes32', internalType: 'bytes32' },
+        ],
+      },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'openMilestoneEscrow',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_freelancer', type: 'address', internalType: 'address' },
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_amounts', type: 'uint256[]', internalType: 'uint256[]' },
+      { name: '_dueAts', type: 'uint64[]', internalType: 'uint64[]' },
+      {
+        name: '_policy',
+        type: 'uint8',
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+      { name: '_acceptBy', type: 'uint64', internalType: 'uint64' },
+      { name: '_documentHash', type: 'bytes32', internalType: 'bytes32' },
+    ],
+    outputs: [],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    name: 'openMilestoneEscrowWithPermit',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_freelancer', type: 'address', internalType: 'address' },
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_amounts', type: 'uint256[]', internalType: 'uint256[]' },
+      { name: '_dueAts', type: 'uint64[]', internalType: 'uint64[]' },
+      {
+        name: '_policy',
+        type: 'uint8',
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+      { name: '_acceptBy', type: 'uint64', internalType: 'uint64' },
+      { name: '_documentHash', type: 'bytes32', internalType: 'bytes32' },
+      {
+        name: '_sig',
+        type: 'tuple',
+        internalType: 'struct EscrowV1.PermitSignature',
+        components: [
+          { name: 'deadline', type: 'uint256', internalType: 'uint256' },
+          { name: 'v', type: 'uint8', internalType: 'uint8' },
+          { name: 'r', type: 'bytes32', internalType: 'bytes32' },
+          { name: 's', type: 'bytes32', internalType: 'bytes32' },
+        ],
+      },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'owner',
+    inputs: [],
+    outputs: [{ name: '', type: 'address', internalType: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'paused',
+    inputs: [],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'pendingWithdrawals',
+    inputs: [{ name: '', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'reclaimUnaccepted',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'refundOverdue',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'refundToClient',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'releaseToFreelancer',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'requestCancellation',
+    inputs: [{ name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'resolveDispute',
+    inputs: [
+      { name: '_invoiceId', type: 'bytes32', internalType: 'bytes32' },
+      { name: '_freelancerBps', type: 'uint16', internalType: 'uint16' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'setArbiter',
+    inputs: [{ name: '_arbiter', type: 'address', internalType: 'address' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'setDisputeWindow',
+    inputs: [{ name: '_w', type: 'uint64', internalType: 'uint64' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'setPaused',
+    inputs: [{ name: '_p', type: 'bool', internalType: 'bool' }],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'setTokenAllowed',
+    inputs: [
+      { name: '_token', type: 'address', internalType: 'address' },
+      { name: '_allowed', type: 'bool', internalType: 'bool' },
+    ],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'trustedForwarder',
+    inputs: [],
+    outputs: [{ name: '', type: 'address', internalType: 'address' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'userEscrows',
+    inputs: [
+      { name: '', type: 'address', internalType: 'address' },
+      { name: '', type: 'uint256', internalType: 'uint256' },
+    ],
+    outputs: [{ name: '', type: 'bytes32', internalType: 'bytes32' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'withdraw',
+    inputs: [],
+    outputs: [],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'event',
+    name: 'ArbiterChanged',
+    inputs: [
+      {
+        name: 'arbiter',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'CancellationRequested',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'DisputeResolved',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      {
+        name: 'arbiter',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'freelancerBps',
+        type: 'uint16',
+        indexed: false,
+        internalType: 'uint16',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Disputed',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+      {
+        name: 'reasonURI',
+        type: 'string',
+        indexed: false,
+        internalType: 'string',
+      },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'EscrowAccepted',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'EscrowDeclined',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'EscrowOpened',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      {
+        name: 'client',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'freelancer',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'token',
+        type: 'address',
+        indexed: false,
+        internalType: 'address',
+      },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'dueAt', type: 'uint64', indexed: false, internalType: 'uint64' },
+      {
+        name: 'policy',
+        type: 'uint8',
+        indexed: false,
+        internalType: 'enum EscrowV1.DuePolicy',
+      },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'MarkedDelivered',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+      {
+        name: 'deliveryURI',
+        type: 'string',
+        indexed: false,
+        internalType: 'string',
+      },
+      {
+        name: 'contentHash',
+        type: 'bytes32',
+        indexed: false,
+        internalType: 'bytes32',
+      },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'MilestoneDelivered',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'by', type: 'address', indexed: true, internalType: 'address' },
+      {
+        name: 'index',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'MilestoneRefunded',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      {
+        name: 'index',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'MilestoneReleased',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      {
+        name: 'index',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'PayoutDeferred',
+    inputs: [
+      { name: 'to', type: 'address', indexed: true, internalType: 'address' },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Refunded',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'to', type: 'address', indexed: false, internalType: 'address' },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Released',
+    inputs: [
+      {
+        name: 'invoiceId',
+        type: 'bytes32',
+        indexed: true,
+        internalType: 'bytes32',
+      },
+      { name: 'to', type: 'address', indexed: false, internalType: 'address' },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'at', type: 'uint64', indexed: false, internalType: 'uint64' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'TokenAllowed',
+    inputs: [
+      {
+        name: 'token',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      { name: 'allowed', type: 'bool', indexed: false, internalType: 'bool' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'event',
+    name: 'Withdrawn',
+    inputs: [
+      { name: 'to', type: 'address', indexed: true, internalType: 'address' },
+      {
+        name: 'amount',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+    ],
+    anonymous: false,
+  },
+  { type: 'error', name: 'AcceptanceExpired', inputs: [] },
+  { type: 'error', name: 'AcceptanceWindowOpen', inputs: [] },
+  { type: 'error', name: 'AlreadyDelivered', inputs: [] },
+  { type: 'error', name: 'AlreadySettled', inputs: [] },
+  { type: 'error', name: 'CancellationAlreadyRequested', inputs: [] },
+  { type: 'error', name: 'ContractPaused', inputs: [] },
+  { type: 'error', name: 'DisputeWindowClosed', inputs: [] },
+  { type: 'error', name: 'DisputeWindowTooSmall', inputs: [] },
+  { type: 'error', name: 'EscrowDisputed', inputs: [] },
+  { type: 'error', name: 'EscrowExists', inputs: [] },
+  { type: 'error', name: 'IncorrectValue', inputs: [] },
+  { type: 'error', name: 'InvalidAcceptanceDeadline', inputs: [] },
+  { type: 'error', name: 'InvalidAmount', inputs: [] },
+  { type: 'error', name: 'InvalidDueDate', inputs: [] },
+  { type: 'error', name: 'InvalidFreelancer', inputs: [] },
+  { type: 'error', name: 'InvalidInvoiceId', inputs: [] },
+  { type: 'error', name: 'InvalidMilestones', inputs: [] },
+  { type: 'error', name: 'InvalidSplit', inputs: [] },
+  { type: 'error', name: 'MissingDeliveryProof', inputs: [] },
+  { type: 'error', name: 'MissingReason', inputs: [] },
+  { type: 'error', name: 'NativeTransferFailed', inputs: [] },
+  { type: 'error', name: 'NotAccepted', inputs: [] },
+  { type: 'error', name: 'NotArbiter', inputs: [] },
+  { type: 'error', name: 'NotCancellable', inputs: [] },
+  { type: 'error', name: 'NotDisputable', inputs: [] },
+  { type: 'error', name: 'NotDisputed', inputs: [] },
+  { type: 'error', name: 'NotEligible', inputs: [] },
+  { type: 'error', name: 'NotFunded', inputs: [] },
+  { type: 'error', name: 'NotOwner', inputs: [] },
+  { type: 'error', name: 'NotPendingAcceptance', inputs: [] },
+  { type: 'error', name: 'NothingToWithdraw', inputs: [] },
+  { type: 'error', name: 'OnlyClient', inputs: [] },
+  { type: 'error', name: 'OnlyFreelancer', inputs: [] },
+  { type: 'error', name: 'PastDue', inputs: [] },
+  { type: 'error', name: 'ReentrancyGuardReentrantCall', inputs: [] },
+  {
+    type: 'error',
+    name: 'SafeERC20FailedOperation',
+    inputs: [{ name: 'token', type: 'address', internalType: 'address' }],
+  },
+  { type: 'error', name: 'TokenNotAllowed', inputs: [] },
+  { type: 'error', name: 'UnknownInvoice', inputs: [] },
+  { type: 'error', name: 'UnknownMilestone', inputs: [] },
+  { type: 'error', name: 'ZeroArbiter', inputs: [] },
+  { type: 'error', name: 'ZeroToken', inputs: [] },
+]);
+
+export const forwarderAbi = /** @type {const} */ ([
+  {
+    type: 'constructor',
+    inputs: [{ name: 'name', type: 'string', internalType: 'string' }],
+    stateMutability: 'nonpayable',
+  },
+  {
+    type: 'function',
+    name: 'eip712Domain',
+    inputs: [],
+    outputs: [
+      { name: 'fields', type: 'bytes1', internalType: 'bytes1' },
+      { name: 'name', type: 'string', internalType: 'string' },
+      { name: 'version', type: 'string', internalType: 'string' },
+      { name: 'chainId', type: 'uint256', internalType: 'uint256' },
+      { name: 'verifyingContract', type: 'address', internalType: 'address' },
+      { name: 'salt', type: 'bytes32', internalType: 'bytes32' },
+      { name: 'extensions', type: 'uint256[]', internalType: 'uint256[]' },
+    ],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'execute',
+    inputs: [
+      {
+        name: 'request',
+        type: 'tuple',
+        internalType: 'struct ERC2771Forwarder.ForwardRequestData',
+        components: [
+          { name: 'from', type: 'address', internalType: 'address' },
+          { name: 'to', type: 'address', internalType: 'address' },
+          { name: 'value', type: 'uint256', internalType: 'uint256' },
+          { name: 'gas', type: 'uint256', internalType: 'uint256' },
+          { name: 'deadline', type: 'uint48', internalType: 'uint48' },
+          { name: 'data', type: 'bytes', internalType: 'bytes' },
+          { name: 'signature', type: 'bytes', internalType: 'bytes' },
+        ],
+      },
+    ],
+    outputs: [],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    name: 'executeBatch',
+    inputs: [
+      {
+        name: 'requests',
+        type: 'tuple[]',
+        internalType: 'struct ERC2771Forwarder.ForwardRequestData[]',
+        components: [
+          { name: 'from', type: 'address', internalType: 'address' },
+          { name: 'to', type: 'address', internalType: 'address' },
+          { name: 'value', type: 'uint256', internalType: 'uint256' },
+          { name: 'gas', type: 'uint256', internalType: 'uint256' },
+          { name: 'deadline', type: 'uint48', internalType: 'uint48' },
+          { name: 'data', type: 'bytes', internalType: 'bytes' },
+          { name: 'signature', type: 'bytes', internalType: 'bytes' },
+        ],
+      },
+      {
+        name: 'refundReceiver',
+        type: 'address',
+        internalType: 'address payable',
+      },
+    ],
+    outputs: [],
+    stateMutability: 'payable',
+  },
+  {
+    type: 'function',
+    name: 'nonces',
+    inputs: [{ name: 'owner', type: 'address', internalType: 'address' }],
+    outputs: [{ name: '', type: 'uint256', internalType: 'uint256' }],
+    stateMutability: 'view',
+  },
+  {
+    type: 'function',
+    name: 'verify',
+    inputs: [
+      {
+        name: 'request',
+        type: 'tuple',
+        internalType: 'struct ERC2771Forwarder.ForwardRequestData',
+        components: [
+          { name: 'from', type: 'address', internalType: 'address' },
+          { name: 'to', type: 'address', internalType: 'address' },
+          { name: 'value', type: 'uint256', internalType: 'uint256' },
+          { name: 'gas', type: 'uint256', internalType: 'uint256' },
+          { name: 'deadline', type: 'uint48', internalType: 'uint48' },
+          { name: 'data', type: 'bytes', internalType: 'bytes' },
+          { name: 'signature', type: 'bytes', internalType: 'bytes' },
+        ],
+      },
+    ],
+    outputs: [{ name: '', type: 'bool', internalType: 'bool' }],
+    stateMutability: 'view',
+  },
+  { type: 'event', name: 'EIP712DomainChanged', inputs: [], anonymous: false },
+  {
+    type: 'event',
+    name: 'ExecutedForwardRequest',
+    inputs: [
+      {
+        name: 'signer',
+        type: 'address',
+        indexed: true,
+        internalType: 'address',
+      },
+      {
+        name: 'nonce',
+        type: 'uint256',
+        indexed: false,
+        internalType: 'uint256',
+      },
+      { name: 'success', type: 'bool', indexed: false, internalType: 'bool' },
+    ],
+    anonymous: false,
+  },
+  {
+    type: 'error',
+    name: 'ERC2771ForwarderExpiredRequest',
+    inputs: [{ name: 'deadline', type: 'uint48', internalType: 'uint48' }],
+  },
+  {
+    type: 'error',
+    name: 'ERC2771ForwarderInvalidSigner',
+    inputs: [
+      { name: 'signer', type: 'address', internalType: 'address' },
+      { name: 'from', type: 'address', internalType: 'address' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'ERC2771ForwarderMismatchedValue',
+    inputs: [
+      { name: 'requestedValue', type: 'uint256', internalType: 'uint256' },
+      { name: 'msgValue', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'ERC2771UntrustfulTarget',
+    inputs: [
+      { name: 'target', type: 'address', internalType: 'address' },
+      { name: 'forwarder', type: 'address', internalType: 'address' },
+    ],
+  },
+  { type: 'error', name: 'FailedCall', inputs: [] },
+  {
+    type: 'error',
+    name: 'InsufficientBalance',
+    inputs: [
+      { name: 'balance', type: 'uint256', internalType: 'uint256' },
+      { name: 'needed', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  {
+    type: 'error',
+    name: 'InvalidAccountNonce',
+    inputs: [
+      { name: 'account', type: 'address', internalType: 'address' },
+      { name: 'currentNonce', type: 'uint256', internalType: 'uint256' },
+    ],
+  },
+  { type: 'error', name: 'InvalidShortString', inputs: [] },
+  {
+    type: 'error',
+    name: 'StringTooLong',
+    inputs: [{ name: 'str', type: 'string', internalType: 'string' }],
+  },
+]);
@@ -0,0 +1,8 @@
+// Generated by scripts/generate-contracts.js from the Foundry build
+// artifacts. Do not edit by hand: run `pnpm generate:contracts` instead.
+
+// Deployed contract addresses by chain ID
+export const deployments = {};
+
+// Block each chain's escrow was deployed in, where event scans start
+export const deployBlocks = {};
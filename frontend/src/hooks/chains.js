@@ -1,18 +0,0 @@
-export const anvilChain = {
-  id: 31337,
-  name: 'Anvil Local',
-  network: 'anvil',
-  nativeCurrency: {
-    decimals: 18,
-    name: 'Ethereum',
-    symbol: 'ETH',
-  },
-  rpcUrls: {
-    default: {
-      http: ['http://127.0.0.1:8545'],
-    },
-    public: {
-      http: ['http://127.0.0.1:8545'],
-    },
-  },
-};
\ No newline at end of file
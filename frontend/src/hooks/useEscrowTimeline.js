@@ -0,0 +1,75 @@
+// src/hooks/useEscrowTimeline.js
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useNetwork } from './useNetwork';
+import {
+  createTimelineSync,
+  mergeTimelineEntries,
+  groupTimelines,
+} from '../timeline';
+
+// Event-sourced history of the account's escrows (and any others being
+// viewed, see track), kept live by re-syncing on every new block
+export const useEscrowTimeline = (account) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const timelineSync = useRef(null);
+
+  const { publicClient } = useNetwork();
+
+  // Start over whenever the network or account changes
+  useEffect(() => {
+    let cancelled = false;
+    const addEntries = (newEntries) => {
+      if (!cancelled && newEntries.length > 0) {
+        setEntries((current) => mergeTimelineEntries(current, newEntries));
+      }
+    };
+    const timeline = createTimelineSync(publicClient, account, addEntries);
+    timelineSync.current = timeline;
+    setEntries([]);
+
+    setIsLoading(true);
+    setError(null);
+    timeline
+      .sync()
+      .catch((err) => {
+        console.error('Error loading escrow timeline:', err);
+        if (!cancelled) setError('Failed to load escrow history.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    const unwatch = publicClient.watchBlockNumber({
+      onBlockNumber: () =>
+        timeline
+          .sync()
+          .catch((err) => console.error('Escrow timeline sync error:', err)),
+      onError: (err) =>
+        console.error('Escrow timeline subscription error:', err),
+    });
+    return () => {
+      cancelled = true;
+      unwatch();
+    };
+  }, [publicClient, account]);
+
+  // Also follow an escrow the account is not a party to, e.g. one the
+  // arbiter opens from the dispute queue
+  const track = useCallback((invoiceId) => {
+    timelineSync.current
+      ?.track(invoiceId)
+      .catch((err) => console.error('Error loading escrow timeline:', err));
+  }, []);
+
+  const timelines = useMemo(() => groupTimelines(entries), [entries]);
+
+  return {
+    entries,
+    timelines,
+    isLoading,
+    error,
+    track,
+  };
+};
@@ -0,0 +1,13 @@
+// src/hooks/useNetwork.js
+import { createContext, useContext } from 'react';
+
+export const NetworkContext = createContext(null);
+
+// Access the active network provided by NetworkProvider
+export const useNetwork = () => {
+  const context = useContext(NetworkContext);
+  if (!context) {
+    throw new Error('useNetwork must be used within a NetworkProvider');
+  }
+  return context;
+};
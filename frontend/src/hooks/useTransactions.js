@@ -0,0 +1,15 @@
+// src/hooks/useTransactions.js
+import { createContext, useContext } from 'react';
+
+export const TransactionContext = createContext(null);
+
+// Access the transaction manager provided by TransactionProvider
+export const useTransactions = () => {
+  const context = useContext(TransactionContext);
+  if (!context) {
+    throw new Error(
+      'useTransactions must be used within a TransactionProvider'
+    );
+  }
+  return context;
+};
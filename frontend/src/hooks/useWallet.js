@@ -1,23 +1,24 @@
 // src/hooks/useWallet.js
 import { useState, useEffect, useCallback } from 'react';
-import { createPublicClient, http, formatUnits } from 'viem';
-import { anvilChain } from './chains';
-import { MOCK_USDC_ADDRESS, mockUsdcAbi } from '../contracts';
-import { ESCROW_V1_ADDRESS, escrowV1Abi } from '../contracts';
+import { useNetwork } from './useNetwork';
+import { mockUsdcAbi } from '../contracts';
+import { escrowV1Abi } from '../contracts';
+import { getAllowedTokens } from '../tokens';
+import { getLogsInPages } from '../logs';
 export const useWallet = () => {
   const [address, setAddress] = useState(null);
   const [nativeBalance, setNativeBalance] = useState(null);
-  const [usdcBalance, setUsdcBalance] = useState(null);
+  // Native currency from payouts the account refused, held for withdraw
+  const [pendingWithdrawal, setPendingWithdrawal] = useState(null);
+  // Balance of each allowed token: [{ address, symbol, decimals, balance }]
+  const [tokenBalances, setTokenBalances] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [manualDisconnect, setManualDisconnect] = useState(false);
 
-  // Create public client for balance queries
-  const publicClient = createPublicClient({
-    chain: anvilChain,
-    transport: http(),
-  });
+  // Read client and contract addresses of the network the wallet is on
+  const { publicClient, contracts, network } = useNetwork();
 
   // Request account access
   const connect = async () => {
@@ -65,7 +66,7 @@ export const useWallet = () => {
     }
   };
 
-  // Update both native and USDC balances
+  // Update the native balance and those of the allowed tokens
   const updateBalances = useCallback(async (accountAddress) => {
     if (!accountAddress) return;
     
@@ -75,25 +76,47 @@ export const useWallet = () => {
         address: accountAddress,
       });
       setNativeBalance(balance);
+      setPendingWithdrawal(
+        await publicClient.readContract({
+          address: contracts.escrowV1,
+          abi: escrowV1Abi,
+          functionName: 'pendingWithdrawals',
+          args: [accountAddress],
+        })
+      );
       
-      // Get USDC balance
-      const usdcBalance = await publicClient.readContract({
-        address: MOCK_USDC_ADDRESS,
-        abi: mockUsdcAbi,
-        functionName: 'balanceOf',
-        args: [accountAddress],
-      });
-      setUsdcBalance(usdcBalance);
+      // Get token balances
+      const tokens = await getAllowedTokens(publicClient, contracts.escrowV1);
+      const balances = await Promise.all(
+        tokens.map((token) =>
+          publicClient.readContract({
+            address: token.address,
+            abi: mockUsdcAbi,
+            functionName: 'balanceOf',
+            args: [accountAddress],
+          })
+        )
+      );
+      setTokenBalances(
+        tokens.map((token, index) => ({ ...token, balance: balances[index] }))
+      );
     } catch (error) {
       console.error('Error updating balances:', error);
     }
-  }, [publicClient]);
+  }, [publicClient, contracts]);
+
+  // Re-read balances for the connected account
+  const refreshBalances = useCallback(
+    () => updateBalances(address),
+    [address, updateBalances]
+  );
 
   // Disconnect wallet
   const disconnect = () => {
     setAddress(null);
     setNativeBalance(null);
-    setUsdcBalance(null);
+    setPendingWithdrawal(null);
+    setTokenBalances(null);
     setIsConnected(false);
     setManualDisconnect(true); // Set flag to prevent auto-reconnect
     localStorage.removeItem('walletConnected');
@@ -104,7 +127,7 @@ export const useWallet = () => {
   const getEscrowDetails = async (invoiceId) => {
     try {
       const details = await publicClient.readContract({
-        address: ESCROW_V1_ADDRESS,
+        address: contracts.escrowV1,
         abi: escrowV1Abi,
         functionName: 'escrows',
         args: [invoiceId],
@@ -116,11 +139,40 @@ export const useWallet = () => {
     }
   };
 
+  // Get a single escrow as a named struct
+  const getEscrow = async (invoiceId) => {
+    try {
+      return await publicClient.readContract({
+        address: contracts.escrowV1,
+        abi: escrowV1Abi,
+        functionName: 'getEscrow',
+        args: [invoiceId],
+      });
+    } catch (error) {
+      console.error('Error fetching escrow:', error);
+      return null;
+    }
+  };
+
+  // Get the dispute window (in seconds) that follows delivery
+  const getDisputeWindow = async () => {
+    try {
+      return await publicClient.readContract({
+        address: contracts.escrowV1,
+        abi: escrowV1Abi,
+        functionName: 'disputeWindow',
+      });
+    } catch (error) {
+      console.error('Error fetching dispute window:', error);
+      return null;
+    }
+  };
+
   // Get all escrow IDs for a user
   const getUserEscrowIds = async (userAddress) => {
     try {
       const invoiceIds = await publicClient.readContract({
-        address: ESCROW_V1_ADDRESS,
+        address: contracts.escrowV1,
         abi: escrowV1Abi,
         functionName: 'getEscrowsByAddress',
         args: [userAddress],
@@ -136,7 +188,7 @@ export const useWallet = () => {
   const getEscrowsDetailsBatch = async (invoiceIds) => {
     try {
       const details = await publicClient.readContract({
-        address: ESCROW_V1_ADDRESS,
+        address: contracts.escrowV1,
         abi: escrowV1Abi,
         functionName: 'getEscrowsDetails',
         args: [invoiceIds],
@@ -148,6 +200,94 @@ export const useWallet = () => {
     }
   };
 
+  // Check which invoices have a pending cancellation request from the client
+  const getCancellationRequests = async (invoiceIds) => {
+    try {
+      return await Promise.all(
+        invoiceIds.map((invoiceId) =>
+          publicClient.readContract({
+            address: contracts.escrowV1,
+            abi: escrowV1Abi,
+            functionName: 'cancelRequested',
+            args: [invoiceId],
+          })
+        )
+      );
+    } catch (error) {
+      console.error('Error fetching cancellation requests:', error);
+      return invoiceIds.map(() => false);
+    }
+  };
+
+  // Read the milestones of each invoice, in due date order
+  const getMilestonesBatch = async (invoiceIds) => {
+    try {
+      return await Promise.all(
+        invoiceIds.map((invoiceId) =>
+          publicClient.readContract({
+            address: contracts.escrowV1,
+            abi: escrowV1Abi,
+            functionName: 'getMilestones',
+            args: [invoiceId],
+          })
+        )
+      );
+    } catch (error) {
+      console.error('Error fetching milestones:', error);
+      return null;
+    }
+  };
+
+  // How much of a token the escrow contract may still pull from an owner
+  const getTokenAllowance = async (token, owner) => {
+    try {
+      return await publicClient.readContract({
+        address: token,
+        abi: mockUsdcAbi,
+        functionName: 'allowance',
+        args: [owner, contracts.escrowV1],
+      });
+    } catch (error) {
+      console.error('Error fetching token allowance:', error);
+      return 0n;
+    }
+  };
+
+  // Get the address allowed to resolve disputes
+  const getArbiter = async () => {
+    try {
+      return await publicClient.readContract({
+        address: contracts.escrowV1,
+        abi: escrowV1Abi,
+        functionName: 'arbiter',
+      });
+    } catch (error) {
+      console.error('Error fetching arbiter:', error);
+      return null;
+    }
+  };
+
+  // Get every dispute ever raised, decoded from the Disputed logs. Scanned
+  // in pages from the block the escrow was deployed in.
+  const getDisputes = async () => {
+    try {
+      const latest = await publicClient.getBlockNumber({ cacheTime: 0 });
+      const logs = await getLogsInPages(network.deployBlock, latest, (fromBlock, toBlock) =>
+        publicClient.getContractEvents({
+          address: contracts.escrowV1,
+          abi: escrowV1Abi,
+          eventName: 'Disputed',
+          fromBlock,
+          toBlock,
+        })
+      );
+      return logs.map((log) => log.args);
+    } catch (error) {
+      console.error('Error fetching disputes:', error);
+      return [];
+    }
+  };
+
   // Restore user data from localStorage if needed
   const restoreUserData = useCallback(async () => {
     const savedInvoices = localStorage.getItem('userInvoices');
@@ -177,16 +317,10 @@ export const useWallet = () => {
         }
       };
 
-      const handleChainChanged = (chainId) => {
-        window.location.reload();
-      };
-
       window.ethereum.on('accountsChanged', handleAccountsChanged);
-      window.ethereum.on('chainChanged', handleChainChanged);
 
       return () => {
         window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
-        window.ethereum.removeListener('chainChanged', handleChainChanged);
       };
     }
   }, [manualDisconnect, updateBalances]);
@@ -215,16 +349,26 @@ export const useWallet = () => {
 
   return {
     address,
+    publicClient,
     connect,
     disconnect,
     nativeBalance,
-    usdcBalance,
+    pendingWithdrawal,
+    tokenBalances,
+    refreshBalances,
     isConnected,
     isLoading,
     error,
     getEscrowDetails,
+    getEscrow,
+    getDisputeWindow,
     getUserEscrowIds,
     getEscrowsDetailsBatch,
+    getCancellationRequests,
+    getMilestonesBatch,
+    getTokenAllowance,
+    getArbiter,
+    getDisputes,
     restoreUserData,
   };
 };
\ No newline at end of file
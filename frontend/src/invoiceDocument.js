@@ -0,0 +1,94 @@
+import { formatUnits, keccak256, parseUnits, stringToHex } from 'viem';
+
+// Layout version recorded in every document, bumped if the layout changes
+const DOCUMENT_VERSION = 1;
+
+// Documents of escrows opened from this browser, by invoice ID
+const STORAGE_KEY = 'invoiceDocuments';
+
+// A blank invoice with a single line item for the invoice editor
+export const NEW_INVOICE = {
+  description: '',
+  taxRate: '',
+  lineItems: [{ description: '', quantity: '1', unitPrice: '' }],
+};
+
+// JSON with object keys sorted and no whitespace, so an invoice always
+// serializes (and hashes) to the same bytes whoever rebuilds it
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Subtotal, tax and total of the line items in the token's base units.
+// Quantities are whole numbers and the tax rate a percentage with up to
+// two decimals. Throws while an entry is not a valid number.
+export const getInvoiceTotals = (invoice, decimals) => {
+  const subtotal = invoice.lineItems.reduce(
+    (sum, item) =>
+      sum + BigInt(item.quantity) * parseUnits(item.unitPrice, decimals),
+    0n
+  );
+  const tax = (subtotal * parseUnits(invoice.taxRate || '0', 2)) / 10_000n;
+  return { subtotal, tax, total: subtotal + tax };
+};
+
+// The invoice an escrow pays, in the layout whose hash is committed
+// on-chain. Numbers are normalized decimal strings in the escrow's token.
+export const buildInvoiceDocument = (invoice, token, chainId) => {
+  const format = (amount) => formatUnits(amount, token.decimals);
+  const { subtotal, tax, total } = getInvoiceTotals(invoice, token.decimals);
+  return {
+    version: DOCUMENT_VERSION,
+    invoiceNumber: invoice.number.trim(),
+    description: invoice.description.trim(),
+    currency: { symbol: token.symbol, token: token.address, chainId },
+    lineItems: invoice.lineItems.map((item) => ({
+      description: item.description.trim(),
+      quantity: BigInt(item.quantity).toString(),
+      unitPrice: format(parseUnits(item.unitPrice, token.decimals)),
+    })),
+    taxRate: formatUnits(parseUnits(invoice.taxRate || '0', 2), 2),
+    subtotal: format(subtotal),
+    tax: format(tax),
+    total: format(total),
+  };
+};
+
+export const hashInvoiceDocument = (document) =>
+  keccak256(stringToHex(canonicalJson(document)));
+
+// Check a document supplied by the user against the hash committed
+// on-chain. Key order and whitespace in the file do not matter. Throws a
+// SyntaxError if the file is not JSON.
+export const verifyInvoiceDocument = (text, documentHash) => {
+  const document = JSON.parse(text);
+  return {
+    document,
+    matches:
+      hashInvoiceDocument(document).toLowerCase() ===
+      documentHash.toLowerCase(),
+  };
+};
+
+const readSavedDocuments = () =>
+  JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+
+// Keep a copy of the document, so the client can download it later
+export const saveInvoiceDocument = (invoiceId, document) => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify({ ...readSavedDocuments(), [invoiceId]: document })
+  );
+};
+
+export const getSavedInvoiceDocument = (invoiceId) =>
+  readSavedDocuments()[invoiceId] ?? null;
@@ -0,0 +1,33 @@
+import { encodeAbiParameters, isHash, keccak256, zeroHash } from 'viem';
+
+// Invoice ID of the escrow for an invoice, the same as
+// EscrowV1.computeInvoiceId. Either party can derive it from the client and
+// freelancer addresses and the invoice number, and an invoice can only be
+// funded once. Pass a salt only to deliberately reissue an invoice. The
+// invoice number is hashed as given, like the contract does, so forms trim
+// it before it gets here.
+export const computeInvoiceId = (
+  client,
+  freelancer,
+  invoiceNumber,
+  salt = zeroHash
+) =>
+  keccak256(
+    encodeAbiParameters(
+      [
+        { type: 'address' },
+        { type: 'address' },
+        { type: 'string' },
+        { type: 'bytes32' },
+      ],
+      [client, freelancer, invoiceNumber, salt]
+    )
+  );
+
+// Salt as typed into a form: empty for none (zero), otherwise 32 bytes of
+// hex. Returns null if it is neither.
+export const parseSalt = (text) => {
+  const salt = text.trim();
+  if (!salt) return zeroHash;
+  return isHash(salt) ? salt.toLowerCase() : null;
+};
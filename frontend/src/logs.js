@@ -0,0 +1,15 @@
+// Blocks per eth_getLogs call, within the limits of public RPCs. The
+// keeper imports it to page its scans the same way.
+export const LOG_RANGE = 5_000n;
+
+// Run a log query over fromBlock..toBlock one LOG_RANGE page at a time.
+// getPage(fromBlock, toBlock) resolves with the logs of one page.
+export const getLogsInPages = async (fromBlock, toBlock, getPage) => {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_RANGE) {
+    const end =
+      start + LOG_RANGE - 1n < toBlock ? start + LOG_RANGE - 1n : toBlock;
+    logs.push(...(await getPage(start, end)));
+  }
+  return logs;
+};
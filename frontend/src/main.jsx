@@ -2,6 +2,8 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
+import NetworkProvider from './components/NetworkProvider';
+import TransactionProvider from './components/TransactionProvider';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 
 const queryClient = new QueryClient();
@@ -9,7 +11,11 @@ const queryClient = new QueryClient();
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <QueryClientProvider client={queryClient}>
-      <App />
+      <NetworkProvider>
+        <TransactionProvider>
+          <App />
+        </TransactionProvider>
+      </NetworkProvider>
     </QueryClientProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,194 @@
+import {
+  formatUnits,
+  getAddress,
+  isAddress,
+  isAddressEqual,
+  isHash,
+  keccak256,
+  recoverTypedDataAddress,
+  stringToHex,
+  zeroHash,
+} from 'viem';
+import { escrowV1Abi } from './contracts';
+import { DUE_POLICIES } from './duePolicies';
+import { canonicalJson } from './invoiceDocument';
+import { NATIVE_TOKEN, getTokenInfo } from './tokens';
+
+// Query parameter a payment request travels in
+const LINK_PARAM = 'pay';
+
+const paymentRequestTypes = {
+  PaymentRequest: [
+    { name: 'freelancer', type: 'address' },
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'dueAt', type: 'uint64' },
+    { name: 'duePolicy', type: 'uint8' },
+    { name: 'invoiceNumber', type: 'string' },
+    { name: 'salt', type: 'bytes32' },
+    { name: 'invoiceHash', type: 'bytes32' },
+  ],
+};
+
+// Requests are signed for one escrow deployment, so a signature cannot be
+// replayed on another network
+const getDomain = (chainId, escrow) => ({
+  name: 'InvoiceCover Payment Request',
+  version: '1',
+  chainId,
+  verifyingContract: escrow,
+});
+
+// The invoice details are signed through their hash
+const toTypedData = (request, escrow) => ({
+  domain: getDomain(request.chainId, escrow),
+  types: paymentRequestTypes,
+  primaryType: 'PaymentRequest',
+  message: {
+    freelancer: request.freelancer,
+    token: request.token,
+    amount: BigInt(request.amount),
+    dueAt: BigInt(request.dueAt),
+    duePolicy: request.duePolicy,
+    invoiceNumber: request.invoiceNumber,
+    salt: request.salt,
+    invoiceHash: request.invoice
+      ? keccak256(stringToHex(canonicalJson(request.invoice)))
+      : zeroHash,
+  },
+});
+
+// Ask the freelancer's wallet to sign the request (EIP-712), so the
+// client can tell it was not altered on the way
+export const signPaymentRequest = (walletClient, request, escrow) =>
+  walletClient.signTypedData({
+    account: request.freelancer,
+    ...toTypedData(request, escrow),
+  });
+
+const isSignedByFreelancer = async (request, signature, escrow) => {
+  try {
+    const signer = await recoverTypedDataAddress({
+      ...toTypedData(request, escrow),
+      signature,
+    });
+    return isAddressEqual(signer, request.freelancer);
+  } catch {
+    return false;
+  }
+};
+
+// base64url of the UTF-8 JSON, so invoice text survives the URL
+const encode = (value) =>
+  btoa(String.fromCharCode(...new TextEncoder().encode(JSON.stringify(value))))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decode = (text) =>
+  JSON.parse(
+    new TextDecoder().decode(
+      Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), (c) =>
+        c.charCodeAt(0)
+      )
+    )
+  );
+
+// Link to this app that opens the create form pre-filled with the request.
+// Amounts are in the token's base units and dueAt in UNIX seconds.
+export const createPaymentLink = (request, signature = null) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(LINK_PARAM, encode({ ...request, signature }));
+  return url.toString();
+};
+
+const isPlainObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isString = (value) => typeof value === 'string';
+
+// The invoice is rendered in the invoice editor, so it must have exactly
+// the shape the editor reads
+const isValidInvoice = (invoice) =>
+  isPlainObject(invoice) &&
+  isString(invoice.description) &&
+  isString(invoice.taxRate) &&
+  Array.isArray(invoice.lineItems) &&
+  invoice.lineItems.every(
+    (item) =>
+      isPlainObject(item) &&
+      isString(item.description) &&
+      isString(item.quantity) &&
+      isString(item.unitPrice)
+  );
+
+const isValidRequest = (request) =>
+  Number.isInteger(request.chainId) &&
+  isAddress(request.freelancer) &&
+  isAddress(request.token) &&
+  /^\d+$/.test(request.amount) &&
+  Number.isInteger(request.dueAt) &&
+  DUE_POLICIES.some((policy) => policy.value === request.duePolicy) &&
+  typeof request.invoiceNumber === 'string' &&
+  isHash(request.salt) &&
+  (request.invoice === null || isValidInvoice(request.invoice));
+
+// The request in the current URL as { request, signature }, { error } if
+// the link is damaged, or null if the app was not opened from a pay link
+export const readPaymentLink = () => {
+  const encoded = new URLSearchParams(window.location.search).get(LINK_PARAM);
+  if (!encoded) return null;
+  try {
+    const { signature = null, ...request } = decode(encoded);
+    if (isValidRequest(request)) return { request, signature };
+  } catch (error) {
+    console.error('Error reading payment link:', error);
+  }
+  return { error: 'This payment link is damaged. Ask for a new one.' };
+};
+
+// Drop the request from the address bar once it has been dealt with
+export const clearPaymentLink = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(LINK_PARAM);
+  window.history.replaceState(null, '', url);
+};
+
+// Check a request read from a link on its own network. Resolves with the
+// form values it pre-fills, the token's info and the signature status
+// ('valid', 'invalid' or 'none'), or with { error } if the escrow cannot
+// fund it.
+export const resolvePaymentRequest = async (
+  publicClient,
+  escrow,
+  { request, signature }
+) => {
+  const isAllowed =
+    request.token === NATIVE_TOKEN ||
+    (await publicClient.readContract({
+      address: escrow,
+      abi: escrowV1Abi,
+      functionName: 'allowedTokens',
+      args: [request.token],
+    }));
+  if (!isAllowed) {
+    return {
+      error: 'The escrow does not accept the token this request is in.',
+    };
+  }
+
+  const [token, isSigned] = await Promise.all([
+    getTokenInfo(publicClient, getAddress(request.token)),
+    signature ? isSignedByFreelancer(request, signature, escrow) : false,
+  ]);
+  // datetime-local wants the local time without a zone
+  const due = new Date(request.dueAt * 1000);
+  due.setMinutes(due.getMinutes() - due.getTimezoneOffset());
+  return {
+    request,
+    token,
+    signatureStatus: !signature ? 'none' : isSigned ? 'valid' : 'invalid',
+    amount: formatUnits(BigInt(request.amount), token.decimals),
+    dueDate: due.toISOString().slice(0, 16),
+  };
+};
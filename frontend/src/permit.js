@@ -0,0 +1,64 @@
+import { parseSignature } from 'viem';
+import { mockUsdcAbi } from './contracts';
+
+// How long a signed permit stays valid
+const PERMIT_LIFETIME_SECONDS = 60 * 60;
+
+const permitTypes = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+// Read the token's EIP-712 domain (ERC-5267) and the owner's permit nonce.
+// Resolves with null when the token does not support EIP-2612 permits.
+export const getPermitParams = async (publicClient, token, owner) => {
+  try {
+    const [[, name, version, chainId, verifyingContract], nonce] =
+      await Promise.all([
+        publicClient.readContract({
+          address: token,
+          abi: mockUsdcAbi,
+          functionName: 'eip712Domain',
+        }),
+        publicClient.readContract({
+          address: token,
+          abi: mockUsdcAbi,
+          functionName: 'nonces',
+          args: [owner],
+        }),
+      ]);
+    return {
+      domain: { name, version, chainId: Number(chainId), verifyingContract },
+      nonce,
+    };
+  } catch (error) {
+    console.log('Token does not support permits:', error.shortMessage);
+    return null;
+  }
+};
+
+// Ask the wallet to sign a permit letting `spender` pull `value` tokens.
+// Resolves with the deadline and signature parts the contract expects.
+export const signPermit = async (
+  walletClient,
+  { domain, nonce },
+  { owner, spender, value }
+) => {
+  const deadline = BigInt(
+    Math.floor(Date.now() / 1000) + PERMIT_LIFETIME_SECONDS
+  );
+  const signature = await walletClient.signTypedData({
+    account: owner,
+    domain,
+    types: permitTypes,
+    primaryType: 'Permit',
+    message: { owner, spender, value, nonce, deadline },
+  });
+  const { v, yParity, r, s } = parseSignature(signature);
+  return { deadline, v: Number(v ?? 27n + BigInt(yParity)), r, s };
+};
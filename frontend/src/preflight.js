@@ -0,0 +1,96 @@
+import { toHex } from 'viem';
+import { escrowV1Abi } from './contracts';
+import { getChainContracts } from './chains';
+import { decodeEscrowError } from './escrowErrors';
+
+// Thrown when simulating a write shows it would revert. Nothing was sent
+// to the wallet, so callers show the reason next to the form or card.
+export class PreflightError extends Error {
+  constructor(failure, options) {
+    super(failure.message, options);
+    this.name = 'PreflightError';
+    this.errorName = failure.name;
+  }
+}
+
+// EscrowV1 call behind each escrow action offered in the UI
+const ESCROW_ACTIONS = {
+  accept: { functionName: 'acceptEscrow' },
+  decline: { functionName: 'declineEscrow' },
+  reclaim: { functionName: 'reclaimUnaccepted' },
+  markDelivered: { functionName: 'markDelivered' },
+  markDeliveredGasless: { functionName: 'markDelivered' },
+  // Any non-zero hash passes the check, like the dispute reason below
+  markDeliveredWithProof: {
+    functionName: 'markDeliveredWithProof',
+    getArgs: (
+      invoiceId,
+      { deliveryURI = '', contentHash = toHex(1, { size: 32 }) } = {}
+    ) => [invoiceId, deliveryURI, contentHash],
+  },
+  release: { functionName: 'releaseToFreelancer' },
+  claim: { functionName: 'releaseToFreelancer' },
+  // The reason only has to be non-empty for the check to be meaningful
+  dispute: {
+    functionName: 'dispute',
+    getArgs: (invoiceId, reasonURI = 'preflight') => [invoiceId, reasonURI],
+  },
+  refundOverdue: { functionName: 'refundOverdue' },
+  requestCancel: { functionName: 'requestCancellation' },
+  refund: { functionName: 'refundToClient' },
+  resolve: {
+    functionName: 'resolveDispute',
+    getArgs: (invoiceId, freelancerBps = 0) => [invoiceId, freelancerBps],
+  },
+};
+
+// Run a write against the latest block as `account` without sending it.
+// Targets the escrow contract on the client's chain unless told otherwise.
+// Resolves with the request to hand to walletClient.writeContract, or
+// throws PreflightError with the decoded revert reason.
+export const simulateWrite = async (
+  publicClient,
+  account,
+  {
+    address = getChainContracts(publicClient.chain.id).escrowV1,
+    abi = escrowV1Abi,
+    functionName,
+    args,
+    value,
+  }
+) => {
+  try {
+    const { request } = await publicClient.simulateContract({
+      address,
+      abi,
+      functionName,
+      args,
+      value,
+      account,
+    });
+    return request;
+  } catch (error) {
+    throw new PreflightError(decodeEscrowError(error), { cause: error });
+  }
+};
+
+// Check whether an escrow action would succeed right now. Resolves with
+// null, or with the decoded { name, message } of the expected revert.
+export const preflightEscrowAction = async (
+  publicClient,
+  account,
+  action,
+  invoiceId,
+  payload
+) => {
+  const { functionName, getArgs = (id) => [id] } = ESCROW_ACTIONS[action];
+  try {
+    await simulateWrite(publicClient, account, {
+      functionName,
+      args: getArgs(invoiceId, payload),
+    });
+    return null;
+  } catch (error) {
+    return { name: error.errorName, message: error.message };
+  }
+};
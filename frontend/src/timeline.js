@@ -0,0 +1,307 @@
+import {
+  formatLog,
+  numberToHex,
+  parseEventLogs,
+  toEventSelector,
+  zeroHash,
+} from 'viem';
+import { escrowV1Abi } from './contracts';
+import { getChainContracts, getDeployBlock } from './chains';
+import { getLogsInPages } from './logs';
+import { formatTokenAmount } from './tokens';
+
+// Lifecycle events that make up an escrow's timeline. Every one of them
+// carries the invoice ID as its first indexed argument.
+export const TIMELINE_EVENT_NAMES = [
+  'EscrowOpened',
+  'EscrowAccepted',
+  'EscrowDeclined',
+  'MarkedDelivered',
+  'MilestoneDelivered',
+  'Disputed',
+  'CancellationRequested',
+  'Released',
+  'Refunded',
+  'DisputeResolved',
+];
+
+const timelineAbi = escrowV1Abi.filter(
+  (item) => item.type === 'event' && TIMELINE_EVENT_NAMES.includes(item.name)
+);
+
+// Topic 0 of each timeline event, to filter logs by event and invoice ID
+const timelineTopics = timelineAbi.map((event) => toEventSelector(event));
+
+// Block timestamps and transaction senders never change, so cache them.
+// Block numbers repeat across chains, so those keys include the chain ID.
+const blockTimestamps = new Map();
+const transactionSenders = new Map();
+
+// The party the event is about (recipient for payouts, caller otherwise)
+const getActor = (log) => {
+  const { args } = log;
+  switch (log.eventName) {
+    case 'EscrowOpened':
+      return args.client;
+    case 'Released':
+    case 'Refunded':
+      return args.to;
+    case 'DisputeResolved':
+      return args.arbiter;
+    default:
+      return args.by;
+  }
+};
+
+const compareEntries = (a, b) =>
+  a.blockNumber === b.blockNumber
+    ? a.logIndex - b.logIndex
+    : a.blockNumber < b.blockNumber
+      ? -1
+      : 1;
+
+// The delivery that completes an escrow is already told by MarkedDelivered,
+// which also keeps single-milestone escrows to one delivery entry
+const dropCompletedMilestones = (logs) => {
+  const completions = new Set(
+    logs
+      .filter((log) => log.eventName === 'MarkedDelivered')
+      .map((log) => `${log.transactionHash}:${log.args.invoiceId}`)
+  );
+  return logs.filter(
+    (log) =>
+      log.eventName !== 'MilestoneDelivered' ||
+      !completions.has(`${log.transactionHash}:${log.args.invoiceId}`)
+  );
+};
+
+// Turn raw logs into timeline entries, stamped with the time their block
+// was mined. Nodes that return blockTimestamp with each log save a
+// getBlock call per block.
+const resolveLogs = async (publicClient, rawLogs) => {
+  const logs = dropCompletedMilestones(rawLogs);
+  const blockKey = (blockNumber) => `${publicClient.chain.id}:${blockNumber}`;
+  for (const log of logs) {
+    if (log.blockTimestamp) {
+      blockTimestamps.set(
+        blockKey(log.blockNumber),
+        BigInt(log.blockTimestamp)
+      );
+    }
+  }
+  await Promise.all(
+    [...new Set(logs.map((log) => log.blockNumber))]
+      .filter((blockNumber) => !blockTimestamps.has(blockKey(blockNumber)))
+      .map(async (blockNumber) => {
+        const block = await publicClient.getBlock({ blockNumber });
+        blockTimestamps.set(blockKey(blockNumber), block.timestamp);
+      })
+  );
+
+  return logs
+    .map((log) => ({
+      id: `${log.transactionHash}-${log.logIndex}`,
+      invoiceId: log.args.invoiceId,
+      eventName: log.eventName,
+      actor: getActor(log),
+      timestamp: Number(blockTimestamps.get(blockKey(log.blockNumber))),
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      args: log.args,
+    }))
+    .sort(compareEntries);
+};
+
+// Lifecycle events of the given invoices between two blocks
+const getInvoiceLogs = (publicClient, invoiceIds, fromBlock, toBlock) =>
+  getLogsInPages(fromBlock, toBlock, async (pageFrom, pageTo) => {
+    const logs = await publicClient.request({
+      method: 'eth_getLogs',
+      params: [
+        {
+          address: getChainContracts(publicClient.chain.id).escrowV1,
+          topics: [timelineTopics, invoiceIds],
+          fromBlock: numberToHex(pageFrom),
+          toBlock: numberToHex(pageTo),
+        },
+      ],
+    });
+    return parseEventLogs({
+      abi: timelineAbi,
+      logs: logs.map((log) => formatLog(log)),
+    });
+  });
+
+// EscrowOpened events between two blocks with the account as a party
+const getOpenedLogs = (publicClient, account, fromBlock, toBlock) => {
+  const event = timelineAbi.find((item) => item.name === 'EscrowOpened');
+  const address = getChainContracts(publicClient.chain.id).escrowV1;
+  return getLogsInPages(fromBlock, toBlock, async (pageFrom, pageTo) =>
+    (
+      await Promise.all(
+        [{ client: account }, { freelancer: account }].map((args) =>
+          publicClient.getLogs({
+            address,
+            event,
+            args,
+            fromBlock: pageFrom,
+            toBlock: pageTo,
+          })
+        )
+      )
+    ).flat()
+  );
+};
+
+// Follow the timelines of the escrows the account is a party to, plus
+// any added with track(). Logs are only requested for those invoice IDs,
+// in LOG_RANGE pages from the block the escrow was deployed in. New
+// entries are handed to onEntries; calls run one at a time.
+export const createTimelineSync = (publicClient, account, onEntries) => {
+  const invoiceIds = new Set();
+  let nextBlock = getDeployBlock(publicClient.chain.id);
+  let isSeeded = false;
+  let queue = Promise.resolve();
+
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Read new events up to the latest block. The first call starts from
+  // the account's escrows as recorded by the contract; later calls pick
+  // up escrows opened since from their EscrowOpened events.
+  const sync = () =>
+    serialize(async () => {
+      const latest = await publicClient.getBlockNumber({ cacheTime: 0 });
+      if (nextBlock > latest) return;
+
+      if (!account) {
+        isSeeded = true;
+      } else if (!isSeeded) {
+        const ids = await publicClient.readContract({
+          address: getChainContracts(publicClient.chain.id).escrowV1,
+          abi: escrowV1Abi,
+          functionName: 'getEscrowsByAddress',
+          args: [account],
+          blockNumber: latest,
+        });
+        ids.forEach((invoiceId) => invoiceIds.add(invoiceId));
+        isSeeded = true;
+      } else {
+        const opened = await getOpenedLogs(
+          publicClient,
+          account,
+          nextBlock,
+          latest
+        );
+        opened.forEach((log) => invoiceIds.add(log.args.invoiceId));
+      }
+
+      const logs =
+        invoiceIds.size > 0
+          ? await getInvoiceLogs(
+              publicClient,
+              [...invoiceIds],
+              nextBlock,
+              latest
+            )
+          : [];
+      nextBlock = latest + 1n;
+      onEntries(await resolveLogs(publicClient, logs));
+    });
+
+  // Follow one more escrow, reading its history so far
+  const track = (invoiceId) =>
+    serialize(async () => {
+      if (invoiceIds.has(invoiceId)) return;
+      invoiceIds.add(invoiceId);
+      const logs = await getInvoiceLogs(
+        publicClient,
+        [invoiceId],
+        getDeployBlock(publicClient.chain.id),
+        nextBlock - 1n
+      );
+      onEntries(await resolveLogs(publicClient, logs));
+    });
+
+  return { sync, track };
+};
+
+// Account that sent each entry's transaction (a relayer for gasless
+// calls), by transaction hash. Only looked up for the timelines on screen.
+export const fetchTransactionSenders = async (publicClient, entries) => {
+  await Promise.all(
+    [...new Set(entries.map((entry) => entry.transactionHash))]
+      .filter((hash) => !transactionSenders.has(hash))
+      .map(async (hash) => {
+        const transaction = await publicClient.getTransaction({ hash });
+        transactionSenders.set(hash, transaction.from);
+      })
+  );
+  return new Map(
+    entries.map((entry) => [
+      entry.transactionHash,
+      transactionSenders.get(entry.transactionHash),
+    ])
+  );
+};
+
+// Merge new entries into an existing list, dropping duplicates
+export const mergeTimelineEntries = (entries, newEntries) => {
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  for (const entry of newEntries) {
+    byId.set(entry.id, entry);
+  }
+  return [...byId.values()].sort(compareEntries);
+};
+
+// Group entries into one timeline per invoice ID
+export const groupTimelines = (entries) => {
+  const timelines = new Map();
+  for (const entry of entries) {
+    const invoiceId = entry.invoiceId.toLowerCase();
+    if (!timelines.has(invoiceId)) {
+      timelines.set(invoiceId, []);
+    }
+    timelines.get(invoiceId).push(entry);
+  }
+  return timelines;
+};
+
+const formatAddress = (address) =>
+  `${address.slice(0, 8)}...${address.slice(-6)}`;
+
+// Human-readable summary of what happened. Amounts are formatted in the
+// escrow's token ({ symbol, decimals }).
+export const describeTimelineEntry = (entry, token) => {
+  const { args } = entry;
+  switch (entry.eventName) {
+    case 'EscrowOpened':
+      return `Opened by ${formatAddress(args.client)} for ${formatTokenAmount(args.amount, token)}`;
+    case 'EscrowAccepted':
+      return `Terms accepted by ${formatAddress(args.by)}`;
+    case 'EscrowDeclined':
+      return `Terms declined by ${formatAddress(args.by)}`;
+    case 'MarkedDelivered':
+      return args.contentHash !== zeroHash
+        ? `Marked delivered by ${formatAddress(args.by)} with proof ${args.deliveryURI || args.contentHash}`
+        : `Marked delivered by ${formatAddress(args.by)}`;
+    case 'MilestoneDelivered':
+      return `Milestone ${Number(args.index) + 1} marked delivered by ${formatAddress(args.by)}`;
+    case 'Disputed':
+      return `Disputed by ${formatAddress(args.by)}: ${args.reasonURI}`;
+    case 'CancellationRequested':
+      return `Cancellation requested by ${formatAddress(args.by)}`;
+    case 'Released':
+      return `${formatTokenAmount(args.amount, token)} released to ${formatAddress(args.to)}`;
+    case 'Refunded':
+      return `${formatTokenAmount(args.amount, token)} refunded to ${formatAddress(args.to)}`;
+    case 'DisputeResolved':
+      return `Dispute resolved by ${formatAddress(args.arbiter)}: ${args.freelancerBps / 100}% to the freelancer`;
+    default:
+      return entry.eventName;
+  }
+};
@@ -0,0 +1,65 @@
+import { formatUnits, zeroAddress } from 'viem';
+import { escrowV1Abi, mockUsdcAbi } from './contracts';
+
+// Token address escrows funded in the chain's native currency carry
+export const NATIVE_TOKEN = zeroAddress;
+
+// Symbol and decimals of each token escrows are funded in, by chain and
+// address. They never change, so every token is read once.
+const tokenInfo = new Map();
+
+const readTokenInfo = async (publicClient, address) => {
+  try {
+    const [symbol, decimals] = await Promise.all([
+      publicClient.readContract({
+        address,
+        abi: mockUsdcAbi,
+        functionName: 'symbol',
+      }),
+      publicClient.readContract({
+        address,
+        abi: mockUsdcAbi,
+        functionName: 'decimals',
+      }),
+    ]);
+    return { address, symbol, decimals };
+  } catch (error) {
+    console.error('Error reading token metadata:', error);
+    return null;
+  }
+};
+
+// Resolves with { address, symbol, decimals }. A token whose metadata
+// cannot be read is shown in base units until the next attempt.
+export const getTokenInfo = async (publicClient, address) => {
+  if (address === NATIVE_TOKEN) {
+    const { symbol, decimals } = publicClient.chain.nativeCurrency;
+    return { address, symbol, decimals };
+  }
+  const key = `${publicClient.chain.id}:${address.toLowerCase()}`;
+  if (!tokenInfo.has(key)) {
+    tokenInfo.set(key, readTokenInfo(publicClient, address));
+  }
+  const info = await tokenInfo.get(key);
+  if (!info) {
+    tokenInfo.delete(key);
+    return { address, symbol: 'units', decimals: 0 };
+  }
+  return info;
+};
+
+// Tokens new escrows may be funded in, with their symbol and decimals
+export const getAllowedTokens = async (publicClient, escrow) => {
+  const addresses = await publicClient.readContract({
+    address: escrow,
+    abi: escrowV1Abi,
+    functionName: 'getAllowedTokens',
+  });
+  return Promise.all(
+    addresses.map((address) => getTokenInfo(publicClient, address))
+  );
+};
+
+// e.g. "1000.5 USDC"
+export const formatTokenAmount = (amount, token) =>
+  `${formatUnits(BigInt(amount), token.decimals)} ${token.symbol}`;
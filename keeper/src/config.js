@@ -0,0 +1,49 @@
+import { isAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import {
+  deployBlocks,
+  deployments,
+} from '../../frontend/src/generated/deployments.js';
+
+export const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+
+const isEnabled = (value) =>
+  ['1', 'true', 'yes'].includes(value?.trim().toLowerCase());
+
+// Read the remaining settings from the environment. The escrow address
+// and the block to scan from default to the deployment recorded for the
+// RPC's chain.
+export const loadConfig = (chainId) => {
+  const {
+    PORT = '8788',
+    KEEPER_PRIVATE_KEY,
+    ESCROW_ADDRESS = deployments[chainId]?.escrowV1,
+    DRY_RUN,
+    POLL_INTERVAL_SECONDS = '30',
+    START_BLOCK = String(deployBlocks[chainId] ?? 0),
+  } = process.env;
+  const dryRun = isEnabled(DRY_RUN);
+
+  // A dry run only simulates releases, so it needs no funded account
+  if (!KEEPER_PRIVATE_KEY && !dryRun) {
+    throw new Error(
+      'Set KEEPER_PRIVATE_KEY to the key of a funded account, or DRY_RUN=1.'
+    );
+  }
+  if (!ESCROW_ADDRESS || !isAddress(ESCROW_ADDRESS)) {
+    throw new Error(
+      `No ESCROW_ADDRESS for chain ${chainId}. Set it, or deploy and run \`pnpm generate:contracts\` in frontend.`
+    );
+  }
+
+  return {
+    port: Number(PORT),
+    account: KEEPER_PRIVATE_KEY
+      ? privateKeyToAccount(KEEPER_PRIVATE_KEY)
+      : null,
+    escrow: ESCROW_ADDRESS,
+    dryRun,
+    pollInterval: Number(POLL_INTERVAL_SECONDS) * 1000,
+    startBlock: BigInt(START_BLOCK),
+  };
+};
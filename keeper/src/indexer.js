@@ -0,0 +1,65 @@
+import { escrowV1Abi } from '../../frontend/src/generated/abis.js';
+import { LOG_RANGE } from '../../frontend/src/logs.js';
+
+// Keeps an in-memory copy of every escrow, in the shape getReleaseTime
+// expects. Events only say which escrows changed: with milestones a
+// Released or Refunded event may settle part of an escrow, so changed
+// escrows are re-read from the contract rather than replayed.
+export const createIndexer = (publicClient, { escrow, startBlock }) => {
+  // Invoice ID -> { invoiceId, client, freelancer, token, amount, dueAt,
+  // policy, deliveredAt, status, milestones }
+  const escrows = new Map();
+  let nextBlock = startBlock;
+
+  // Re-read one escrow, updating the indexed copy in place
+  const refresh = async (invoiceId) => {
+    const [onChain, milestones] = await Promise.all([
+      publicClient.readContract({
+        address: escrow,
+        abi: escrowV1Abi,
+        functionName: 'getEscrow',
+        args: [invoiceId],
+      }),
+      publicClient.readContract({
+        address: escrow,
+        abi: escrowV1Abi,
+        functionName: 'getMilestones',
+        args: [invoiceId],
+      }),
+    ]);
+    if (!escrows.has(invoiceId)) escrows.set(invoiceId, { invoiceId });
+    return Object.assign(escrows.get(invoiceId), onChain, { milestones });
+  };
+
+  // Read new events up to the latest block
+  const sync = async () => {
+    const latest = await publicClient.getBlockNumber();
+    const changed = new Set();
+    while (nextBlock <= latest) {
+      const toBlock =
+        nextBlock + LOG_RANGE - 1n < latest
+          ? nextBlock + LOG_RANGE - 1n
+          : latest;
+      const logs = await publicClient.getContractEvents({
+        address: escrow,
+        abi: escrowV1Abi,
+        fromBlock: nextBlock,
+        toBlock,
+      });
+      for (const log of logs) {
+        if (log.args.invoiceId) changed.add(log.args.invoiceId);
+      }
+      nextBlock = toBlock + 1n;
+    }
+    for (const invoiceId of changed) await refresh(invoiceId);
+  };
+
+  return {
+    escrows,
+    sync,
+    refresh,
+    get syncedBlock() {
+      return nextBlock - 1n;
+    },
+  };
+};
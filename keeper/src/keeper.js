@@ -0,0 +1,237 @@
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  TransactionReceiptNotFoundError,
+} from 'viem';
+import { escrowV1Abi } from '../../frontend/src/generated/abis.js';
+import {
+  STATUS,
+  getReleaseTime,
+  statusNames,
+} from '../../frontend/src/escrowStatus.js';
+import { createIndexer } from './indexer.js';
+
+// Failed releases are retried with exponential backoff up to this delay
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS = 60 * 60_000;
+
+// A release still unmined this many blocks after it was submitted is taken
+// as dropped or replaced, and retried like a failed one
+const PENDING_MAX_BLOCKS = 50n;
+
+// The contract's error name when a call reverted, viem's summary otherwise
+const describeError = (error) => {
+  const reverted =
+    error instanceof BaseError &&
+    error.walk((cause) => cause instanceof ContractFunctionRevertedError);
+  return reverted?.data?.errorName ?? error.shortMessage ?? error.message;
+};
+
+// Escrows a release can still come due on. One pending acceptance is not
+// binding yet, so it is never released (see describe for how it stands).
+const isOpen = (escrow) =>
+  escrow.status === STATUS.Funded || escrow.status === STATUS.Delivered;
+
+// Finds escrows whose release time has passed and calls
+// releaseToFreelancer on them. Every attempt re-checks the escrow on-chain
+// and at most one release per escrow is in flight, so running a tick again
+// (or restarting the keeper) never pays anyone twice. An escrow paid out
+// in milestones gets a release each time another milestone comes due.
+export const createKeeper = ({ publicClient, walletClient, config }) => {
+  const indexer = createIndexer(publicClient, config);
+  // Invoice ID -> { attempts, lastError, retryAt, hash, submittedIn,
+  // releasedIn, wouldRelease }
+  const jobs = new Map();
+  const state = {
+    disputeWindow: null,
+    blockNumber: null,
+    blockTime: null,
+    lastRunAt: null,
+    lastError: null,
+  };
+
+  const getJob = (invoiceId) => {
+    if (!jobs.has(invoiceId)) {
+      jobs.set(invoiceId, {
+        attempts: 0,
+        lastError: null,
+        retryAt: 0,
+        hash: null,
+        submittedIn: null,
+        releasedIn: null,
+        wouldRelease: false,
+      });
+    }
+    return jobs.get(invoiceId);
+  };
+
+  const fail = (invoiceId, job, message) => {
+    job.lastError = message;
+    job.retryAt =
+      Date.now() +
+      Math.min(RETRY_BASE_MS * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+    console.warn(
+      `Release of ${invoiceId} failed (attempt ${job.attempts}): ${message}`
+    );
+  };
+
+  // Check on a submitted release. Resolves with true while it is pending,
+  // up to PENDING_MAX_BLOCKS after which it fails and is retried.
+  const isPending = async (escrow, job) => {
+    try {
+      const receipt = await publicClient.getTransactionReceipt({
+        hash: job.hash,
+      });
+      if (receipt.status === 'success') {
+        // Later milestones may still be due, each on a fresh count
+        await indexer.refresh(escrow.invoiceId);
+        job.attempts = 0;
+        job.releasedIn = job.hash;
+        job.lastError = null;
+        console.log(`Released ${escrow.invoiceId} in ${job.hash}`);
+      } else {
+        fail(escrow.invoiceId, job, `Transaction ${job.hash} reverted.`);
+      }
+      job.hash = null;
+      return false;
+    } catch (error) {
+      if (!(error instanceof TransactionReceiptNotFoundError)) throw error;
+      if (state.blockNumber - job.submittedIn < PENDING_MAX_BLOCKS) {
+        return true;
+      }
+      fail(
+        escrow.invoiceId,
+        job,
+        `Transaction ${job.hash} was not mined within ${PENDING_MAX_BLOCKS} blocks.`
+      );
+      job.hash = null;
+      return false;
+    }
+  };
+
+  const release = async (escrow, job) => {
+    job.attempts += 1;
+    // The index may lag behind the chain: re-read before spending gas
+    await indexer.refresh(escrow.invoiceId);
+    if (!isOpen(escrow)) return;
+
+    const { request } = await publicClient.simulateContract({
+      address: config.escrow,
+      abi: escrowV1Abi,
+      functionName: 'releaseToFreelancer',
+      args: [escrow.invoiceId],
+      account: config.account ?? undefined,
+    });
+    job.lastError = null;
+
+    if (config.dryRun) {
+      job.wouldRelease = true;
+      console.log(`[dry run] Would release ${escrow.invoiceId}`);
+      return;
+    }
+    job.hash = await walletClient.writeContract(request);
+    job.submittedIn = state.blockNumber;
+    console.log(`Submitted release of ${escrow.invoiceId}: ${job.hash}`);
+  };
+
+  // One pass: index new events, then release everything that is due
+  const tick = async () => {
+    try {
+      await indexer.sync();
+      const [disputeWindow, block] = await Promise.all([
+        publicClient.readContract({
+          address: config.escrow,
+          abi: escrowV1Abi,
+          functionName: 'disputeWindow',
+        }),
+        publicClient.getBlock(),
+      ]);
+      state.disputeWindow = disputeWindow;
+      // Eligibility follows block time, which is what the contract checks
+      state.blockNumber = block.number;
+      state.blockTime = Number(block.timestamp);
+
+      for (const escrow of indexer.escrows.values()) {
+        // Wait for the release in flight first. Once it settles, the
+        // next milestone is considered on the next run.
+        const pending = jobs.get(escrow.invoiceId);
+        if (pending?.hash) {
+          await isPending(escrow, pending);
+          continue;
+        }
+
+        const releaseTime = getReleaseTime(escrow, disputeWindow);
+        if (releaseTime === null || state.blockTime < releaseTime) continue;
+
+        const job = getJob(escrow.invoiceId);
+        // A dry run reports each due escrow once instead of every run
+        if (job.wouldRelease) continue;
+        if (!isOpen(escrow) || job.retryAt > Date.now()) continue;
+        try {
+          await release(escrow, job);
+        } catch (error) {
+          fail(escrow.invoiceId, job, describeError(error));
+        }
+      }
+      state.lastError = null;
+    } catch (error) {
+      state.lastError = describeError(error);
+      console.error('Keeper run failed:', state.lastError);
+    }
+    state.lastRunAt = new Date().toISOString();
+  };
+
+  // Where each escrow stands, for the status endpoint
+  const describe = (escrow, job) => {
+    if (escrow.status === STATUS.Released) return 'released';
+    if (escrow.status === STATUS.Disputed) return 'disputed';
+    if (escrow.status === STATUS.PendingAcceptance) {
+      // The client may reclaim the funds once acceptBy has passed unaccepted
+      return state.blockTime !== null &&
+        state.blockTime > Number(escrow.acceptBy)
+        ? 'reclaimable after acceptBy'
+        : 'awaiting acceptance';
+    }
+    if (!isOpen(escrow)) return 'settled';
+    if (job?.hash) return 'pending';
+
+    const releaseTime = getReleaseTime(escrow, state.disputeWindow ?? 0n);
+    if (releaseTime === null) return 'awaiting delivery';
+    if (state.blockTime === null || state.blockTime < releaseTime) {
+      return 'waiting';
+    }
+    if (job?.lastError) return 'retrying';
+    return job?.wouldRelease ? 'would release' : 'due';
+  };
+
+  const status = () => ({
+    escrow: config.escrow,
+    keeper: config.account?.address ?? null,
+    dryRun: config.dryRun,
+    syncedBlock: indexer.syncedBlock.toString(),
+    blockTime: state.blockTime,
+    disputeWindow: state.disputeWindow?.toString() ?? null,
+    lastRunAt: state.lastRunAt,
+    lastError: state.lastError,
+    escrows: [...indexer.escrows.values()].map((escrow) => {
+      const job = jobs.get(escrow.invoiceId);
+      return {
+        invoiceId: escrow.invoiceId,
+        freelancer: escrow.freelancer,
+        token: escrow.token,
+        amount: escrow.amount.toString(),
+        status: statusNames[escrow.status],
+        releaseTime: getReleaseTime(escrow, state.disputeWindow ?? 0n),
+        acceptBy: escrow.acceptBy ? Number(escrow.acceptBy) : null,
+        state: describe(escrow, job),
+        attempts: job?.attempts ?? 0,
+        lastError: job?.lastError ?? null,
+        retryAt: job?.retryAt ? new Date(job.retryAt).toISOString() : null,
+        pendingTx: job?.hash ?? null,
+        releasedIn: job?.releasedIn ?? null,
+      };
+    }),
+  });
+
+  return { tick, status };
+};
@@ -0,0 +1,85 @@
+// Release keeper for InvoiceCover. Indexes the escrow contract's events and
+// calls releaseToFreelancer on every escrow whose release time has passed,
+// so freelancers are paid without waiting for the client.
+//
+// Configured through the environment:
+//
+//   - KEEPER_PRIVATE_KEY:    funded account that pays the gas (required
+//                            unless DRY_RUN is set)
+//   - DRY_RUN:               1 to only simulate and report releases
+//   - RPC_URL:               node to read from (http://127.0.0.1:8545)
+//   - ESCROW_ADDRESS:        defaults to frontend/src/generated/deployments.js
+//   - START_BLOCK:           block to index from, defaults to the deploy
+//                            block recorded in the same module (or 0)
+//   - POLL_INTERVAL_SECONDS: time between runs (30)
+//   - PORT:                  status endpoint port (8788)
+import { createServer } from 'node:http';
+import { createPublicClient, createWalletClient, http } from 'viem';
+import { RPC_URL, loadConfig } from './config.js';
+import { createKeeper } from './keeper.js';
+
+const main = async () => {
+  const transport = http(RPC_URL);
+  const chainId = await createPublicClient({ transport }).getChainId();
+  const config = loadConfig(chainId);
+  const chain = { id: chainId, name: `Chain ${chainId}` };
+  const publicClient = createPublicClient({ chain, transport });
+  const keeper = createKeeper({
+    config,
+    publicClient,
+    walletClient:
+      config.account &&
+      createWalletClient({ account: config.account, chain, transport }),
+  });
+
+  // Schedule the next run only once this one is done, so runs never overlap
+  const run = async () => {
+    await keeper.tick();
+    setTimeout(run, config.pollInterval);
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.method === 'GET' && req.url === '/health') {
+        const balance =
+          config.account &&
+          (await publicClient.getBalance({ address: config.account.address }));
+        return send(res, 200, {
+          ok: true,
+          chainId,
+          keeper: config.account?.address ?? null,
+          balance: balance?.toString() ?? null,
+          dryRun: config.dryRun,
+          escrow: config.escrow,
+        });
+      }
+      if (req.method === 'GET' && req.url === '/status') {
+        return send(res, 200, { chainId, ...keeper.status() });
+      }
+      send(res, 404, { error: 'Not found.' });
+    } catch (error) {
+      console.error('Request failed:', error);
+      send(res, 500, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(config.port, () => {
+    console.log(
+      `Keeper ${config.account?.address ?? '(no account)'} on chain ${chainId}${config.dryRun ? ' (dry run)' : ''}, status on :${config.port}`
+    );
+  });
+  run();
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,284 @@
+// Runs the keeper against stub clients that hold the escrows in memory and
+// record every release simulated and sent.
+import assert from 'node:assert/strict';
+import { describe, mock, test } from 'node:test';
+import { TransactionReceiptNotFoundError } from 'viem';
+import { STATUS } from '../../frontend/src/escrowStatus.js';
+import { AUTO_RELEASE_POLICY } from '../../frontend/src/duePolicies.js';
+import { createKeeper } from '../src/keeper.js';
+
+const ESCROW = '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0';
+const DISPUTE_WINDOW = 5n * 86_400n;
+const DAY = 86_400;
+// Block time of the stub chain
+const NOW = 1_800_000_000;
+
+const DUE = `0x${'01'.repeat(32)}`;
+const WAITING = `0x${'02'.repeat(32)}`;
+const UNDELIVERED = `0x${'03'.repeat(32)}`;
+
+// The keeper logs every release; keep the test output to the results
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// A single-milestone escrow as getEscrow returns it, with its milestones
+const createEscrow = (invoiceId, fields = {}) => {
+  const escrow = {
+    client: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    freelancer: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+    token: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+    amount: 100n,
+    dueAt: BigInt(NOW + 30 * DAY),
+    policy: 0,
+    deliveredAt: 0n,
+    status: STATUS.Funded,
+    acceptBy: 0n,
+    ...fields,
+  };
+  return {
+    invoiceId,
+    ...escrow,
+    milestones: [
+      {
+        amount: escrow.amount,
+        dueAt: escrow.dueAt,
+        deliveredAt: escrow.deliveredAt,
+        settled: false,
+      },
+    ],
+  };
+};
+
+// Delivered long enough ago that the dispute window has passed
+const dueEscrow = () =>
+  createEscrow(DUE, {
+    status: STATUS.Delivered,
+    deliveredAt: BigInt(NOW - 6 * DAY),
+  });
+
+// Clients over a chain holding the given escrows. `chain` lets a test
+// move blocks and time, mine receipts and fail simulations; `simulated`
+// and `sent` list the invoice IDs of each release.
+const createChain = (escrows) => {
+  const chain = {
+    block: 100n,
+    time: NOW,
+    escrows: new Map(escrows.map((escrow) => [escrow.invoiceId, escrow])),
+    receipts: new Map(),
+    simulateError: null,
+    simulated: [],
+    sent: [],
+  };
+  const publicClient = {
+    getBlockNumber: async () => chain.block,
+    getBlock: async () => ({
+      number: chain.block,
+      timestamp: BigInt(chain.time),
+    }),
+    getContractEvents: async () =>
+      [...chain.escrows.keys()].map((invoiceId) => ({ args: { invoiceId } })),
+    readContract: async ({ functionName, args }) => {
+      if (functionName === 'disputeWindow') return DISPUTE_WINDOW;
+      const escrow = chain.escrows.get(args[0]);
+      return functionName === 'getMilestones' ? escrow.milestones : escrow;
+    },
+    simulateContract: async ({ functionName, args }) => {
+      chain.simulated.push(args[0]);
+      if (chain.simulateError) throw chain.simulateError;
+      return { request: { functionName, args } };
+    },
+    getTransactionReceipt: async ({ hash }) => {
+      if (!chain.receipts.has(hash)) {
+        throw new TransactionReceiptNotFoundError({ hash });
+      }
+      return chain.receipts.get(hash);
+    },
+  };
+  const walletClient = {
+    writeContract: async ({ args }) => {
+      chain.sent.push(args[0]);
+      return `0x${chain.sent.length.toString(16).padStart(64, '0')}`;
+    },
+  };
+  return { chain, publicClient, walletClient };
+};
+
+const startKeeper = (escrows, { dryRun = false } = {}) => {
+  const { chain, publicClient, walletClient } = createChain(escrows);
+  const keeper = createKeeper({
+    publicClient,
+    walletClient: dryRun ? null : walletClient,
+    config: { escrow: ESCROW, startBlock: 0n, dryRun, account: null },
+  });
+  // Where the keeper reports an escrow stands
+  const report = (invoiceId) =>
+    keeper.status().escrows.find((escrow) => escrow.invoiceId === invoiceId);
+  return { chain, keeper, report };
+};
+
+// Settle the escrow on the stub chain, as a successful release would
+const markReleased = (chain, invoiceId) => {
+  const escrow = chain.escrows.get(invoiceId);
+  escrow.status = STATUS.Released;
+  escrow.milestones[0].settled = true;
+};
+
+describe('keeper', () => {
+  test('releases only escrows whose release time has passed', async () => {
+    const { chain, keeper, report } = startKeeper([
+      dueEscrow(),
+      createEscrow(WAITING, {
+        status: STATUS.Delivered,
+        deliveredAt: BigInt(NOW - DAY),
+      }),
+      createEscrow(UNDELIVERED),
+    ]);
+    await keeper.tick();
+
+    assert.deepEqual(chain.sent, [DUE], 'only the due escrow was released');
+    assert.equal(report(DUE).state, 'pending');
+    assert.equal(report(WAITING).state, 'waiting');
+    assert.equal(report(UNDELIVERED).state, 'awaiting delivery');
+  });
+
+  test('releases auto-release escrows at their due date', async () => {
+    const { chain, keeper } = startKeeper([
+      createEscrow(DUE, {
+        policy: AUTO_RELEASE_POLICY,
+        dueAt: BigInt(NOW + DAY),
+      }),
+    ]);
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [], 'not released before the due date');
+
+    chain.block += 1n;
+    chain.time = NOW + DAY;
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [DUE], 'released at the due date');
+  });
+
+  test('only simulates releases in a dry run', async () => {
+    const { chain, keeper, report } = startKeeper([dueEscrow()], {
+      dryRun: true,
+    });
+    await keeper.tick();
+    await keeper.tick();
+
+    assert.deepEqual(chain.sent, [], 'nothing was sent');
+    assert.deepEqual(chain.simulated, [DUE], 'simulated once');
+    assert.equal(report(DUE).state, 'would release');
+  });
+
+  test('never sends a second release while one is in flight', async () => {
+    const { chain, keeper, report } = startKeeper([dueEscrow()]);
+    await keeper.tick();
+    chain.block += 1n;
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [DUE], 'released once');
+    assert.equal(report(DUE).pendingTx, `0x${'1'.padStart(64, '0')}`);
+
+    markReleased(chain, DUE);
+    chain.receipts.set(report(DUE).pendingTx, { status: 'success' });
+    chain.block += 1n;
+    await keeper.tick();
+    await keeper.tick();
+
+    assert.deepEqual(chain.sent, [DUE], 'not released again');
+    assert.equal(report(DUE).state, 'released');
+    assert.equal(report(DUE).releasedIn, `0x${'1'.padStart(64, '0')}`);
+  });
+
+  test('retries a failed release with exponential backoff', async (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    const { chain, keeper, report } = startKeeper([dueEscrow()]);
+    chain.simulateError = new Error('execution reverted');
+
+    await keeper.tick();
+    assert.equal(report(DUE).attempts, 1);
+    assert.equal(report(DUE).state, 'retrying');
+    assert.equal(report(DUE).lastError, 'execution reverted');
+    assert.equal(report(DUE).retryAt, new Date(now + 30_000).toISOString());
+
+    // Not retried before retryAt
+    now += 29_000;
+    await keeper.tick();
+    assert.equal(chain.simulated.length, 1, 'waited for retryAt');
+
+    now += 1_000;
+    await keeper.tick();
+    assert.equal(report(DUE).attempts, 2);
+    assert.equal(
+      report(DUE).retryAt,
+      new Date(now + 60_000).toISOString(),
+      'the delay doubles'
+    );
+
+    // The delay is capped at an hour
+    for (let attempt = 3; attempt <= 10; attempt++) {
+      now = Date.parse(report(DUE).retryAt);
+      await keeper.tick();
+    }
+    assert.equal(report(DUE).attempts, 10);
+    assert.equal(report(DUE).retryAt, new Date(now + 3_600_000).toISOString());
+
+    // Once the release goes through, the escrow is sent
+    chain.simulateError = null;
+    now = Date.parse(report(DUE).retryAt);
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [DUE]);
+  });
+
+  test('retries a release whose transaction reverted', async (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    const { chain, keeper, report } = startKeeper([dueEscrow()]);
+    await keeper.tick();
+    chain.receipts.set(report(DUE).pendingTx, { status: 'reverted' });
+    chain.block += 1n;
+    await keeper.tick();
+
+    assert.equal(report(DUE).state, 'retrying');
+    assert.match(report(DUE).lastError, /reverted/);
+    now += 30_000;
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [DUE, DUE], 'sent again after the backoff');
+  });
+
+  test('retries a release that is never mined', async (t) => {
+    let now = Date.UTC(2026, 0, 1);
+    t.mock.method(Date, 'now', () => now);
+    const { chain, keeper, report } = startKeeper([dueEscrow()]);
+    await keeper.tick();
+
+    chain.block += 49n;
+    await keeper.tick();
+    assert.equal(report(DUE).state, 'pending', 'still pending at 49 blocks');
+
+    chain.block += 1n;
+    await keeper.tick();
+    assert.equal(report(DUE).state, 'retrying');
+    assert.equal(report(DUE).pendingTx, null);
+    assert.match(report(DUE).lastError, /not mined within 50 blocks/);
+
+    now += 30_000;
+    await keeper.tick();
+    assert.deepEqual(chain.sent, [DUE, DUE], 'sent again after the backoff');
+    assert.equal(report(DUE).state, 'pending');
+  });
+
+  test('does not release escrows pending acceptance', async () => {
+    const { chain, keeper, report } = startKeeper([
+      createEscrow(DUE, {
+        status: STATUS.PendingAcceptance,
+        policy: AUTO_RELEASE_POLICY,
+        dueAt: BigInt(NOW - DAY),
+        acceptBy: BigInt(NOW - 2 * DAY),
+      }),
+    ]);
+    await keeper.tick();
+
+    assert.deepEqual(chain.simulated, [], 'nothing was attempted');
+    assert.equal(report(DUE).state, 'reclaimable after acceptBy');
+  });
+});
@@ -0,0 +1,39 @@
+import { isAddress } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { deployments } from '../../frontend/src/generated/deployments.js';
+
+export const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+
+// Read the remaining settings from the environment. Contract addresses
+// default to the deployment recorded for the RPC's chain.
+export const loadConfig = (chainId) => {
+  const {
+    PORT = '8787',
+    ALLOWED_ORIGIN = '*',
+    RELAYER_PRIVATE_KEY,
+    FORWARDER_ADDRESS = deployments[chainId]?.forwarder,
+    ESCROW_ADDRESS = deployments[chainId]?.escrowV1,
+  } = process.env;
+
+  if (!RELAYER_PRIVATE_KEY) {
+    throw new Error('Set RELAYER_PRIVATE_KEY to the key of a funded account.');
+  }
+  for (const [name, value] of Object.entries({
+    FORWARDER_ADDRESS,
+    ESCROW_ADDRESS,
+  })) {
+    if (!value || !isAddress(value)) {
+      throw new Error(
+        `No ${name} for chain ${chainId}. Set it, or deploy and run \`pnpm generate:contracts\` in frontend.`
+      );
+    }
+  }
+
+  return {
+    port: Number(PORT),
+    allowedOrigin: ALLOWED_ORIGIN,
+    account: privateKeyToAccount(RELAYER_PRIVATE_KEY),
+    forwarder: FORWARDER_ADDRESS,
+    escrow: ESCROW_ADDRESS,
+  };
+};
@@ -0,0 +1,121 @@
+import {
+  BaseError,
+  ContractFunctionRevertedError,
+  decodeFunctionData,
+  isAddress,
+  isHex,
+} from 'viem';
+import {
+  escrowV1Abi,
+  forwarderAbi,
+} from '../../frontend/src/generated/abis.js';
+
+// Only these escrow calls are paid for by the relayer
+const RELAYED_FUNCTIONS = ['markDelivered'];
+
+// Upper bound on the gas a signed request may ask the relayer to forward
+const MAX_REQUEST_GAS = 300_000n;
+
+// A request the relayer refuses. `status` is the HTTP status to answer with.
+export class RelayError extends Error {
+  constructor(status, message, errorName) {
+    super(message);
+    this.name = 'RelayError';
+    this.status = status;
+    this.errorName = errorName;
+  }
+}
+
+// Turn the JSON body into the forwarder's ForwardRequestData struct
+const parseRequest = ({ request, signature } = {}) => {
+  try {
+    const parsed = {
+      from: request.from,
+      to: request.to,
+      value: BigInt(request.value),
+      gas: BigInt(request.gas),
+      deadline: Number(request.deadline),
+      data: request.data,
+      signature,
+    };
+    if (
+      isAddress(parsed.from) &&
+      isAddress(parsed.to) &&
+      isHex(parsed.data) &&
+      isHex(parsed.signature)
+    ) {
+      return parsed;
+    }
+  } catch {
+    // Fall through to the error below
+  }
+  throw new RelayError(400, 'Malformed forward request.');
+};
+
+// Validate a signed request and submit it through the forwarder.
+// Resolves with the transaction hash; throws RelayError when refused.
+export const relay = async ({ publicClient, walletClient, config }, body) => {
+  const request = parseRequest(body);
+
+  if (request.to.toLowerCase() !== config.escrow.toLowerCase()) {
+    throw new RelayError(400, 'Only calls to the escrow contract are relayed.');
+  }
+  if (request.value !== 0n) {
+    throw new RelayError(400, 'Relayed calls cannot send value.');
+  }
+  if (request.gas > MAX_REQUEST_GAS) {
+    throw new RelayError(
+      400,
+      `Requests may use at most ${MAX_REQUEST_GAS} gas.`
+    );
+  }
+
+  let call;
+  try {
+    call = decodeFunctionData({ abi: escrowV1Abi, data: request.data });
+  } catch {
+    throw new RelayError(400, 'Unknown escrow function.');
+  }
+  if (!RELAYED_FUNCTIONS.includes(call.functionName)) {
+    throw new RelayError(400, `${call.functionName} is not relayed.`);
+  }
+
+  const valid = await publicClient.readContract({
+    address: config.forwarder,
+    abi: forwarderAbi,
+    functionName: 'verify',
+    args: [request],
+  });
+  if (!valid) {
+    throw new RelayError(400, 'Invalid or expired signature.');
+  }
+
+  // Run the escrow call as the forwarder would, with the signer appended,
+  // so a revert comes back with the contract's error instead of FailedCall
+  try {
+    await publicClient.simulateContract({
+      address: config.escrow,
+      abi: escrowV1Abi,
+      functionName: call.functionName,
+      args: call.args,
+      account: config.forwarder,
+      dataSuffix: request.from,
+    });
+  } catch (error) {
+    const reverted =
+      error instanceof BaseError &&
+      error.walk((cause) => cause instanceof ContractFunctionRevertedError);
+    throw new RelayError(
+      422,
+      reverted?.shortMessage ?? 'The escrow call would revert.',
+      reverted?.data?.errorName
+    );
+  }
+
+  return walletClient.writeContract({
+    address: config.forwarder,
+    abi: forwarderAbi,
+    functionName: 'execute',
+    args: [request],
+  });
+};
@@ -0,0 +1,123 @@
+// Gasless meta-transaction relayer for InvoiceCover. Accepts ERC-2771
+// requests signed in the browser and pays the gas to submit them through
+// the trusted forwarder.
+//
+// Configured through the environment:
+//
+//   - RELAYER_PRIVATE_KEY: funded account that pays the gas (required)
+//   - RPC_URL:             node to submit through (http://127.0.0.1:8545)
+//   - FORWARDER_ADDRESS,
+//     ESCROW_ADDRESS:      default to frontend/src/generated/deployments.js
+//   - PORT (8787), ALLOWED_ORIGIN (*)
+//
+// Point the frontend at it with VITE_RELAYER_URL (VITE_AMOY_RELAYER_URL on
+// Amoy), e.g. VITE_RELAYER_URL=http://localhost:8787.
+import { createServer } from 'node:http';
+import { createPublicClient, createWalletClient, http } from 'viem';
+import { RPC_URL, loadConfig } from './config.js';
+import { RelayError, relay } from './relay.js';
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new RelayError(413, 'Request body too large.'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch {
+        reject(new RelayError(400, 'Body must be JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const main = async () => {
+  const transport = http(RPC_URL);
+  const chainId = await createPublicClient({ transport }).getChainId();
+  const config = loadConfig(chainId);
+  const chain = { id: chainId, name: `Chain ${chainId}` };
+  const context = {
+    config,
+    publicClient: createPublicClient({ chain, transport }),
+    walletClient: createWalletClient({
+      account: config.account,
+      chain,
+      transport,
+    }),
+  };
+
+  // Submit one request at a time so relayer nonces never collide
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  // Reply with a JSON body, or with none if body is left out (204)
+  const send = (res, status, body) => {
+    res.writeHead(status, {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      'Access-Control-Allow-Origin': config.allowedOrigin,
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.method === 'OPTIONS') {
+        return send(res, 204);
+      }
+      if (req.method === 'GET' && req.url === '/health') {
+        const balance = await context.publicClient.getBalance({
+          address: config.account.address,
+        });
+        return send(res, 200, {
+          ok: true,
+          chainId,
+          relayer: config.account.address,
+          balance: balance.toString(),
+          forwarder: config.forwarder,
+          escrow: config.escrow,
+        });
+      }
+      if (req.method === 'POST' && req.url === '/relay') {
+        const body = await readBody(req);
+        const hash = await enqueue(() => relay(context, body));
+        console.log(`Relayed ${hash} for ${body.request.from}`);
+        return send(res, 200, { hash });
+      }
+      send(res, 404, { error: 'Not found.' });
+    } catch (error) {
+      if (error instanceof RelayError) {
+        return send(res, error.status, {
+          error: error.message,
+          errorName: error.errorName,
+        });
+      }
+      console.error('Relay failed:', error);
+      send(res, 500, { error: error.shortMessage || error.message });
+    }
+  });
+
+  server.listen(config.port, () => {
+    console.log(
+      `Relayer ${config.account.address} on chain ${chainId} listening on :${config.port}`
+    );
+  });
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,216 @@
+// Relays a signed markDelivered end to end on a throwaway Anvil node. Needs
+// Foundry's anvil on the PATH (or ANVIL set to its path) and the contracts
+// built with `forge build` in escrow-contracts; skipped otherwise.
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { test } from 'node:test';
+import {
+  createPublicClient,
+  createWalletClient,
+  encodeFunctionData,
+  http,
+  keccak256,
+  parseEther,
+  parseEventLogs,
+  stringToHex,
+  zeroAddress,
+  zeroHash,
+} from 'viem';
+import { mnemonicToAccount } from 'viem/accounts';
+import { foundry } from 'viem/chains';
+import {
+  escrowV1Abi,
+  forwarderAbi,
+} from '../../frontend/src/generated/abis.js';
+import { STATUS } from '../../frontend/src/escrowStatus.js';
+import { RelayError, relay } from '../src/relay.js';
+
+const ANVIL = process.env.ANVIL || 'anvil';
+const ARTIFACTS = new URL('../../escrow-contracts/out/', import.meta.url);
+// Anvil's default accounts
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+const forwardRequestTypes = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint48' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+const artifactUrl = (name) => new URL(`${name}.sol/${name}.json`, ARTIFACTS);
+
+const skip = !existsSync(artifactUrl('EscrowV1'))
+  ? 'contracts not built, run `forge build` in escrow-contracts'
+  : spawnSync(ANVIL, ['--version']).error
+    ? 'anvil not found, install Foundry or set ANVIL'
+    : false;
+
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const server = createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+// Anvil takes a moment to start listening
+const waitForNode = async (publicClient) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    try {
+      return await publicClient.getChainId();
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+  }
+  throw new Error('Anvil did not start.');
+};
+
+test(
+  'relays a signed markDelivered through the forwarder',
+  { skip },
+  async (t) => {
+    const port = await getFreePort();
+    const anvil = spawn(ANVIL, ['--port', String(port), '--silent'], {
+      stdio: 'ignore',
+    });
+    t.after(() => anvil.kill());
+
+    const transport = http(`http://127.0.0.1:${port}`);
+    const publicClient = createPublicClient({ chain: foundry, transport });
+    await waitForNode(publicClient);
+    const [client, freelancer, relayer] = [0, 1, 2].map((addressIndex) =>
+      mnemonicToAccount(MNEMONIC, { addressIndex })
+    );
+    const walletFor = (account) =>
+      createWalletClient({ account, chain: foundry, transport });
+    const confirm = async (hash) => {
+      const receipt = await publicClient.waitForTransactionReceipt({ hash });
+      assert.equal(receipt.status, 'success', `${hash} succeeded`);
+      return receipt;
+    };
+
+    // Deploy as script/Deploy.s.sol does
+    const deploy = async (name, args) => {
+      const { abi, bytecode } = JSON.parse(readFileSync(artifactUrl(name)));
+      const hash = await walletFor(client).deployContract({
+        abi,
+        bytecode: bytecode.object,
+        args,
+      });
+      return (await confirm(hash)).contractAddress;
+    };
+    const token = await deploy('MockUSDC', [1_000_000n]);
+    const forwarder = await deploy('ERC2771Forwarder', ['InvoiceCover']);
+    const escrow = await deploy('EscrowV1', [token, forwarder]);
+
+    // The client funds a native escrow for the freelancer
+    const { timestamp } = await publicClient.getBlock();
+    const invoiceId = keccak256(stringToHex('INV-RELAY-1'));
+    await confirm(
+      await walletFor(client).writeContract({
+        address: escrow,
+        abi: escrowV1Abi,
+        functionName: 'openEscrow',
+        args: [
+          invoiceId,
+          freelancer.address,
+          zeroAddress,
+          parseEther('1'),
+          timestamp + 86_400n,
+          0,
+          0n,
+          zeroHash,
+        ],
+        value: parseEther('1'),
+      })
+    );
+
+    // The freelancer signs markDelivered the way frontend/src/gasless.js does
+    const [, name, version, chainId, verifyingContract] =
+      await publicClient.readContract({
+        address: forwarder,
+        abi: forwarderAbi,
+        functionName: 'eip712Domain',
+      });
+    const request = {
+      from: freelancer.address,
+      to: escrow,
+      value: 0n,
+      gas: 150_000n,
+      nonce: 0n,
+      deadline: Number(timestamp) + 3600,
+      data: encodeFunctionData({
+        abi: escrowV1Abi,
+        functionName: 'markDelivered',
+        args: [invoiceId],
+      }),
+    };
+    const signature = await freelancer.signTypedData({
+      domain: { name, version, chainId: Number(chainId), verifyingContract },
+      types: forwardRequestTypes,
+      primaryType: 'ForwardRequest',
+      message: request,
+    });
+    const body = {
+      request: {
+        from: request.from,
+        to: request.to,
+        value: request.value.toString(),
+        gas: request.gas.toString(),
+        deadline: request.deadline,
+        data: request.data,
+      },
+      signature,
+    };
+
+    const context = {
+      publicClient,
+      walletClient: walletFor(relayer),
+      config: { escrow, forwarder },
+    };
+    const freelancerBalance = await publicClient.getBalance({
+      address: freelancer.address,
+    });
+    const receipt = await confirm(await relay(context, body));
+
+    assert.equal(
+      receipt.from,
+      relayer.address.toLowerCase(),
+      'the relayer sent the transaction'
+    );
+    assert.equal(
+      await publicClient.getBalance({ address: freelancer.address }),
+      freelancerBalance,
+      'the freelancer paid no gas'
+    );
+    const [delivered] = parseEventLogs({
+      abi: escrowV1Abi,
+      eventName: 'MarkedDelivered',
+      logs: receipt.logs,
+    });
+    assert.equal(delivered.args.by, freelancer.address, 'delivered as signer');
+    const { status } = await publicClient.readContract({
+      address: escrow,
+      abi: escrowV1Abi,
+      functionName: 'getEscrow',
+      args: [invoiceId],
+    });
+    assert.equal(status, STATUS.Delivered, 'the escrow is delivered');
+
+    // The forwarder has used up the nonce, so the request cannot be replayed
+    await assert.rejects(relay(context, body), (error) => {
+      assert.ok(error instanceof RelayError, 'refused with a RelayError');
+      assert.equal(error.message, 'Invalid or expired signature.');
+      return true;
+    });
+  }
+);
@@ -0,0 +1,181 @@
+// Checks each reason the relayer refuses a request, against stub clients
+// that record which contract calls were made.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import {
+  ContractFunctionRevertedError,
+  encodeErrorResult,
+  encodeFunctionData,
+  zeroAddress,
+} from 'viem';
+import { escrowV1Abi, mockUsdcAbi } from '../../frontend/src/generated/abis.js';
+import { RelayError, relay } from '../src/relay.js';
+
+const config = {
+  escrow: '0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0',
+  forwarder: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512',
+};
+const FREELANCER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const INVOICE_ID = `0x${'12'.repeat(32)}`;
+const HASH = `0x${'ab'.repeat(32)}`;
+
+const encodeEscrowCall = (functionName, args = [INVOICE_ID]) =>
+  encodeFunctionData({ abi: escrowV1Abi, functionName, args });
+
+// A well-formed signed markDelivered, with any field replaced
+const createBody = (overrides = {}) => ({
+  request: {
+    from: FREELANCER,
+    to: config.escrow,
+    value: '0',
+    gas: '150000',
+    deadline: 2_000_000_000,
+    data: encodeEscrowCall('markDelivered'),
+    ...overrides,
+  },
+  signature: `0x${'11'.repeat(65)}`,
+});
+
+// Clients that answer forwarder.verify with `valid` and fail the escrow
+// simulation with `revert`, if given. `calls` lists the calls made.
+const createContext = ({ valid = true, revert = null } = {}) => {
+  const calls = [];
+  return {
+    calls,
+    config,
+    publicClient: {
+      readContract: async ({ functionName }) => {
+        calls.push(functionName);
+        return valid;
+      },
+      simulateContract: async ({ functionName }) => {
+        calls.push(`simulate ${functionName}`);
+        if (revert) throw revert;
+        return {};
+      },
+    },
+    walletClient: {
+      writeContract: async ({ address, functionName }) => {
+        calls.push(`${functionName} on ${address}`);
+        return HASH;
+      },
+    },
+  };
+};
+
+// Requests failing these checks are refused before any RPC call
+const assertRefusedOffline = async (body, message) => {
+  const context = createContext();
+  await assert.rejects(relay(context, body), (error) => {
+    assert.ok(error instanceof RelayError, 'refused with a RelayError');
+    assert.equal(error.status, 400, 'answered with 400');
+    assert.match(error.message, message);
+    return true;
+  });
+  assert.deepEqual(context.calls, [], 'no contract call was made');
+};
+
+describe('relay', () => {
+  test('submits a valid markDelivered through the forwarder', async () => {
+    const context = createContext();
+    assert.equal(await relay(context, createBody()), HASH);
+    assert.deepEqual(context.calls, [
+      'verify',
+      'simulate markDelivered',
+      `execute on ${config.forwarder}`,
+    ]);
+  });
+
+  test('refuses a malformed request', async () => {
+    await assertRefusedOffline({}, /Malformed/);
+    await assertRefusedOffline(createBody({ from: 'alice' }), /Malformed/);
+    await assertRefusedOffline(createBody({ gas: 'lots' }), /Malformed/);
+    await assertRefusedOffline(
+      { ...createBody(), signature: 'signed' },
+      /Malformed/
+    );
+  });
+
+  test('refuses calls to a contract other than the escrow', async () => {
+    await assertRefusedOffline(
+      createBody({ to: config.forwarder }),
+      /Only calls to the escrow/
+    );
+  });
+
+  test('accepts the escrow address in any case', async () => {
+    const context = createContext();
+    const body = createBody({ to: config.escrow.toLowerCase() });
+    assert.equal(await relay(context, body), HASH);
+  });
+
+  test('refuses requests that send value', async () => {
+    await assertRefusedOffline(createBody({ value: '1' }), /cannot send value/);
+  });
+
+  test('refuses requests over the gas cap', async () => {
+    await assertRefusedOffline(
+      createBody({ gas: '300001' }),
+      /at most 300000 gas/
+    );
+    const context = createContext();
+    assert.equal(
+      await relay(context, createBody({ gas: '300000' })),
+      HASH,
+      'the cap itself is allowed'
+    );
+  });
+
+  test('refuses data that is not an escrow call', async () => {
+    await assertRefusedOffline(
+      createBody({
+        data: encodeFunctionData({
+          abi: mockUsdcAbi,
+          functionName: 'approve',
+          args: [zeroAddress, 1n],
+        }),
+      }),
+      /Unknown escrow function/
+    );
+  });
+
+  test('refuses escrow functions that are not allowlisted', async () => {
+    await assertRefusedOffline(
+      createBody({ data: encodeEscrowCall('releaseToFreelancer') }),
+      /releaseToFreelancer is not relayed/
+    );
+  });
+
+  test('refuses requests the forwarder does not verify', async () => {
+    const context = createContext({ valid: false });
+    await assert.rejects(relay(context, createBody()), {
+      name: 'RelayError',
+      status: 400,
+      message: 'Invalid or expired signature.',
+    });
+    assert.deepEqual(context.calls, ['verify'], 'nothing was simulated');
+  });
+
+  test('reports the escrow error of a call that would revert', async () => {
+    const context = createContext({
+      revert: new ContractFunctionRevertedError({
+        abi: escrowV1Abi,
+        data: encodeErrorResult({
+          abi: escrowV1Abi,
+          errorName: 'OnlyFreelancer',
+        }),
+        functionName: 'markDelivered',
+      }),
+    });
+    await assert.rejects(relay(context, createBody()), {
+      name: 'RelayError',
+      status: 422,
+      errorName: 'OnlyFreelancer',
+    });
+    assert.deepEqual(
+      context.calls,
+      ['verify', 'simulate markDelivered'],
+      'nothing was submitted'
+    );
+  });
+});